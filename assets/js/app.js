@@ -1,19 +1,94 @@
-// MiniTienda - Frontend demo con Bootstrap + jQuery + localStorage
+// MiniTienda - Frontend demo con Bootstrap + jQuery + localStorage (o una API REST, ver Store)
 // Es un objeto constante que guarda en un solo lugar las claves que vamos a usar en localStorage.
 // Así evitamos “strings mágicos” repetidos en el código, que si los escribes mal no fallan con error, simplemente no funcionan y cuesta depurar.
 // Qué significa cada clave:
 // mt.products → donde se guardan los productos (JSON con lista).
-// mt.cart → donde se guarda el carrito (JSON con productos + cantidades).
-// mt.session → el usuario que está logueado (objeto con email, nombre y rol).
-// mt.users → lista de usuarios registrados (JSON con cuentas).
+// mt.carts → carritos por dueño (cuenta o invitado): productos + cantidades y cupones aplicados.
+// mt.cart / mt.cartCoupons → carrito único de versiones anteriores (se migra a mt.carts).
+// mt.session → (solo localStorage) token de la sesión abierta en este navegador.
+// mt.sessions → sesiones vigentes (token, correo y vencimiento); el rol se lee siempre de mt.users.
+//            Con el backend REST no se lee: las sesiones las guarda y confirma el servidor.
+// mt.users → lista de usuarios registrados (JSON con cuentas; la clave se guarda como hash PBKDF2
+//            y las direcciones guardadas van en user.addresses, ver Account).
+// mt.schema → versión del formato de productos (para migrar datos antiguos).
+// mt.orders → pedidos confirmados (JSON con líneas, precios al momento de la compra y totales).
+// mt.lastOrder → (sessionStorage) id del último pedido hecho en la pestaña, para su confirmación.
+// mt.checkout → (sessionStorage) datos del checkout en curso (contacto, dirección y envío).
+// mt.coupons → cupones de descuento administrados por el admin.
+// mt.reservations → stock apartado por cada carrito durante unos minutos (ver Stock).
+// mt.wishlists → lista de deseos de cada cuenta ({ correo: [ids de producto] }).
+// mt.stockAlerts → suscripciones "avísame cuando vuelva" ({ pid, email, createdAt }).
+// mt.notifications → avisos dentro de la tienda para cada cuenta (ver Wishlist.notify).
+// mt.reviews → reseñas de clientes que compraron el título (estrellas 1–5 y comentario).
+// mt.stockMovements → libro de inventario: cada cambio de stock con tipo, motivo, usuario y fecha
+//            (ver Inventory); el stock de cada producto se concilia contra la suma de sus movimientos.
+// mt.sequences → último id entregado por tipo ({ products: N }); los ids nunca se reutilizan.
+// mt.guest → (solo localStorage) id anónimo del navegador: dueño del carrito sin sesión.
+// mt.outbox → (solo localStorage, backend REST) cambios hechos sin conexión que esperan enviarse
+//            a la API (ver Outbox).
+// mt.outboxAppends → (solo localStorage, backend REST) elementos nuevos creados sin conexión (pedidos,
+//            con un id temporal "tmp-...") que esperan su POST a la API (ver Outbox.append).
 (function (window, $) {
   const LS_KEYS = {
     PRODUCTS: "mt.products",
     CART: "mt.cart",
+    CARTS: "mt.carts",
     SESSION: "mt.session",
-    USERS: "mt.users"
+    SESSIONS: "mt.sessions",
+    USERS: "mt.users",
+    SCHEMA: "mt.schema",
+    ORDERS: "mt.orders",
+    LAST_ORDER: "mt.lastOrder",
+    CHECKOUT: "mt.checkout",
+    COUPONS: "mt.coupons",
+    CART_COUPONS: "mt.cartCoupons",
+    RESERVATIONS: "mt.reservations",
+    WISHLISTS: "mt.wishlists",
+    STOCK_ALERTS: "mt.stockAlerts",
+    NOTIFICATIONS: "mt.notifications",
+    REVIEWS: "mt.reviews",
+    STOCK_MOVEMENTS: "mt.stockMovements",
+    SEQUENCES: "mt.sequences",
+    GUEST: "mt.guest",
+    OUTBOX: "mt.outbox",
+    OUTBOX_APPENDS: "mt.outboxAppends"
   };
 
+  // Claves propias de cada navegador/pestaña: nunca pasan por el Store (ni por la API REST).
+  const BROWSER_KEYS = [LS_KEYS.SESSION, LS_KEYS.LAST_ORDER, LS_KEYS.CHECKOUT, LS_KEYS.GUEST, LS_KEYS.OUTBOX, LS_KEYS.OUTBOX_APPENDS];
+
+  // Ajustes de la tienda. Se pueden sobrescribir definiendo window.MT_CONFIG antes de cargar app.js.
+  // PAGE_SIZE → productos por página en el catálogo; ADMIN_PAGE_SIZE → filas por página en el admin.
+  // DEBOUNCE_MS → espera tras el último tecleo antes de volver a filtrar.
+  // BACKEND → dónde se guardan los datos: "local" (localStorage) o "rest" (API en API_URL).
+  // FREE_SHIPPING_OVER → desde este subtotal (CLP) el despacho estándar es gratis.
+  // RESERVATION_MINUTES → minutos que se aparta el stock de una línea del carrito.
+  // GUEST_CART_DAYS → días tras los cuales se descarta un carrito de invitado sin cambios.
+  // DEMO → siembra las cuentas de prueba y muestra en pantalla el enlace de recuperación de clave
+  //        (no hay servidor de correo). Apagado por defecto: lo enciende server/mock-server.js y,
+  //        para probar solo con localStorage, window.MT_CONFIG = { DEMO: true }.
+  // SESSION_HOURS → duración de una sesión; LOGIN_MAX_ATTEMPTS / LOGIN_LOCK_MINUTES → bloqueo
+  //        tras claves erradas seguidas; RESET_MINUTES → validez del enlace de recuperación.
+  // LOW_STOCK → stock mínimo de los títulos que no tienen uno propio (p.minStock).
+  // SERVICE_WORKER → registra sw.js para instalar la tienda como app y usarla sin conexión.
+  const CONFIG = Object.assign({
+    PAGE_SIZE: 12,
+    ADMIN_PAGE_SIZE: 25,
+    DEBOUNCE_MS: 200,
+    BACKEND: "local",
+    API_URL: "/api",
+    FREE_SHIPPING_OVER: 30000,
+    RESERVATION_MINUTES: 15,
+    GUEST_CART_DAYS: 30,
+    DEMO: false,
+    SESSION_HOURS: 12,
+    LOGIN_MAX_ATTEMPTS: 5,
+    LOGIN_LOCK_MINUTES: 15,
+    RESET_MINUTES: 30,
+    LOW_STOCK: 3,
+    SERVICE_WORKER: true
+  }, window.MT_CONFIG);
+
 // const App = { ... }
 // App es un objeto literal que agrupa toda la lógica de la tienda.
 // Dentro tiene funciones como init(), seed(), pageIndex(), pageCatalogo(), etc.
@@ -21,112 +96,547 @@
 // init() { ... }
 // Es la primera función que se ejecuta cuando se carga la página ($(document).ready(() => App.init()); al final del archivo).
 // Paso a paso:
-// Llama a seed(), que se encarga de sembrar datos de demo en localStorage (productos y usuarios) solo si no existen.
+// Carga los datos desde el backend configurado (Store.init) mostrando un spinner; si falla, muestra el error.
+// Con la API REST, antes verifica la sesión con el servidor (RestBackend.checkSession) y envía los
+// cambios que quedaron pendientes sin conexión (Outbox.flush).
+// Llama a seed(), que se encarga de sembrar datos de demo (productos y usuarios) solo si no existen.
 // Actualiza el <span id="year"> del footer con el año actual.
 // Es un detalle de usabilidad.
-// Refresca el contador del carrito (el badge rojo en el navbar) leyendo lo que haya en localStorage.
+// Refresca el contador del carrito (el badge rojo en el navbar) leyendo lo que haya guardado.
 // Ajusta el menú de usuario en el navbar:
 // Si hay sesión → muestra nombre/rol y botón “Cerrar sesión”.
 // Si no → muestra “Cuenta” y “Iniciar sesión”.
   const App = {
-    init() {
-      this.seed();
+    async init() {
       this.updateYear();
+      this.setLoading(true);
+      this.registerServiceWorker();
+      try {
+        // Con la API, la sesión la confirma el servidor (mt.sessions no se lee) antes de enviar y
+        // cargar los datos: de ella depende qué cuentas entrega y acepta /api/users.
+        if (Store.backend === RestBackend) {
+          await RestBackend.checkSession();
+          await Outbox.flush();
+        }
+        // La sesión es propia de cada navegador: siempre queda en localStorage
+        const skip = Store.backend === RestBackend ? BROWSER_KEYS.concat(LS_KEYS.SESSIONS) : BROWSER_KEYS;
+        await Store.init(Object.values(LS_KEYS).filter(k => !skip.includes(k)));
+      } catch (err) {
+        this.setLoading(false);
+        this.showError("No se pudieron cargar los datos de la tienda. " + err.message, () => window.location.reload());
+        return;
+      }
+      this.setLoading(false);
+
+      // Sin los datos iniciales guardados no se pinta la página: el aviso de Store.set ya explica
+      // por qué, y aquí se ofrece reintentar.
+      if (!(await this.seed())) {
+        this.showError("La tienda no pudo preparar sus datos.", () => window.location.reload());
+        return;
+      }
       this.updateCartBadge();
       this.updateUserMenu();
+      this.bindSearchSuggest();
+      this.bindActions();
+      this.bindConnection();
+      Wishlist.bind();
+      $(window).on("storage", e => this.onStorage(e.originalEvent));
 
       // Cada <body> en tus HTML tiene un id distinto (page-index, page-catalogo, etc.).
       // Aquí se detecta en qué página estás y se llama a la función específica:
-      // pageIndex() → carga productos destacados en index.html.
+      // pageIndex() → portada: destacados y premium elegidos por el admin, y buscador de la lupa.
       // pageCatalogo() → pinta todo el catálogo con filtros.
       // pageCarrito() → genera la tabla de carrito.
       // pageAdminProducts() → activa el CRUD de productos (solo para admin)
+      // pageOrder() / pageMyOrders() → detalle de un pedido e historial del usuario
+      // pageAdminCoupons() → CRUD de cupones de descuento (solo para admin)
+      // pageLogin() → formularios de inicio de sesión y registro
+      // pageRecover() / pagePassword() → recuperar y cambiar la contraseña
+      // pageAdminUsers() → roles, desbloqueo y baja de usuarios (solo para admin)
+      // pageAccount() → "Mi cuenta": datos personales, contraseña, direcciones y avisos
+      // pageWishlist() → lista de deseos con "mover al carrito"
+      // pageImport() → importación masiva de productos desde CSV/JSON (solo para admin)
+      // pageInventory() → stock bajo, movimientos manuales e historial por producto (solo para admin)
+      // pageAdminOrders() → pedidos con filtros y cambio de estado (solo para admin)
+      // pageDashboard() → panel de ventas con gráficos, filtro por fechas y exportación (solo para admin)
+      // pageProduct() → ficha de un título (producto.html?id=...) con galería, reseñas y relacionados
       const pageId = document.body.id;
       if (pageId === "page-index") this.pageIndex();
       if (pageId === "page-catalogo") this.pageCatalogo();
       if (pageId === "page-carrito") this.pageCarrito();
       if (pageId === "page-productos") this.pageAdminProducts();
+      if (pageId === "page-pedido") this.pageOrder();
+      if (pageId === "page-mis-pedidos") this.pageMyOrders();
+      if (pageId === "page-cupones") this.pageAdminCoupons();
+      if (pageId === "page-login") this.pageLogin();
+      if (pageId === "page-recuperar") this.pageRecover();
+      if (pageId === "page-clave") this.pagePassword();
+      if (pageId === "page-usuarios") this.pageAdminUsers();
+      if (pageId === "page-cuenta") this.pageAccount();
+      if (pageId === "page-deseos") this.pageWishlist();
+      if (pageId === "page-producto") this.pageProduct();
+      if (pageId === "page-importar") this.pageImport();
+      if (pageId === "page-inventario") this.pageInventory();
+      if (pageId === "page-dashboard") this.pageDashboard();
+      if (pageId === "page-pedidos") this.pageAdminOrders();
+
+      // Avisos pendientes (ej: un título de la lista volvió a tener stock)
+      Wishlist.showToasts();
+      this.onChange([LS_KEYS.NOTIFICATIONS], () => Wishlist.showToasts());
+
+      // Carrito/stock cambiados en otra pestaña → re-pinta el carrito
+      if (pageId === "page-carrito") {
+        this.onChange([LS_KEYS.CARTS, LS_KEYS.SESSION, LS_KEYS.PRODUCTS, LS_KEYS.RESERVATIONS], () => this.pageCarrito());
+      }
+      // Pedido hecho sin conexión: al enviarse recibe su id definitivo (ver Outbox.sendAppend)
+      if (pageId === "page-pedido") this.onChange([LS_KEYS.ORDERS], () => this.pageOrder());
+    },
+
+    // Evento "storage": otra pestaña cambió localStorage. Actualiza el Store en memoria y avisa
+    // con el evento "mt:change" de jQuery (ver onChange). Con el backend REST no hay evento:
+    // los datos se refrescan al recargar y en el checkout (ver Store.reload).
+    async onStorage(e) {
+      // Login/logout en otra pestaña: cambia el dueño del carrito. Con la API, la sesión nueva se
+      // confirma con el servidor y se vuelven a leer las cuentas que le corresponden.
+      if (e.key === LS_KEYS.SESSION) {
+        if (Store.backend === RestBackend) {
+          await RestBackend.checkSession();
+          await Store.reload(RestBackend.SESSION_KEYS).catch(() => null);
+        }
+        this.updateUserMenu();
+        this.updateCartBadge();
+        $(document).trigger("mt:change", [e.key]);
+        return;
+      }
+      if (Store.backend !== LocalBackend || !(e.key in Store.cache)) return;
+      try { Store.cache[e.key] = e.newValue === null ? null : JSON.parse(e.newValue); }
+      catch { return; }
+      if (e.key === LS_KEYS.SESSIONS || e.key === LS_KEYS.USERS) this.updateUserMenu();
+      this.updateCartBadge();
+      $(document).trigger("mt:change", [e.key]);
+    },
+
+    // Ejecuta fn cuando otra pestaña cambie alguna de las claves indicadas.
+    onChange(keys, fn) {
+      $(document).on("mt:change", (e, key) => { if (keys.includes(key)) fn(key); });
     },
 
     // ----- Data helpers -----
-    // Lee la clave mt.products desde localStorage.
-    // localStorage.getItem(...) devuelve un string JSON → se convierte a objeto con JSON.parse.
+    // Lee la clave mt.products desde el Store (datos ya cargados en memoria por Store.init).
     // Si no existe nada, devuelve un arreglo vacío [].
-    // Si ocurre algún error al parsear, también devuelve [].
     // Devuelve la lista de productos (o lista vacía).
+    // Es el mismo array mientras no se guarde otro, así con catálogos grandes
+    // no se vuelve a parsear en cada render (y el índice de búsqueda se reutiliza).
     getProducts() {
-      try { return JSON.parse(localStorage.getItem(LS_KEYS.PRODUCTS)) || []; }
-      catch { return []; }
+      return Store.get(LS_KEYS.PRODUCTS, []);
+    },
+
+    // Guarda la lista bajo la clave mt.products en el backend configurado.
+    // Persistencia de productos (devuelve una promesa con true/false según se pudo guardar)
+    // Todo cambio de stock pasa por aquí (admin, importación, compras): si un título esperado
+    // vuelve a estar disponible, se avisa a quienes se suscribieron (ver Wishlist.notify), solo
+    // una vez guardado el catálogo.
+    async saveProducts(list) {
+      const ok = await Store.set(LS_KEYS.PRODUCTS, list);
+      if (ok) await Wishlist.notify(list);
+      return ok;
+    },
+
+    // Reserva n ids nuevos de producto y resuelve el primero (null si no se pudo guardar la
+    // secuencia). La secuencia (mt.sequences) solo avanza: un id no se repite aunque el producto
+    // se borre (pedidos y reseñas lo referencian).
+    async reserveProductIds(n = 1) {
+      const seq = Object.assign({}, Store.get(LS_KEYS.SEQUENCES, {}));
+      const last = this.getProducts().reduce((m, p) => Math.max(m, p.id), seq.products || 0);
+      seq.products = last + n;
+      return (await Store.set(LS_KEYS.SEQUENCES, seq)) ? last + 1 : null;
+    },
+
+    // Carritos por dueño (mt.carts): { [dueño]: { items: [{pid, qty}], coupons: [códigos], updatedAt } }.
+    // El dueño es el correo de la cuenta o el id de invitado (ver cartOwner).
+    getCarts() {
+      return Store.get(LS_KEYS.CARTS, {});
     },
 
-    // Convierte el array list en string (JSON.stringify).
-    // Lo guarda bajo la clave mt.products.
-    // Persistencia de productos
-    saveProducts(list) {
-      localStorage.setItem(LS_KEYS.PRODUCTS, JSON.stringify(list));
+    // Guarda todos los carritos.
+    saveCarts(carts) {
+      return Store.set(LS_KEYS.CARTS, carts);
     },
 
-    // Idéntico a getProducts, pero con la clave mt.cart.
-    // Devuelve los productos en el carrito.
+    // Cambia campos del carrito de owner (por defecto el activo). De paso descarta carritos de
+    // invitado vacíos o sin cambios hace más de CONFIG.GUEST_CART_DAYS días.
+    updateCart(changes, owner = this.cartOwner()) {
+      const carts = Object.assign({}, this.getCarts());
+      carts[owner] = Object.assign({ items: [], coupons: [] }, carts[owner], changes, { updatedAt: new Date().toISOString() });
+      const cutoff = Date.now() - CONFIG.GUEST_CART_DAYS * 86400000;
+      Object.keys(carts).forEach(k => {
+        const c = carts[k];
+        if (!k.startsWith("guest-")) return;
+        if ((k !== owner && Date.parse(c.updatedAt) < cutoff) || (!c.items.length && !c.coupons.length)) delete carts[k];
+      });
+      return this.saveCarts(carts);
+    },
+
+    // Devuelve los productos en el carrito del dueño activo.
     getCart() {
-      try { return JSON.parse(localStorage.getItem(LS_KEYS.CART)) || []; }
-      catch { return []; }
+      const c = this.getCarts()[this.cartOwner()];
+      return c ? c.items : [];
     },
 
-    // Guarda el carrito en localStorage.
+    // Guarda el carrito del dueño activo.
     // Llama a updateCartBadge() para refrescar el contador del carrito en el navbar.
     // Así el usuario ve inmediatamente cuántos productos lleva.
     saveCart(cart) {
-      localStorage.setItem(LS_KEYS.CART, JSON.stringify(cart));
+      const saved = this.updateCart({ items: cart });
       this.updateCartBadge();
+      return saved;
     },
 
-    // Lee mt.session.
-    // Devuelve el objeto del usuario logueado (ej: {email, name, role}) o null si no hay sesión.
-    getSession() {
-      try { return JSON.parse(localStorage.getItem(LS_KEYS.SESSION)); }
+    // Lista de cuentas (mt.users). Es una copia: los cambios llegan a la memoria solo con saveUsers,
+    // así un guardado que falla no deja cuentas a medio modificar.
+    getUsers() {
+      return JSON.parse(JSON.stringify(Store.get(LS_KEYS.USERS, [])));
+    },
+
+    // Guarda la lista de cuentas.
+    saveUsers(users) {
+      return Store.set(LS_KEYS.USERS, users);
+    },
+
+    // Pedidos confirmados (mt.orders).
+    getOrders() {
+      return Store.get(LS_KEYS.ORDERS, []);
+    },
+
+    // Guarda la lista de pedidos.
+    saveOrders(list) {
+      return Store.set(LS_KEYS.ORDERS, list);
+    },
+
+    // Cupones de descuento (mt.coupons).
+    getCoupons() {
+      return Store.get(LS_KEYS.COUPONS, []);
+    },
+
+    // Guarda la lista de cupones.
+    saveCoupons(list) {
+      return Store.set(LS_KEYS.COUPONS, list);
+    },
+
+    // Códigos de cupón aplicados al carrito del dueño activo.
+    getCartCoupons() {
+      const c = this.getCarts()[this.cartOwner()];
+      return c ? c.coupons : [];
+    },
+
+    // Guarda los códigos aplicados al carrito del dueño activo.
+    saveCartCoupons(codes) {
+      return this.updateCart({ coupons: codes });
+    },
+
+    // Listas de deseos por cuenta (mt.wishlists): { correo: [pid, ...] }.
+    getWishlists() {
+      return Store.get(LS_KEYS.WISHLISTS, {});
+    },
+
+    // Guarda las listas de deseos.
+    saveWishlists(map) {
+      return Store.set(LS_KEYS.WISHLISTS, map);
+    },
+
+    // Suscripciones a "avísame cuando vuelva" (mt.stockAlerts).
+    getStockAlerts() {
+      return Store.get(LS_KEYS.STOCK_ALERTS, []);
+    },
+
+    // Guarda las suscripciones.
+    saveStockAlerts(list) {
+      return Store.set(LS_KEYS.STOCK_ALERTS, list);
+    },
+
+    // Avisos dentro de la tienda (mt.notifications): [{ id, email, pid, message, createdAt, read }].
+    getNotifications() {
+      return Store.get(LS_KEYS.NOTIFICATIONS, []);
+    },
+
+    // Guarda los avisos.
+    saveNotifications(list) {
+      return Store.set(LS_KEYS.NOTIFICATIONS, list);
+    },
+
+    // Reseñas (mt.reviews): [{ id, pid, email, name, rating, text, createdAt, updatedAt }].
+    getReviews() {
+      return Store.get(LS_KEYS.REVIEWS, []);
+    },
+
+    // Guarda las reseñas.
+    saveReviews(list) {
+      return Store.set(LS_KEYS.REVIEWS, list);
+    },
+
+    // Reservas de stock (mt.reservations), incluidas las vencidas; usar Stock para consultarlas.
+    getReservations() {
+      return Store.get(LS_KEYS.RESERVATIONS, []);
+    },
+
+    // Guarda las reservas de stock.
+    saveReservations(list) {
+      return Store.set(LS_KEYS.RESERVATIONS, list);
+    },
+
+    // Libro de inventario (mt.stockMovements), del más antiguo al más reciente; ver Inventory.
+    getStockMovements() {
+      return Store.get(LS_KEYS.STOCK_MOVEMENTS, []);
+    },
+
+    // Guarda el libro de inventario.
+    saveStockMovements(list) {
+      return Store.set(LS_KEYS.STOCK_MOVEMENTS, list);
+    },
+
+    // Dueño del carrito (y de sus reservas): el correo si hay sesión, si no un id anónimo del navegador.
+    cartOwner() {
+      const s = this.getSession();
+      if (s) return s.email;
+      let guest = localStorage.getItem(LS_KEYS.GUEST);
+      if (!guest) {
+        guest = "guest-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+        localStorage.setItem(LS_KEYS.GUEST, guest);
+      }
+      return guest;
+    },
+
+    // Al iniciar sesión junta el carrito de invitado (from) con el guardado de la cuenta (to):
+    // suma cantidades sin pasar del stock disponible y une los cupones. Llamar con la sesión ya
+    // abierta, así las reservas quedan a nombre de la cuenta. Resuelve true si hubo que recortar.
+    async mergeCart(from, to) {
+      const carts = Object.assign({}, this.getCarts());
+      const guest = carts[from];
+      if (!guest) return false;
+      delete carts[from];
+
+      // Las reservas del invitado no deben restar stock a la cuenta
+      const active = await Stock.sweep();
+      if (!active) return false;
+      await this.saveReservations(active.filter(r => r.owner !== from));
+
+      const target = Object.assign({ items: [], coupons: [] }, carts[to]);
+      const items = target.items.map(it => Object.assign({}, it));
+      const products = this.getProducts();
+      let trimmed = false;
+      guest.items.forEach(it => {
+        const p = products.find(x => x.id === it.pid);
+        if (!p) return;
+        const line = items.find(x => x.pid === it.pid);
+        const have = line ? line.qty : 0;
+        const qty = Math.max(have, Math.min(have + it.qty, Stock.available(p, to)));
+        if (qty < have + it.qty) trimmed = true;
+        if (line) line.qty = qty;
+        else if (qty > 0) items.push({ pid: it.pid, qty });
+      });
+      carts[to] = { items, coupons: target.coupons.concat(guest.coupons.filter(c => !target.coupons.includes(c))), updatedAt: new Date().toISOString() };
+
+      const saved = await Promise.all([this.saveCarts(carts), Stock.renew(items, products)]);
+      this.updateCartBadge();
+      return !saved.includes(false) && trimmed;
+    },
+
+    // Sesiones abiertas (mt.sessions): [{ token, email, createdAt, expires }].
+    getSessions() {
+      return Store.get(LS_KEYS.SESSIONS, []);
+    },
+
+    // Guarda las sesiones abiertas.
+    saveSessions(list) {
+      return Store.set(LS_KEYS.SESSIONS, list);
+    },
+
+    // Token guardado en mt.session por este navegador (o null).
+    sessionToken() {
+      try { const v = JSON.parse(localStorage.getItem(LS_KEYS.SESSION)); return (v && v.token) || null; }
       catch { return null; }
     },
-    // Guarda la sesión actual (ej: cuando alguien hace login).
+
+    // Lee mt.session y lo cruza con mt.sessions (con la API, con la sesión que confirmó el servidor)
+    // y mt.users. Devuelve el usuario logueado (ej: {email, name, role}) o null si no hay sesión vigente.
+    // Nombre y rol salen del registro del usuario: editar mt.session a mano no da permisos.
+    getSession() {
+      const token = this.sessionToken();
+      if (!token) return null;
+      const sessions = Store.backend === RestBackend ? [RestBackend.session].filter(Boolean) : this.getSessions();
+      const sess = sessions.find(x => x.token === token && x.expires > Date.now());
+      const u = sess && Auth.findUser(this.getUsers(), sess.email);
+      return u ? { email: u.email, name: u.name, last: u.last || "", role: u.role, token } : null;
+    },
+    // Guarda el token de la sesión actual (ej: cuando alguien hace login; ver Auth.startSession).
     // Llama a updateUserMenu() para actualizar el navbar (mostrar nombre y botón de logout).
-    setSession(obj) { localStorage.setItem(LS_KEYS.SESSION, JSON.stringify(obj)); this.updateUserMenu(); },
+    setSession(token) { localStorage.setItem(LS_KEYS.SESSION, JSON.stringify({ token })); this.updateUserMenu(); },
 
     // Elimina la sesión del usuario.
     // Refresca el navbar para volver a “Cuenta / Iniciar sesión”.
     clearSession() { localStorage.removeItem(LS_KEYS.SESSION); this.updateUserMenu(); },
 
 // ----- Seed initial data -----
-// Inicializa datos de DEMO (solo si aún no existen en localStorage).
-seed() {
-  // Crea usuarios demo si no existe la clave mt.users
-  if (!localStorage.getItem(LS_KEYS.USERS)) {
+// Inicializa datos de DEMO (solo si aún no existen en el backend).
+// Resuelve false si algún guardado falló (Store.set ya mostró el error).
+async seed() {
+  const saves = [];
+  // Crea usuarios demo (clave "demo1234", con el largo de Auth.PASSWORD_MIN) si no existe la clave
+  // mt.users y estamos en modo demo.
+  // Sin modo demo no se crea ningún admin aquí: el primero se siembra en el servidor (ADMIN_EMAIL y
+  // ADMIN_PASSWORD en server/mock-server.js); el registro público solo crea clientes.
+  if (!Store.has(LS_KEYS.USERS) && CONFIG.DEMO) {
     const users = [
-      { email: "admin@correo.cl", pass: "123456", name: "Admin", role: "admin" },
-      { email: "user@correo.cl", pass: "123456", name: "Usuario", role: "user" },
+      { email: "admin@correo.cl", name: "Admin", role: "admin" },
+      { email: "user@correo.cl", name: "Usuario", role: "user" },
     ];
-    localStorage.setItem(LS_KEYS.USERS, JSON.stringify(users));
+    for (const u of users) u.password = await Passwords.hash("demo1234");
+    saves.push(this.saveUsers(users));
   }
 
-  // Crea productos demo si no existe la clave mt.products
-  if (!localStorage.getItem(LS_KEYS.PRODUCTS)) {
+  // Crea productos demo (libros y mangas) si no existe la clave mt.products. Con la API, el
+  // catálogo, los cupones y el libro de inventario solo los siembra un admin.
+  if (!Store.has(LS_KEYS.PRODUCTS) && Store.canWrite(LS_KEYS.PRODUCTS)) {
     const products = [
-      { id: 1, name: "Café de grano", format: "500g", desc: "Tostado medio, origen Colombia.", price: 7990, stock: 12, img: "https://picsum.photos/seed/cafe/600/400" },
-      { id: 2, name: "Té verde", format: "200g", desc: "Hojas premium, sabor herbal.", price: 4990, stock: 20, img: "https://picsum.photos/seed/te/600/400" },
-      { id: 3, name: "Chocolate amargo", format: "80% cacao", desc: "Barra 100g, intenso.", price: 2990, stock: 8, img: "https://picsum.photos/seed/choco/600/400" },
-      { id: 4, name: "Avena integral", format: "1kg", desc: "Ideal para desayuno.", price: 3590, stock: 30, img: "https://picsum.photos/seed/avena/600/400" },
-      { id: 5, name: "Mermelada frutilla", format: "400g", desc: "Sin azúcar añadida.", price: 4290, stock: 15, img: "https://picsum.photos/seed/merme/600/400" },
-      { id: 6, name: "Aceite de oliva", format: "500ml", desc: "Extra virgen.", price: 9490, stock: 10, img: "https://picsum.photos/seed/oliva/600/400" },
+      { id: 1, name: "Cien años de soledad", format: "Tapa blanda", desc: "La saga de los Buendía en Macondo.", price: 15990, stock: 12, img: "https://picsum.photos/seed/macondo/600/400",
+        isbn: "9789562470117", authors: ["Gabriel García Márquez"], publisher: "Debolsillo", year: 2014, language: "es", pages: 496, genres: ["Novela", "Realismo mágico"], category: "libro", series: "", volume: null },
+      { id: 2, name: "La casa de los espíritus", format: "Tapa blanda", desc: "Cuatro generaciones de la familia Trueba.", price: 13990, stock: 10, img: "https://picsum.photos/seed/espiritus/600/400",
+        isbn: "9789569041129", authors: ["Isabel Allende"], publisher: "Debolsillo", year: 2018, language: "es", pages: 512, genres: ["Novela"], category: "libro", series: "", volume: null },
+      { id: 3, name: "Veinte poemas de amor y una canción desesperada", format: "Bolsillo", desc: "El poemario más leído de Neruda.", price: 8990, stock: 20, img: "https://picsum.photos/seed/neruda/600/400",
+        isbn: "9789561240032", authors: ["Pablo Neruda"], publisher: "Seix Barral", year: 2004, language: "es", pages: 112, genres: ["Poesía"], category: "libro", series: "", volume: null },
+      { id: 4, name: "El principito", format: "Tapa dura", desc: "Un clásico para todas las edades.", price: 7990, stock: 25, img: "https://picsum.photos/seed/principito/600/400",
+        isbn: "9789568380151", authors: ["Antoine de Saint-Exupéry"], publisher: "Salamandra", year: 2016, language: "es", pages: 96, genres: ["Infantil", "Fábula"], category: "libro", series: "", volume: null },
+      { id: 5, name: "One Piece", format: "Tankōbon", desc: "Luffy zarpa en busca del One Piece.", price: 7990, stock: 15, img: "https://picsum.photos/seed/onepiece1/600/400",
+        isbn: "9789878199016", authors: ["Eiichiro Oda"], publisher: "Ivrea", year: 2019, language: "es", pages: 208, genres: ["Shōnen", "Aventura"], category: "manga", series: "One Piece", volume: 1 },
+      { id: 6, name: "One Piece", format: "Tankōbon", desc: "La tripulación crece: llega Zoro.", price: 7990, stock: 0, img: "https://picsum.photos/seed/onepiece2/600/400",
+        isbn: "9789878199023", authors: ["Eiichiro Oda"], publisher: "Ivrea", year: 2019, language: "es", pages: 200, genres: ["Shōnen", "Aventura"], category: "manga", series: "One Piece", volume: 2 },
+      { id: 7, name: "Death Note", format: "Tankōbon", desc: "Un cuaderno que mata a quien se nombra en él.", price: 8490, stock: 8, img: "https://picsum.photos/seed/deathnote/600/400",
+        isbn: "9788467270013", authors: ["Tsugumi Ohba", "Takeshi Obata"], publisher: "Norma", year: 2020, language: "es", pages: 200, genres: ["Thriller", "Sobrenatural"], category: "manga", series: "Death Note", volume: 1 },
     ];
-    this.saveProducts(products); // persiste con el helper
+    saves.push(this.saveProducts(products), Store.set(LS_KEYS.SCHEMA, Books.SCHEMA_VERSION));
+  }
+
+  // Crea cupones demo si no existe la clave mt.coupons
+  if (!Store.has(LS_KEYS.COUPONS) && Store.canWrite(LS_KEYS.COUPONS)) {
+    saves.push(this.saveCoupons([
+      { code: "BIENVENIDA10", type: "porcentaje", value: 10, minSpend: 0, expires: "", perUserLimit: 1, category: "", active: true, description: "10% en tu primera compra" },
+      { code: "ENVIOGRATIS", type: "envio_gratis", value: 0, minSpend: 15000, expires: "", perUserLimit: 0, category: "", active: true, description: "Envío gratis sobre $15.000" },
+      { code: "MANGA3X2", type: "lleva_n", value: 2, minSpend: 0, expires: "", perUserLimit: 0, category: "manga", active: true, description: "Lleva 3 tomos de manga y paga 2" },
+    ]));
   }
+
+  // Migra productos guardados con el formato antiguo (sin datos de libro) en vez de borrarlos
+  saves.push(this.migrate(), this.migrateCart());
+
+  // Abre el libro de inventario con el stock actual (datos de antes de mt.stockMovements)
+  if (!Store.has(LS_KEYS.STOCK_MOVEMENTS)) saves.push(Inventory.open(this.getProducts()));
+  // Deja en el libro las reservas que vencieron desde la última visita
+  saves.push(Stock.expire());
+  return !(await Promise.all(saves)).includes(false);
+},
+
+// Pasa el carrito único de versiones anteriores (mt.cart + mt.cartCoupons) al dueño actual.
+// Las claves viejas solo se borran si el carrito quedó guardado; resuelve false si algo falló.
+async migrateCart() {
+  if (!Store.has(LS_KEYS.CART) && !Store.has(LS_KEYS.CART_COUPONS)) return true;
+  const items = Store.get(LS_KEYS.CART, []);
+  const coupons = Store.get(LS_KEYS.CART_COUPONS, []);
+  if ((items.length || coupons.length) && !(await this.updateCart({ items, coupons }))) return false;
+  const saved = await Promise.all([Store.set(LS_KEYS.CART, null), Store.set(LS_KEYS.CART_COUPONS, null)]);
+  return !saved.includes(false);
+},
+
+// Lleva los productos de mt.products al esquema de libro actual.
+// Solo corre una vez por versión (mt.schema) y conserva id, precio, stock, etc.
+// La versión se anota recién cuando los productos quedaron guardados; resuelve false si algo falló.
+async migrate() {
+  const version = parseInt(Store.get(LS_KEYS.SCHEMA, 1), 10);
+  if (version >= Books.SCHEMA_VERSION || !Store.canWrite(LS_KEYS.PRODUCTS)) return true;
+  if (!(await this.saveProducts(this.getProducts().map(p => Books.normalize(p))))) return false;
+  return Store.set(LS_KEYS.SCHEMA, Books.SCHEMA_VERSION);
 },
 
 // ----- UI helpers -----
+// Muestra u oculta el spinner de carga a pantalla completa (#appLoading).
+setLoading(on) {
+  let $el = $("#appLoading");
+  if (!$el.length) {
+    $el = $(`
+      <div id="appLoading" class="position-fixed top-0 start-0 w-100 h-100 d-none align-items-center justify-content-center bg-body bg-opacity-75" style="z-index:2000">
+        <div class="spinner-border text-primary" role="status"><span class="visually-hidden">Cargando...</span></div>
+      </div>
+    `).appendTo("body");
+  }
+  $el.toggleClass("d-none", !on).toggleClass("d-flex", on);
+},
+
+// Muestra un aviso de error arriba de la página (con botón "Reintentar" si se pasa retry).
+showError(msg, retry) {
+  const $alert = $(`
+    <div class="alert alert-danger alert-dismissible shadow position-fixed top-0 start-50 translate-middle-x mt-3" role="alert" style="z-index:2001;max-width:90%">
+      <span class="me-2"></span>
+      <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Cerrar"></button>
+    </div>
+  `).appendTo("body");
+  $alert.find("span").text(msg);
+  if (retry) $(`<button type="button" class="btn btn-sm btn-outline-danger">Reintentar</button>`).on("click", retry).insertAfter($alert.find("span"));
+},
+
+// Muestra u oculta el aviso "Sin conexión" (#offlineNotice) abajo a la izquierda.
+showOffline(on) {
+  let $el = $("#offlineNotice");
+  if (!$el.length) {
+    $el = $(`
+      <div id="offlineNotice" class="alert alert-warning shadow-sm position-fixed bottom-0 start-0 m-3 py-2 small d-none" role="status" style="z-index:2000;max-width:22rem"></div>
+    `).appendTo("body");
+  }
+  $el.text(Store.backend === RestBackend
+    ? "Sin conexión. Puedes seguir comprando: los cambios se enviarán al volver la conexión."
+    : "Sin conexión. Puedes seguir usando la tienda; algunas imágenes podrían no verse.");
+  $el.toggleClass("d-none", !on);
+},
+
 // Da formato CLP (miles y símbolo de peso chileno) a un número.
 formatCLP(v) {
   return v.toLocaleString("es-CL", { style: "currency", currency: "CLP", maximumFractionDigits: 0 });
 },
 
+// Devuelve una versión de fn que solo corre cuando pasan ms sin nuevas llamadas.
+debounce(fn, ms) {
+  let timer = null;
+  return function (...args) {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn.apply(this, args), ms);
+  };
+},
+
+// Pinta una paginación Bootstrap en $el (links con data-page) y el rango mostrado.
+// No pinta nada si cabe todo en una página.
+renderPager($el, page, size, total) {
+  const pages = Math.max(1, Math.ceil(total / size));
+  if (pages <= 1) { $el.empty(); return; }
+  // Ventana de hasta 5 números alrededor de la página actual
+  const from = Math.max(1, Math.min(page - 2, pages - 4));
+  const to = Math.min(pages, from + 4);
+  const item = (n, label, disabled, active) =>
+    `<li class="page-item ${disabled ? "disabled" : ""} ${active ? "active" : ""}"><a class="page-link" href="#" data-page="${n}">${label}</a></li>`;
+  let links = item(page - 1, "&laquo;", page <= 1);
+  for (let n = from; n <= to; n++) links += item(n, n, false, n === page);
+  links += item(page + 1, "&raquo;", page >= pages);
+  const first = (page - 1) * size + 1;
+  $el.html(`
+    <div class="d-flex align-items-center justify-content-between flex-wrap gap-2">
+      <div class="small text-muted">Mostrando ${first}–${Math.min(total, page * size)} de ${total}</div>
+      <ul class="pagination pagination-sm mb-0">${links}</ul>
+    </div>
+  `);
+},
+
+// Fecha y hora legible en formato chileno (ej: 19-10-2026, 14:05).
+formatDate(iso) {
+  return new Date(iso).toLocaleString("es-CL", { dateStyle: "short", timeStyle: "short" });
+},
+
 // Pone el año actual en el footer (id="year").
 updateYear() { 
   const y = new Date().getFullYear(); 
@@ -140,6 +650,7 @@ updateCartBadge() {
 },
 
 // Muestra en el navbar el estado de sesión (nombre + rol) o el menú por defecto.
+// Agrega al menú los enlaces de cuenta que correspondan (cambiar/recuperar clave, usuarios).
 updateUserMenu() {
   const s = this.getSession();
   if (s) {
@@ -149,11 +660,28 @@ updateUserMenu() {
     $("#userMenu").text("Cuenta");
     $("#logoutBtn").addClass("d-none");
   }
+
+  const unread = s ? Wishlist.unread(s.email).length : 0;
+  const low = s && s.role === "admin" ? Inventory.lowStock(this.getProducts()).length : 0;
+  const links = s
+    ? [["cuenta.html", "Mi cuenta"], ["deseos.html", "Lista de deseos"], ["cuenta.html#avisos", "Avisos" + (unread ? ` <span class="badge text-bg-danger">${unread}</span>` : "")]]
+      .concat(s.role === "admin" ? [["dashboard.html", "Panel de ventas"], ["pedidos.html", "Pedidos"], ["usuarios.html", "Usuarios"], ["inventario.html", "Inventario" + (low ? ` <span class="badge text-bg-warning">${low}</span>` : "")]] : [])
+    : [["recuperar.html", "Recuperar contraseña"]];
+  $("[data-auth-link]").remove();
+  $("#logoutBtn").closest("ul").find("a[href='login.html']").closest("li").toggleClass("d-none", !!s);
+  $("#logoutBtn").closest("li").before(links.map(([href, text]) =>
+    `<li data-auth-link><a class="dropdown-item" href="${href}">${text}</a></li>`).join(""));
 },
 
-// Cierra sesión y redirige al inicio.
-logout() {
+// Cierra sesión (la borra también de mt.sessions, o en la API) y redirige al inicio.
+// El carrito de la cuenta queda guardado; el navegador sigue con un carrito de invitado nuevo.
+async logout() {
+  const token = this.sessionToken();
+  if (token && Store.backend === RestBackend) await RestBackend.call("DELETE", "/session");
+  else if (token) await this.saveSessions(this.getSessions().filter(x => x.token !== token));
+  localStorage.removeItem(LS_KEYS.GUEST);
   this.clearSession();
+  this.updateCartBadge();
   window.location.href = "index.html";
 },
 
@@ -166,75 +694,380 @@ searchRedirect(e) {
   window.location.href = url.toString();
 },
 
+// Dropdown de sugerencias bajo el buscador del navbar (#navbarSearch).
+// Muestra los 5 productos más relevantes mientras se escribe; el índice se arma al primer uso.
+bindSearchSuggest() {
+  const $input = $("#navbarSearch");
+  if (!$input.length) return;
+  const $menu = $(`<div class="dropdown-menu w-100" id="navbarSuggest"></div>`);
+  $input.parent().addClass("position-relative").append($menu);
+
+  const close = () => $menu.removeClass("show").empty();
+  $input.on("input", this.debounce(() => {
+    const q = $input.val().trim();
+    if (q.length < 2) return close();
+    const index = Search.indexFor(this.getProducts());
+    const hits = Search.query(index, q).slice(0, 5);
+    if (!hits.length) return close();
+    $menu.html(hits.map(h => {
+      const url = new URL("catalogo.html", window.location.href);
+      url.searchParams.set("q", h.p.name);
+      return html`<a class="dropdown-item" href="${url}">
+        <div>${Html.raw(Search.highlight(h.p.name, h.terms))}</div>
+        <div class="small text-muted">${Html.raw(Search.highlight(Books.authorsText(h.p), h.terms))}</div>
+      </a>`;
+    }).join("")).addClass("show");
+  }, CONFIG.DEBOUNCE_MS));
+  // Flechas recorren las sugerencias; Escape cierra
+  $input.parent().on("keydown", e => {
+    if (e.key === "Escape") return close();
+    if (e.key !== "ArrowDown" && e.key !== "ArrowUp") return;
+    const $items = $menu.find(".dropdown-item");
+    if (!$items.length) return;
+    e.preventDefault();
+    const i = $items.index(document.activeElement);
+    const next = e.key === "ArrowDown" ? i + 1 : (i <= 0 ? -1 : i - 1);
+    if (next < 0 || next >= $items.length) $input.trigger("focus");
+    else $items.eq(next).trigger("focus");
+  });
+  // Cierra al salir del buscador (con retardo para permitir el click en una sugerencia)
+  $input.parent().on("focusout", () => setTimeout(() => {
+    if (!$.contains($input.parent()[0], document.activeElement)) close();
+  }, 150));
+},
+
+// Acciones de los botones que pintan las vistas (data-*), con listeners delegados en document:
+// no hace falta onclick inline ni que App sea global. Las imágenes con data-fallback que no
+// cargan pasan a la imagen por defecto ("error" no burbujea, por eso se escucha en captura).
+bindActions() {
+  $(document)
+    .on("click", "[data-add-to-cart]", e => this.addToCart(+$(e.currentTarget).data("addToCart")))
+    .on("change", "[data-cart-qty]", e => this.updateQty(+$(e.currentTarget).data("cartQty"), e.currentTarget.value))
+    .on("click", "[data-cart-remove]", e => this.removeFromCart(+$(e.currentTarget).data("cartRemove")));
+  document.addEventListener("error", e => {
+    const img = e.target;
+    if (img.tagName !== "IMG" || !img.hasAttribute("data-fallback")) return;
+    img.removeAttribute("data-fallback"); // una sola vez, por si falta también la de reemplazo
+    img.src = Books.NO_IMAGE;
+  }, true);
+
+  // Buscador y "Cerrar sesión" del navbar
+  $("#navbarSearch").closest("form").on("submit", e => this.searchRedirect(e));
+  $("#logoutBtn").on("click", () => this.logout());
+},
+
+// Registra sw.js (app instalable y páginas, librerías e imágenes guardadas para usar sin red).
+// Solo en http(s): abriendo los .html como archivo (file://) no hay service worker.
+registerServiceWorker() {
+  if (!CONFIG.SERVICE_WORKER || !("serviceWorker" in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+  navigator.serviceWorker.register("sw.js").catch(() => {}); // sin él la tienda funciona igual, solo que no offline
+},
+
+// Aviso mientras no haya red. Con la API REST, al volver la conexión envía los cambios pendientes
+// (Outbox.flush), que a su vez refresca las vistas con "mt:change".
+bindConnection() {
+  $(window)
+    .on("offline", () => this.showOffline(true))
+    .on("online", () => {
+      this.showOffline(false);
+      if (Store.backend === RestBackend) Outbox.flush();
+    });
+  if (!navigator.onLine) this.showOffline(true);
+},
+
 // ----- Index -----
-// Renderiza productos destacados en la home (primeros 4).
+// Portada: destacados en #destacados (tarjetas del catálogo) y premium en las cajas de
+// .grid_libros. La lupa del menú despliega el buscador (#navbarSearch), que abre el catálogo.
 pageIndex() {
-  const prods = this.getProducts().slice(0, 4);
-  const $grid = $("#destacados");
-  prods.forEach(p => $grid.append(this.productCard(p)));
+  this.renderHome();
+  this.onChange([LS_KEYS.PRODUCTS, LS_KEYS.RESERVATIONS, LS_KEYS.REVIEWS], () => this.renderHome());
+
+  // Primer click en la lupa: muestra el campo; con el campo abierto, busca (vacío → catálogo completo)
+  const $form = $("#navbarSearch").closest("form");
+  $form.find("[data-search-toggle]").on("click", e => {
+    if ($form.hasClass("open")) return;
+    e.preventDefault();
+    $form.addClass("open");
+    $("#navbarSearch").trigger("focus");
+  });
+},
+
+// Pinta destacados y premium: una caja por título en las áreas box-1 a box-5 de .grid_container
+// (styles/styles.css); sin títulos premium la sección se oculta.
+renderHome() {
+  const products = this.getProducts();
+  const $grid = $("#destacados").empty();
+  this.showcase(products, "featured", 4).forEach(p => $grid.append(this.productCard(p)));
+  const premium = this.showcase(products, "premium", 5);
+  $(".grid_libros .grid_container").empty()
+    .append(premium.map((p, i) => $(`<article class="box"></article>`).css("grid-area", "box-" + (i + 1)).html(this.premiumBox(p))));
+  $(".grid_libros").toggleClass("d-none", !premium.length);
+},
+
+// Títulos que el admin marcó con flag ("featured" o "premium"), primero los que tienen stock.
+// Si no marcó ninguno: los mejor valorados (destacados) o los de mayor precio (premium) con stock.
+showcase(products, flag, count) {
+  const marked = products.filter(p => p[flag]);
+  if (marked.length) return marked.sort((a, b) => (Stock.available(b) > 0) - (Stock.available(a) > 0)).slice(0, count);
+  const rank = flag === "premium" ? p => p.price : p => Reviews.stats(p.id).avg || 0;
+  return products.filter(p => Stock.available(p) > 0).sort((a, b) => rank(b) - rank(a) || b.id - a.id).slice(0, count);
+},
+
+// Contenido de una caja de .grid_libros: portada con título y precio, y botón al carrito.
+premiumBox(p) {
+  const stock = Stock.available(p);
+  return html`
+    <a class="box_link" href="producto.html?id=${p.id}">
+      <img src="${Books.cover(p)}" alt="${Books.title(p)}" data-fallback>
+      <span class="box_info">
+        <span class="box_title">${Books.title(p)}</span>
+        <span class="box_price">${this.formatCLP(p.price)}</span>
+      </span>
+    </a>
+    <button type="button" class="box_btn" data-add-to-cart="${p.id}" ${stock > 0 ? "" : "disabled"}>${stock > 0 ? "Agregar al carrito" : "Sin stock"}</button>`;
 },
 
 // ----- Catálogo -----
 // Vista de catálogo: aplica búsqueda y orden y genera tarjetas.
 pageCatalogo() {
-  // Lee query ?q de la URL y la pone en el input
-  const urlQ = new URLSearchParams(window.location.search).get("q") || "";
-  $("#catalogSearch").val(urlQ);
+  // Estado inicial desde la URL (?q=...&cat=...&author=...&page=...)
+  let state = Catalog.readState(window.location.search);
+  let results = []; // productos filtrados y ordenados; solo se recalcula al cambiar filtros
 
-  // Función que filtra/ordena y vuelve a pintar
-  const render = () => {
-    const sort = $("#catalogSort").val();
-    const q = $("#catalogSearch").val().toLowerCase().trim();
+  // Paginación debajo del grid (se crea si el HTML no la trae)
+  let $pager = $("#catalogPager");
+  if (!$pager.length) $pager = $(`<div id="catalogPager" class="mt-3"></div>`).insertAfter("#catalogGrid");
+
+  // Orden por valoración (se agrega si el HTML no lo trae)
+  if (!$("#catalogSort option[value='rating']").length) $("#catalogSort").append(`<option value="rating">Mejor valorados</option>`);
+
+  // Pasa el estado a los controles (buscador, orden y panel de facetas)
+  const syncControls = () => {
+    $("#catalogSearch").val(state.q);
+    $("#catalogSort").val(state.sort);
+  };
+
+  // Filtra, ordena y recalcula facetas (una sola pasada sobre los datos)
+  const compute = () => {
+    const all = this.getProducts();
+    // Resultados de la búsqueda (id → {score, terms}); null si no hay texto
+    const hits = state.q ? new Map(Search.query(Search.indexFor(all), state.q).map(h => [h.p.id, h])) : null;
+    let items = all.filter(p => Catalog.matches(p, state, null, hits));
 
-    // Filtra por nombre o descripción
-    let items = this.getProducts().filter(p =>
-      p.name.toLowerCase().includes(q) || p.desc.toLowerCase().includes(q)
-    );
+    // Ordenamientos disponibles (sin orden elegido y con búsqueda → por relevancia)
+    if (!state.sort && hits) items.sort((a,b)=>hits.get(b.id).score-hits.get(a.id).score);
+    if (state.sort === "precio_asc") items.sort((a,b)=>a.price-b.price);
+    if (state.sort === "precio_desc") items.sort((a,b)=>b.price-a.price);
+    if (state.sort === "stock") items.sort((a,b)=>b.stock-a.stock);
+    if (state.sort === "rating") items.sort((a,b)=>Reviews.compare(a.id, b.id));
 
-    // Ordenamientos disponibles
-    if (sort === "precio_asc") items.sort((a,b)=>a.price-b.price);
-    if (sort === "precio_desc") items.sort((a,b)=>b.price-a.price);
-    if (sort === "stock") items.sort((a,b)=>b.stock-a.stock);
+    // Facetas con conteos calculados sobre el catálogo completo
+    Catalog.renderFacets(all, state, hits);
+    results = items.map(p => ({ p, terms: hits && hits.get(p.id).terms }));
+  };
 
-    // Pinta grid
+  // Pinta solo la página actual del resultado
+  const render = () => {
     const $grid = $("#catalogGrid").empty();
-    if (!items.length) {
+    if (!results.length) {
       $grid.append(`<div class="col-12 text-center text-muted py-5">Sin resultados</div>`);
+      $pager.empty();
       return;
     }
-    items.forEach(p => $grid.append(this.productCard(p)));
+    const pages = Math.ceil(results.length / CONFIG.PAGE_SIZE);
+    state.page = Math.min(state.page, pages);
+    const start = (state.page - 1) * CONFIG.PAGE_SIZE;
+    results.slice(start, start + CONFIG.PAGE_SIZE).forEach(({ p, terms }) => $grid.append(this.productCard(p, terms)));
+    this.renderPager($pager, state.page, CONFIG.PAGE_SIZE, results.length);
   };
 
-  // Re-render cuando cambie buscador u orden
-  $("#catalogSort, #catalogSearch").on("input change", render);
+  // Aplica un cambio al estado, lo refleja en la URL y re-pinta.
+  // push=true crea una entrada de historial (clicks); false la reemplaza (tipeo).
+  const update = (changes, push) => {
+    state = Object.assign({}, state, changes, { page: 1 });
+    Catalog.writeUrl(state, push);
+    compute();
+    render();
+  };
+
+  // Re-render cuando cambie buscador u orden (el buscador espera a que se deje de tipear)
+  $("#catalogSearch").on("input", this.debounce(() => update({ q: $("#catalogSearch").val().trim() }, false), CONFIG.DEBOUNCE_MS));
+  $("#catalogSort").on("change", () => update({ sort: $("#catalogSort").val() }, true));
+
+  // Cambio de página: no recalcula filtros, solo corta otra porción
+  $pager.on("click", "[data-page]", e => {
+    e.preventDefault();
+    state = Object.assign({}, state, { page: +$(e.currentTarget).data("page") });
+    Catalog.writeUrl(state, true);
+    render();
+    $("#catalogGrid")[0].scrollIntoView({ behavior: "smooth" });
+  });
+
+  // Eventos del panel de facetas (delegados, el panel se re-pinta completo)
+  $(document)
+    .on("change", "#catalogFacets [data-facet]", e => {
+      const facet = $(e.target).data("facet");
+      const values = $(`#catalogFacets [data-facet="${facet}"]:checked`).map((i, el) => el.value).get();
+      update({ [facet]: values }, true);
+    })
+    .on("change", "#catalogFacets [data-range]", e => {
+      const v = parseInt(e.target.value, 10);
+      update({ [$(e.target).data("range")]: isNaN(v) ? null : v }, true);
+    })
+    .on("change", "#facetStock", e => update({ stock: e.target.checked }, true))
+    .on("click", "#facetClear", () => { update(Catalog.readState(""), true); syncControls(); });
+
+  // Stock cambiado en otra pestaña (compras, admin, reservas) → recalcula
+  this.onChange([LS_KEYS.PRODUCTS, LS_KEYS.RESERVATIONS, LS_KEYS.REVIEWS], () => { compute(); render(); });
+
+  // Atrás/adelante del navegador restaura la vista filtrada
+  $(window).on("popstate", () => {
+    state = Catalog.readState(window.location.search);
+    syncControls();
+    compute();
+    render();
+  });
+
+  syncControls();
+  compute();
   render(); // primer render
 },
 
 // Construye una card Bootstrap para un producto (con botón Agregar).
-productCard(p) {
-  const disabled = p.stock <= 0 ? "disabled" : "";
-  const stockBadge = `<span class="badge rounded-pill ${p.stock>0 ? 'text-bg-success' : 'text-bg-secondary'} stock-badge">${p.stock>0? 'Stock: '+p.stock : 'Sin stock'}</span>`;
-  return $(`
+// terms (opcional) son los términos de búsqueda a resaltar con <mark>.
+// El stock mostrado descuenta lo que otros carritos tienen reservado.
+productCard(p, terms) {
+  const stock = Stock.available(p);
+  const disabled = stock <= 0 ? "disabled" : "";
+  const series = Books.seriesText(p);
+  const hl = text => Html.raw(Search.highlight(text, terms)); // escapa y marca los términos
+  const stockBadge = html`<span class="badge rounded-pill ${stock>0 ? 'text-bg-success' : 'text-bg-secondary'} stock-badge">${stock>0? 'Stock: '+stock : 'Sin stock'}</span>`;
+  return $(html`
     <div class="col-12 col-sm-6 col-lg-4">
       <div class="card h-100 shadow-sm card-product">
-        <img src="${(p.img && p.img.trim()) ? p.img : 'assets/img/no-image.jpg'}" class="card-img-top" alt="${p.name}" onerror="this.onerror=null;this.src='assets/img/no-image.jpg';">
+        <img src="${Books.cover(p)}" class="card-img-top" alt="${p.name}" data-fallback>
         <div class="card-body d-flex flex-column">
-          <h5 class="card-title mb-1">${p.name} <small class="text-muted">${p.format||''}</small></h5>
-          <p class="card-text small flex-grow-1">${p.desc||''}</p>
+          <div class="mb-1 d-flex justify-content-between align-items-start">
+            <span class="badge text-bg-light border">${Books.CATEGORIES[p.category]||''}</span>
+            ${Html.raw(Wishlist.heart(p.id))}
+          </div>
+          <h5 class="card-title mb-1"><a class="link-body-emphasis text-decoration-none" href="producto.html?id=${p.id}">${hl(p.name)}</a> <small class="text-muted">${p.format||''}</small></h5>
+          <div class="small text-muted mb-1">${hl(Books.authorsText(p))}${series ? [' · ', hl(series)] : ''}</div>
+          ${Html.raw(Reviews.badge(p.id))}
+          <p class="card-text small flex-grow-1">${hl(p.desc||'')}</p>
           <div class="d-flex align-items-center justify-content-between">
             <div class="price">${this.formatCLP(p.price)}</div>
-            ${stockBadge}
+            ${Html.raw(stockBadge)}
           </div>
-          <button class="btn btn-primary w-100 mt-2" ${disabled} onclick="App.addToCart(${p.id})">Agregar</button>
+          <button class="btn btn-primary w-100 mt-2" ${disabled} data-add-to-cart="${p.id}">Agregar</button>
+          ${Html.raw(stock <= 0 ? Wishlist.alertButton(p.id) : "")}
         </div>
       </div>
     </div>
   `);
 },
 
+// ----- Ficha de producto -----
+// producto.html?id=...: galería, ficha técnica completa, compra, reseñas y títulos relacionados.
+// Se re-pinta si otra pestaña cambia stock o reseñas.
+pageProduct() {
+  const id = parseInt(new URLSearchParams(window.location.search).get("id"), 10);
+  const render = () => {
+    const p = this.getProducts().find(x => x.id === id);
+    const $box = $("#productDetail").empty();
+    if (!p) {
+      $box.append(`<div class="text-center text-muted py-5">No encontramos ese título. <a href="catalogo.html">Ir al catálogo</a></div>`);
+      return;
+    }
+    document.title = Books.title(p) + " | MiniTienda";
+
+    const stock = Stock.available(p);
+    const images = [p.img].concat(p.images || []).map(src => Html.safeUrl(src)).filter(Boolean);
+    const thumbs = images.length > 1 ? images.map((src, i) => html`
+      <button type="button" class="btn p-0 border ${i === 0 ? "border-primary" : ""}" data-gallery="${i}">
+        <img src="${src}" alt="" width="72" height="72" style="object-fit:cover" data-fallback>
+      </button>`).join("") : "";
+    const stats = Reviews.stats(p.id);
+    const row = (label, value) => value ? Html.raw(html`<tr><th class="fw-normal text-muted">${label}</th><td>${value}</td></tr>`) : "";
+
+    $box.append($(html`
+      <nav aria-label="breadcrumb">
+        <ol class="breadcrumb">
+          <li class="breadcrumb-item"><a href="catalogo.html">Catálogo</a></li>
+          <li class="breadcrumb-item"><a href="catalogo.html?cat=${p.category}">${Books.CATEGORIES[p.category] || ""}</a></li>
+          <li class="breadcrumb-item active" aria-current="page">${Books.title(p)}</li>
+        </ol>
+      </nav>
+      <div class="row g-4">
+        <div class="col-12 col-md-5">
+          <img id="galleryMain" src="${images[0] || Books.NO_IMAGE}" class="img-fluid rounded border w-100" alt="${p.name}" data-fallback>
+          <div class="d-flex flex-wrap gap-2 mt-2">${Html.raw(thumbs)}</div>
+        </div>
+        <div class="col-12 col-md-7">
+          <div class="d-flex justify-content-between align-items-start">
+            <h1 class="h3 mb-1">${Books.title(p)}</h1>
+            <span class="fs-4">${Html.raw(Wishlist.heart(p.id))}</span>
+          </div>
+          <div class="text-muted mb-2">${Books.authorsText(p)}</div>
+          <div class="mb-3">${Html.raw(stats.count ? `${Reviews.stars(stats.avg)} <a href="#reviews" class="small">${stats.avg.toFixed(1)} (${stats.count} reseña${stats.count === 1 ? "" : "s"})</a>` : '<span class="small text-muted">Sin reseñas todavía</span>')}</div>
+          <p>${p.desc || ""}</p>
+          <div class="d-flex align-items-center gap-3 mb-3">
+            <span class="price fs-4">${this.formatCLP(p.price)}</span>
+            <span class="badge rounded-pill ${stock > 0 ? "text-bg-success" : "text-bg-secondary"}">${stock > 0 ? "Stock: " + stock : "Sin stock"}</span>
+          </div>
+          <div style="max-width:320px">
+            <button class="btn btn-primary w-100" ${stock <= 0 ? "disabled" : ""} data-add-to-cart="${p.id}">Agregar al carrito</button>
+            ${Html.raw(stock <= 0 ? Wishlist.alertButton(p.id) : "")}
+          </div>
+          <h2 class="h6 mt-4">Ficha técnica</h2>
+          <table class="table table-sm small w-auto">
+            <tbody>
+              ${row("Formato", p.format)}
+              ${row("ISBN", p.isbn)}
+              ${row("Autor(es)", Books.authorsText(p))}
+              ${row("Editorial", p.publisher)}
+              ${row("Año", p.year)}
+              ${row("Idioma", Books.LANGUAGES[p.language] || p.language)}
+              ${row("Páginas", p.pages)}
+              ${row("Géneros", (p.genres || []).join(", "))}
+              ${row("Serie", Books.seriesText(p))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      <section id="reviews" class="mt-5"></section>
+      <section class="mt-5">
+        <h2 class="h5 mb-3">También te puede interesar</h2>
+        <div id="relatedGrid" class="row g-3"></div>
+      </section>
+    `));
+
+    Reviews.render(p);
+    const related = Reviews.related(p, this.getProducts());
+    const $related = $("#relatedGrid");
+    if (!related.length) $related.append(`<div class="col-12 text-muted small">No hay títulos relacionados.</div>`);
+    related.forEach(r => $related.append(this.productCard(r)));
+  };
+
+  render();
+  Reviews.refresh = render;
+  $("#productDetail")
+    .on("click", "[data-gallery]", e => {
+      const $btn = $(e.currentTarget);
+      $("#galleryMain").attr("src", $btn.find("img").attr("src"));
+      $btn.addClass("border-primary").siblings().removeClass("border-primary");
+    })
+    .on("submit", "#reviewForm", e => Reviews.submit(e, id))
+    .on("click", "[data-review-remove]", e => Reviews.remove($(e.currentTarget).data("reviewRemove")));
+  this.onChange([LS_KEYS.PRODUCTS, LS_KEYS.RESERVATIONS, LS_KEYS.REVIEWS], render);
+},
+
 // ----- Carrito -----
 // Vista del carrito: tabla con líneas, cálculo de totales y botón pagar.
-pageCarrito() {
+// Primero renueva las reservas de las líneas (sin pasar de lo que haya disponible) y pinta con
+// las que quedaron guardadas; si no se pudieron guardar, lo avisa sobre la tabla.
+async pageCarrito() {
+  const renewed = !this.getCart().length || await Stock.renew(this.getCart(), this.getProducts());
   const cart = this.getCart();
   const $container = $("#carritoContainer").empty();
 
@@ -243,12 +1076,12 @@ pageCarrito() {
     $container.append(`<div class="col-12 text-center text-muted py-5">Tu carrito está vacío.</div>`);
     $("#btnPagar").prop("disabled", true);
     $("#cartTotal").text(this.formatCLP(0));
+    $("#cartSummary, #checkoutWizard").empty();
     return;
   }
 
   // Crea la tabla
   const prods = this.getProducts();
-  let total = 0;
   const table = $(`
     <div class="col-12">
       <div class="table-responsive">
@@ -259,6 +1092,7 @@ pageCarrito() {
       </div>
     </div>
   `);
+  if (!renewed) $container.append(`<div class="col-12"><div class="alert alert-warning small">No se pudieron reservar las unidades de tu carrito: podrían agotarse antes de que pagues.</div></div>`);
   $container.append(table);
   const $tbody = $("#cartTableBody");
 
@@ -267,12 +1101,16 @@ pageCarrito() {
     const p = prods.find(x => x.id === item.pid);
     if (!p) return;
     const subtotal = p.price * item.qty;
-    total += subtotal;
-    $tbody.append($(`
+    const available = Stock.available(p);
+    const until = Stock.expiresAt(p.id);
+    const stockNote = item.qty > available
+      ? html`<div class="small text-danger">${available > 0 ? "Solo quedan " + available + " disponibles" : "Ya no quedan unidades disponibles"}</div>`
+      : html`<div class="small text-muted">Stock: ${available}${until ? " · reservado hasta " + new Date(until).toLocaleTimeString("es-CL", { timeStyle: "short" }) : ""}</div>`;
+    $tbody.append($(html`
       <tr>
         <td>
           <div class="d-flex align-items-center gap-2">
-            <img src="${(p.img && p.img.trim()) ? p.img : 'assets/img/no-image.jpg'}" onerror="this.onerror=null;this.src='assets/img/no-image.jpg';" style="width:64px;height:48px;object-fit:cover" class="rounded">
+            <img src="${Books.cover(p)}" data-fallback style="width:64px;height:48px;object-fit:cover" class="rounded" alt="">
             <div>
               <div class="fw-semibold">${p.name}</div>
               <div class="small text-muted">${p.format||''}</div>
@@ -280,139 +1118,694 @@ pageCarrito() {
           </div>
         </td>
         <td>
-          <input type="number" min="1" max="${p.stock}" value="${item.qty}" class="form-control form-control-sm" 
-                 onchange="App.updateQty(${p.id}, this.value)">
-          <div class="small text-muted">Stock: ${p.stock}</div>
+          <input type="number" min="1" max="${available}" value="${item.qty}" class="form-control form-control-sm" data-cart-qty="${p.id}">
+          ${Html.raw(stockNote)}
         </td>
         <td>${App.formatCLP(p.price)}</td>
         <td>${App.formatCLP(subtotal)}</td>
-        <td><button class="btn btn-sm btn-outline-danger" onclick="App.removeFromCart(${p.id})">Eliminar</button></td>
+        <td><button class="btn btn-sm btn-outline-danger" data-cart-remove="${p.id}">Eliminar</button></td>
       </tr>
     `));
   });
 
-  // Total y habilita pagar
-  $("#cartTotal").text(this.formatCLP(total));
-  $("#btnPagar").prop("disabled", false).off("click").on("click", () => this.checkout());
+  // Resumen (subtotal + envío elegido en el checkout, con su desglose de IVA) y habilita pagar
+  const totals = Checkout.totals(cart, prods, Checkout.load());
+  let $summary = $("#cartSummary");
+  if (!$summary.length) $summary = $(`<div id="cartSummary" class="col-12"></div>`).appendTo($container);
+  const discountRows = totals.promo.applied.map(d => Html.raw(html`
+        <dt class="col-7 fw-normal text-success">${d.label} <span class="badge text-bg-light border">${d.code}</span></dt>
+        <dd class="col-5 text-end text-success mb-1">${d.freeShipping ? "Envío gratis" : "−" + this.formatCLP(d.amount)}</dd>`));
+  $summary.html(html`
+    <div class="row g-3">
+      <div class="col-12 col-md-6">${Html.raw(Promotions.cartBox(totals.promo))}</div>
+      <div class="col-12 col-md-6 d-flex justify-content-md-end">
+      <dl class="row mb-0 small" style="min-width:260px">
+        <dt class="col-7 fw-normal">Subtotal</dt><dd class="col-5 text-end mb-1">${this.formatCLP(totals.subtotal)}</dd>
+        ${discountRows}
+        <dt class="col-7 fw-normal">Envío (${totals.method.label})</dt><dd class="col-5 text-end mb-1">${totals.shipping === 0 ? "Gratis" : this.formatCLP(totals.shipping)}</dd>
+        <dt class="col-7 fw-normal text-muted">Neto</dt><dd class="col-5 text-end text-muted mb-1">${this.formatCLP(totals.tax.net)}</dd>
+        <dt class="col-7 fw-normal text-muted">IVA (19%)</dt><dd class="col-5 text-end text-muted mb-1">${this.formatCLP(totals.tax.iva)}</dd>
+      </dl>
+      </div>
+    </div>
+  `);
+  Promotions.bindCartBox($summary);
+  $("#cartTotal").text(this.formatCLP(totals.total));
+  $("#btnPagar").prop("disabled", false).off("click").on("click", () => Checkout.open());
+  if (Checkout.isOpen()) {
+    Checkout.read(Checkout.load()); // conserva lo ya escrito en el paso visible
+    Checkout.render();
+  }
 },
 
-// Agrega un producto al carrito (valida stock y suma 1 unidad).
-addToCart(pid) {
+// Agrega un producto al carrito (valida stock disponible, suma 1 unidad y la reserva).
+// Resuelve true si carrito y reserva quedaron guardados; si uno falla, se deshace el otro.
+async addToCart(pid) {
   const prods = this.getProducts();
   const p = prods.find(x => x.id === pid);
-  if (!p) return;
+  if (!p) return false;
 
-  const cart = this.getCart();
+  // Copia: la memoria no cambia hasta guardar
+  const before = this.getCart();
+  const cart = before.map(it => Object.assign({}, it));
   const existing = cart.find(i => i.pid === pid);
 
   // Si ya existe en carrito, incrementa; si no, lo agrega
+  const available = Stock.available(p);
   if (existing) {
-    if (existing.qty + 1 > p.stock) { alert("No hay suficiente stock."); return; }
+    if (existing.qty + 1 > available) { alert("No hay suficiente stock."); return false; }
     existing.qty += 1;
   } else {
-    if (p.stock < 1) { alert("Sin stock."); return; }
+    if (available < 1) { alert("Sin stock."); return false; }
     cart.push({ pid, qty: 1 });
   }
 
-  // Persiste y actualiza badge
-  this.saveCart(cart);
+  // Persiste, reserva y actualiza badge. Si una parte no se guardó (Store.set ya avisó), la otra
+  // vuelve a la cantidad anterior: no queda una línea sin reserva ni una reserva sin línea.
+  const qty = existing ? existing.qty : 1;
+  const [cartSaved, reserved] = await Promise.all([this.saveCart(cart), Stock.reserve(pid, qty)]);
+  if (!cartSaved || !reserved) {
+    await Promise.all([cartSaved && this.saveCart(before), reserved && Stock.reserve(pid, qty - 1)]);
+  }
   this.updateCartBadge();
+  return cartSaved && reserved;
 },
 
-/* Cambia la cantidad de una línea del carrito con validación de stock.
-   Si excede el stock, ajusta a máximo disponible. Luego re-renderiza la vista. */
-updateQty(pid, value) {
+/* Cambia la cantidad de una línea del carrito con validación de stock disponible.
+   Si excede lo disponible, ajusta al máximo y actualiza la reserva. Como en addToCart, si el
+   carrito o la reserva no se guardó, el otro vuelve a la cantidad anterior. Luego re-renderiza la vista. */
+async updateQty(pid, value) {
   const qty = Math.max(1, parseInt(value||1,10));
   const prods = this.getProducts();
   const p = prods.find(x => x.id === pid);
-  const cart = this.getCart();
+  const before = this.getCart();
+  const cart = before.map(i => Object.assign({}, i));
   const it = cart.find(i=>i.pid===pid);
-  if (!it || !p) return;
+  if (!it || !p) return false;
+  const previous = it.qty;
 
-  if (qty > p.stock) { 
+  const available = Stock.available(p);
+  if (qty > available) { 
     alert("No hay suficiente stock."); 
-    it.qty = p.stock; 
+    it.qty = Math.max(1, available); 
   } else { 
     it.qty = qty; 
   }
 
-  this.saveCart(cart);
-  this.pageCarrito(); // refresca la tabla completa
+  const reserved = Math.min(it.qty, available);
+  const [cartSaved, reserveSaved] = await Promise.all([this.saveCart(cart), Stock.reserve(pid, reserved)]);
+  if (!cartSaved || !reserveSaved) {
+    await Promise.all([cartSaved && this.saveCart(before), reserveSaved && Stock.reserve(pid, Math.min(previous, available))]);
+  }
+  this.pageCarrito(); // refresca la tabla completa (con lo que quedó guardado)
+  return cartSaved && reserveSaved;
 },
 
-// Elimina una línea del carrito y vuelve a pintar la vista.
-removeFromCart(pid) {
-  const cart = this.getCart().filter(i=>i.pid!==pid);
-  this.saveCart(cart);
+// Elimina una línea del carrito y libera su reserva; si una de las dos no se guardó, la otra se
+// deshace y la vista no cambia.
+async removeFromCart(pid) {
+  const before = this.getCart();
+  const line = before.find(i=>i.pid===pid);
+  if (!line) return false;
+  const cart = before.filter(i=>i.pid!==pid);
+  const [cartSaved, released] = await Promise.all([this.saveCart(cart), Stock.reserve(pid, 0)]);
+  if (!cartSaved || !released) {
+    await Promise.all([cartSaved && this.saveCart(before), released && Stock.reserve(pid, line.qty)]);
+    return false;
+  }
   this.pageCarrito();
+  return true;
 },
 
-// "Checkout" de demo: descuenta stock de productos, limpia carrito y redirige a gracias.
-checkout() {
+// "Checkout" de demo: registra el pedido (el backend descuenta el stock), limpia carrito y redirige al pedido.
+// data son los datos ya validados del asistente (contacto, dirección y método de envío).
+// Antes de cobrar vuelve a leer stock y reservas del backend y revalida cada línea: si algo ya
+// no está disponible, lo informa y no crea el pedido (nunca descuenta más de lo que hay).
+// Espera a que los cambios queden guardados antes de salir de la página; si el pedido no se creó,
+// el carrito queda como estaba.
+async checkout(data) {
+  this.setLoading(true);
+  try {
+    await Store.reload([LS_KEYS.PRODUCTS, LS_KEYS.RESERVATIONS, LS_KEYS.ORDERS, LS_KEYS.STOCK_MOVEMENTS]);
+  } catch (err) {
+    this.setLoading(false);
+    this.showError("No se pudo verificar el stock. " + err.message);
+    return;
+  }
+  this.setLoading(false);
+
   const cart = this.getCart();
   const prods = this.getProducts();
 
-  // Descuenta del stock la cantidad comprada
-  cart.forEach(it => {
-    const p = prods.find(x=>x.id===it.pid);
-    if (p) p.stock = Math.max(0, p.stock - it.qty);
+  const issues = Stock.validate(cart, prods);
+  if (issues.length) {
+    this.pageCarrito();
+    Checkout.showIssues(issues);
+    return;
+  }
+
+  // El pedido guarda precios, cupones y datos del producto al momento de la compra (se arma antes
+  // de vaciar el carrito)
+  const draft = Orders.create(cart, prods, this.getSession(), data);
+  const coupons = this.getCartCoupons();
+
+  // El pedido se crea al final: antes se vacía el carrito y se sueltan sus reservas. Si algo de eso
+  // o el pedido no se guarda, carrito y reservas vuelven a como estaban; así nunca queda un pedido
+  // con el carrito lleno (que al reintentar se compraría dos veces).
+  this.setLoading(true);
+  const prepared = await Promise.all([this.updateCart({ items: [], coupons: [] }), Stock.release()]);
+  const restore = () => Promise.all([
+    prepared[0] && this.updateCart({ items: cart, coupons }), prepared[1] && Stock.renew(cart, this.getProducts())
+  ]).then(() => this.updateCartBadge());
+  if (prepared.includes(false)) {
+    await restore();
+    this.setLoading(false);
+    return;
+  }
+
+  // El backend le asigna el id y en la misma escritura vuelve a revisar el stock, lo descuenta y lo
+  // anota en el libro de inventario (con la API REST lo hace el servidor, así dos compras a la vez
+  // desde navegadores distintos no venden más de lo que hay). Si otra compra se llevó las unidades,
+  // no se crea.
+  let order;
+  try {
+    order = await Store.append(LS_KEYS.ORDERS, draft);
+  } catch (err) {
+    await Store.reload([LS_KEYS.PRODUCTS, LS_KEYS.RESERVATIONS]).catch(() => null);
+    await restore();
+    this.setLoading(false);
+    this.pageCarrito();
+    Checkout.showIssues(err.issues);
+    return;
+  }
+  if (!order) {
+    await restore();
+    this.setLoading(false);
+    return;
+  }
+  await Promise.all([
+    Store.reload([LS_KEYS.PRODUCTS, LS_KEYS.STOCK_MOVEMENTS]).catch(() => null), this.rememberCheckout(data)
+  ]);
+  this.updateCartBadge();
+  this.setLoading(false);
+  Checkout.clear();
+
+  // Redirección a la confirmación del pedido (la pestaña recuerda que es suyo aunque sea invitado)
+  sessionStorage.setItem(LS_KEYS.LAST_ORDER, order.id);
+  window.location.href = "pedido.html?id=" + order.id;
+},
+
+// Recuerda el celular y la última dirección usada para prellenar el próximo checkout (si aún no
+// tiene direcciones de envío guardadas, esta queda como la predeterminada). Se guarda solo con el
+// pedido ya creado: una compra que no se hizo no cambia la cuenta.
+rememberCheckout(data) {
+  const s = this.getSession();
+  const users = this.getUsers();
+  const user = s && users.find(u => u.email === s.email);
+  if (!user) return true;
+  Object.assign(user, { phone: data.contact.phone, shipping: data.address });
+  if (data.method !== "retiro" && !Account.addresses(user).some(a => a.type === "envio")) {
+    user.addresses = Account.addresses(user).concat(Account.newAddress(Object.assign({}, data.address, { type: "envio", isDefault: true })));
+  }
+  return this.saveUsers(users);
+},
+
+// ----- Pedidos -----
+// Detalle de un pedido (pedido.html?id=...). Sirve como confirmación tras pagar y como
+// vista de detalle desde "Mis pedidos". Solo lo ve su dueño, un admin o la pestaña que lo creó.
+// Un pedido hecho sin conexión se muestra con su id temporal hasta que se envía; luego, con el nuevo.
+pageOrder() {
+  let id = new URLSearchParams(window.location.search).get("id");
+  const last = sessionStorage.getItem(LS_KEYS.LAST_ORDER);
+  if (Outbox.isTemporary(id) && last && !Outbox.isTemporary(last) && !this.getOrders().some(o => String(o.id) === id)) {
+    window.history.replaceState(null, "", "pedido.html?id=" + encodeURIComponent(last));
+    id = last;
+  }
+  const order = this.getOrders().find(o => String(o.id) === id);
+  const $box = $("#orderDetail").empty();
+
+  if (!order || !Orders.canView(order, this.getSession())) {
+    $box.append(`<div class="text-center text-muted py-5">No encontramos ese pedido.</div>`);
+    return;
+  }
+
+  const fresh = sessionStorage.getItem(LS_KEYS.LAST_ORDER) === String(order.id);
+  const rows = order.items.map(it => Html.raw(html`
+    <tr>
+      <td>
+        <div class="fw-semibold">${it.name}</div>
+        <div class="small text-muted">${[it.format, it.isbn ? "ISBN " + it.isbn : ""].filter(Boolean).join(" · ")}</div>
+      </td>
+      <td>${it.qty}</td>
+      <td>${this.formatCLP(it.price)}</td>
+      <td class="text-end">${this.formatCLP(it.subtotal)}</td>
+    </tr>
+  `));
+
+  $box.append($(html`
+    <div>
+      ${Html.raw(!fresh ? "" : Outbox.isTemporary(order.id)
+        ? `<div class="alert alert-warning">¡Gracias por tu compra! Estás sin conexión: el pedido se enviará a la tienda apenas vuelva la conexión.</div>`
+        : `<div class="alert alert-success">¡Gracias por tu compra! Tu pedido quedó registrado.</div>`)}
+      <div class="d-flex justify-content-between align-items-start flex-wrap gap-2 mb-3">
+        <div>
+          <h1 class="h4 mb-1">Pedido ${Orders.number(order.id)} ${Html.raw(Orders.badge(order))}</h1>
+          <div class="small text-muted">Realizado el ${this.formatDate(order.createdAt)}</div>
+        </div>
+        ${Html.raw(this.getSession() ? `<a class="btn btn-outline-secondary btn-sm" href="mis-pedidos.html">Volver a mis pedidos</a>` : "")}
+      </div>
+      <div class="row g-4">
+        <div class="col-12 col-lg-8">
+          <div class="table-responsive">
+            <table class="table align-middle">
+              <thead><tr><th>Producto</th><th>Cantidad</th><th>Precio</th><th class="text-end">Subtotal</th></tr></thead>
+              <tbody>${rows}</tbody>
+              <tfoot>
+                <tr><td colspan="3">Subtotal</td><td class="text-end">${this.formatCLP(order.totals.subtotal)}</td></tr>
+                ${(order.discounts || []).map(d => Html.raw(html`<tr class="text-success"><td colspan="3">${d.label} (${d.code})</td><td class="text-end">${d.freeShipping ? "Envío gratis" : "−" + this.formatCLP(d.amount)}</td></tr>`))}
+                <tr><td colspan="3">Envío (${order.shipping.methodLabel || "—"})</td><td class="text-end">${order.totals.shipping ? this.formatCLP(order.totals.shipping) : "Gratis"}</td></tr>
+                ${Html.raw(order.totals.tax ? `
+                <tr class="text-muted small"><td colspan="3">Neto</td><td class="text-end">${this.formatCLP(order.totals.tax.net)}</td></tr>
+                <tr class="text-muted small"><td colspan="3">IVA (19%)</td><td class="text-end">${this.formatCLP(order.totals.tax.iva)}</td></tr>` : "")}
+                <tr><th colspan="3">Total</th><th class="text-end">${this.formatCLP(order.totals.total)}</th></tr>
+              </tfoot>
+            </table>
+          </div>
+        </div>
+        <div class="col-12 col-lg-4">
+          <div class="card mb-3">
+            <div class="card-body">
+              <h2 class="h6">Seguimiento</h2>
+              ${Html.raw(this.orderTimeline(order))}
+            </div>
+          </div>
+          <div class="card">
+            <div class="card-body">
+              <h2 class="h6">Cliente</h2>
+              <p class="small mb-3">${order.customer.name || "Invitado"}<br>${order.customer.email || ""}${order.customer.phone ? [Html.raw("<br>"), order.customer.phone] : ""}</p>
+              <h2 class="h6">${order.shipping.method === "retiro" ? "Retiro en tienda" : "Dirección de envío"}</h2>
+              <p class="small mb-3">${order.shipping.address || "Sin dirección registrada"}</p>
+              <h2 class="h6">Documento</h2>
+              <p class="small mb-0">${Tax.documentText(order.document)}</p>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  `));
+},
+
+// Línea de tiempo del pedido: los pasos del flujo normal con la fecha en que se alcanzaron
+// (los que faltan en gris) o, si se anuló, los pasos cumplidos y luego la cancelación/reembolso.
+orderTimeline(order) {
+  const history = Orders.history(order);
+  const reached = st => history.filter(h => h.status === st).pop();
+  const current = Orders.status(order);
+  const voided = Orders.VOID.includes(current);
+  const steps = voided ? history.map(h => h.status).filter((st, i, a) => a.indexOf(st) === i) : Orders.FLOW;
+  const items = steps.map(st => {
+    const h = reached(st);
+    const info = Orders.STATUSES[st];
+    const mark = st === current ? `text-bg-${info.badge}` : h ? "text-bg-light border" : "border text-muted";
+    return html`
+      <li class="d-flex gap-2 mb-2 ${h ? "" : "text-muted"}">
+        <span class="badge rounded-pill ${mark}">${h ? "✓" : "·"}</span>
+        <span>
+          <span class="${st === current ? "fw-semibold" : ""}">${info.label}</span>
+          ${h ? Html.raw(html`<br><span class="small text-muted">${this.formatDate(h.at)}</span>`) : ""}
+        </span>
+      </li>`;
   });
+  return html`<ol class="list-unstyled small mb-0">${Html.raw(items.join(""))}</ol>`;
+},
+
+// Historial "Mis pedidos": lista los pedidos del usuario logueado (más recientes primero).
+pageMyOrders() {
+  const s = this.getSession();
+  if (!s) {
+    alert("Inicia sesión para ver tus pedidos.");
+    window.location.href = "login.html";
+    return;
+  }
 
-  // Persiste cambios y vacía carrito
-  this.saveProducts(prods);
-  this.saveCart([]);
+  const orders = Orders.forUser(this.getOrders(), s.email);
+  const $box = $("#ordersList").empty();
+  if (!orders.length) {
+    $box.append(`<div class="text-center text-muted py-5">Aún no tienes pedidos. <a href="catalogo.html">Ir al catálogo</a></div>`);
+    return;
+  }
 
-  // Redirección a página de agradecimiento
-  window.location.href = "pedido.html";
+  const rows = orders.map(o => Html.raw(html`
+    <tr>
+      <td class="fw-semibold">${Orders.number(o.id)}</td>
+      <td>${this.formatDate(o.createdAt)}</td>
+      <td>${o.totals.items}</td>
+      <td>${this.formatCLP(o.totals.total)}</td>
+      <td>${Html.raw(Orders.badge(o))}</td>
+      <td class="text-end"><a class="btn btn-sm btn-outline-primary" href="pedido.html?id=${o.id}">Ver detalle</a></td>
+    </tr>
+  `));
+  $box.append($(html`
+    <div class="table-responsive">
+      <table class="table align-middle">
+        <thead><tr><th>N° pedido</th><th>Fecha</th><th>Productos</th><th>Total</th><th>Estado</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `));
 },
 
 // ----- Admin -----
-// Página de administración: restringe por rol y arma el listado con búsqueda.
-pageAdminProducts() {
+// Si no hay sesión o no es admin, avisa, redirige al inicio y devuelve false.
+requireAdmin() {
   const s = this.getSession();
-
-  // Si no hay sesión o no es admin, bloquea
   if (!s || s.role !== "admin") {
     alert("Acceso restringido a administradores.");
     window.location.href = "index.html";
-    return;
+    return false;
   }
+  return true;
+},
 
-  // Carga listado y habilita filtro en vivo
-  AdminProducts.refreshTable();
-  $("#adminSearch").on("input", AdminProducts.refreshTable);
-}
-};
-
-// ------- Módulo AdminProducts (CRUD de productos) -------
-const AdminProducts = {
-  // Limpia el formulario y prepara modo "Agregar"
-  reset() {
-    $("#prodId").val("");
-    $("#formTitle").text("Agregar producto");
-    $("#productForm")[0].reset();
-  },
+// Página de cupones: restringe por rol, arma la tabla y conecta el formulario.
+pageAdminCoupons() {
+  if (!this.requireAdmin()) return;
+  AdminCoupons.refreshTable();
+  $("#couponForm").on("submit", e => AdminCoupons.submit(e));
+  $("#couponReset").on("click", () => AdminCoupons.reset());
+  $("#couponTableBody")
+    .on("click", "[data-coupon-edit]", e => AdminCoupons.edit($(e.currentTarget).data("couponEdit")))
+    .on("click", "[data-coupon-remove]", e => AdminCoupons.remove($(e.currentTarget).data("couponRemove")));
+},
 
-  // Crea o actualiza un producto a partir del formulario.
-  submit(e) {
+// Pedidos (admin): restringe por rol, arma los filtros (estado, fechas, cliente) y conecta los
+// cambios de estado por fila.
+pageAdminOrders() {
+  if (!this.requireAdmin()) return;
+  $("#ordersStatus").html(`<option value="">Todos los estados</option>` +
+    Object.keys(Orders.STATUSES).map(st => `<option value="${st}">${Orders.STATUSES[st].label}</option>`).join(""));
+  const refresh = () => { AdminOrders.page = 1; AdminOrders.refreshTable(); };
+  AdminOrders.refreshTable();
+  $("#ordersStatus, #ordersFrom, #ordersTo").on("change", refresh);
+  $("#ordersCustomer").on("input", this.debounce(refresh, CONFIG.DEBOUNCE_MS));
+  $(document).on("click", "#ordersPager [data-page]", e => {
     e.preventDefault();
+    AdminOrders.page = +$(e.currentTarget).data("page");
+    AdminOrders.refreshTable();
+  });
+  $("#ordersTableBody").on("click", "[data-order-status]", e =>
+    AdminOrders.setStatus(+$(e.currentTarget).data("orderId"), $(e.currentTarget).data("orderStatus")));
+  this.onChange([LS_KEYS.ORDERS], () => AdminOrders.refreshTable());
+},
 
-    // Lee valores del form
-    const id = parseInt($("#prodId").val()||"", 10);
-    const name = $("#prodName").val().trim();
-    const format = $("#prodFormat").val().trim();
-    const desc = $("#prodDesc").val().trim();
-    const price = parseInt($("#prodPrice").val(), 10);
-    const stock = parseInt($("#prodStock").val(), 10);
+// Página de usuarios: restringe por rol, arma la tabla y conecta las acciones por fila.
+pageAdminUsers() {
+  if (!this.requireAdmin()) return;
+  AdminUsers.refreshTable();
+  $("#usersTableBody")
+    .on("change", "[data-user-role]", e => AdminUsers.setRole($(e.currentTarget).data("userRole"), e.currentTarget.value))
+    .on("click", "[data-user-unlock]", e => AdminUsers.unlock($(e.currentTarget).data("userUnlock")))
+    .on("click", "[data-user-remove]", e => AdminUsers.remove($(e.currentTarget).data("userRemove")));
+  this.onChange([LS_KEYS.USERS], () => AdminUsers.refreshTable());
+},
 
-    // Imagen: URL o archivo local (assets/img/xxx)
-    let img = "";
-    const imgSource = $("input[name='imgSource']:checked").val();
-    const urlVal = $("#prodImgUrl").val().trim();
-    const localVal = $("#prodImgLocal").val().trim();
-    if (imgSource === "local" && localVal) {
-      img = "assets/img/" + localVal;
-    } else if (urlVal) {
+// Login y registro (login.html): cada formulario llama a su función de Auth.
+pageLogin() {
+  $("#loginForm").on("submit", e => Auth.login(e));
+  $("#signupForm").on("submit", e => Auth.signup(e));
+},
+
+// Recuperar contraseña: sin ?token pide el correo; con ?email&token (el enlace) pide la clave nueva.
+pageRecover() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("token")) {
+    $("#recoverForm").addClass("d-none");
+    $("#resetForm").removeClass("d-none").on("submit", e => Auth.resetPassword(e, params.get("email") || "", params.get("token")));
+  } else {
+    $("#recoverForm").on("submit", e => Auth.requestReset(e));
+  }
+},
+
+// "Mi cuenta": requiere sesión. Datos personales, cambio de clave y direcciones guardadas.
+pageAccount() {
+  if (!this.getSession()) {
+    alert("Inicia sesión para ver tu cuenta.");
+    window.location.href = "login.html";
+    return;
+  }
+  Account.fillProfile();
+  Account.renderAddresses();
+  Account.resetAddress();
+  Account.renderNotifications();
+  this.onChange([LS_KEYS.NOTIFICATIONS], () => Account.renderNotifications());
+  $("#notificationsClear").on("click", () => Account.clearNotifications());
+  $("#notificationsList").on("click", "[data-notification-remove]", e => Account.removeNotification($(e.currentTarget).data("notificationRemove")));
+  $("#profileForm").on("submit", e => Account.saveProfile(e));
+  $("#passwordForm").on("submit", e => Auth.changePassword(e));
+  $("#addressForm").on("submit", e => Account.submitAddress(e));
+  $("#addressReset").on("click", () => Account.resetAddress());
+  $("#adRegion").on("change", e => Account.fillComunas(e.target.value));
+  $("#addressList")
+    .on("click", "[data-address-edit]", e => Account.editAddress($(e.currentTarget).data("addressEdit")))
+    .on("click", "[data-address-default]", e => Account.setDefault($(e.currentTarget).data("addressDefault")))
+    .on("click", "[data-address-remove]", e => Account.removeAddress($(e.currentTarget).data("addressRemove")));
+},
+
+// Lista de deseos: requiere sesión. Se re-pinta si cambia la lista o el stock (otra pestaña).
+pageWishlist() {
+  if (!this.getSession()) {
+    alert("Inicia sesión para ver tu lista de deseos.");
+    window.location.href = "login.html";
+    return;
+  }
+  Wishlist.render();
+  $("#wishlistGrid")
+    .on("click", "[data-wish-move]", e => Wishlist.moveToCart(+$(e.currentTarget).data("wishMove")))
+    .on("click", "[data-wish-remove]", e => Wishlist.toggle(+$(e.currentTarget).data("wishRemove")));
+  this.onChange([LS_KEYS.WISHLISTS, LS_KEYS.STOCK_ALERTS, LS_KEYS.PRODUCTS, LS_KEYS.RESERVATIONS], () => Wishlist.render());
+},
+
+// Cambiar contraseña: requiere sesión.
+pagePassword() {
+  if (!this.getSession()) {
+    alert("Inicia sesión para cambiar tu contraseña.");
+    window.location.href = "login.html";
+    return;
+  }
+  $("#passwordForm").on("submit", e => Auth.changePassword(e));
+},
+
+// Página de administración: restringe por rol y arma el listado con búsqueda.
+pageAdminProducts() {
+  if (!this.requireAdmin()) return;
+
+  // Búsqueda y página inicial desde la URL (?q=...&page=...)
+  const params = new URLSearchParams(window.location.search);
+  $("#adminSearch").val(params.get("q") || "");
+  AdminProducts.page = Math.max(1, parseInt(params.get("page"), 10) || 1);
+
+  // Carga listado y habilita filtro en vivo (con debounce) y paginación
+  AdminProducts.refreshTable();
+  $("#adminSearch").on("input", this.debounce(() => {
+    AdminProducts.page = 1;
+    AdminProducts.refreshTable();
+  }, CONFIG.DEBOUNCE_MS));
+  $(document).on("click", "#adminPager [data-page]", e => {
+    e.preventDefault();
+    AdminProducts.page = +$(e.currentTarget).data("page");
+    AdminProducts.refreshTable();
+  });
+  $("#adminTableBody")
+    .on("click", "[data-product-edit]", e => AdminProducts.edit(+$(e.currentTarget).data("productEdit")))
+    .on("click", "[data-product-remove]", e => AdminProducts.remove(+$(e.currentTarget).data("productRemove")))
+    .on("click", "[data-product-flag]", e => AdminProducts.toggleFlag(+$(e.currentTarget).data("productId"), $(e.currentTarget).data("productFlag")));
+  this.onChange([LS_KEYS.PRODUCTS], () => AdminProducts.refreshTable());
+  $("#productForm").on("submit", e => AdminProducts.submit(e));
+  $("#productReset").on("click", () => AdminProducts.reset());
+
+  // Exportar / importar (los botones se agregan junto al buscador)
+  $(`
+    <div id="adminTransfer" class="d-flex flex-wrap gap-2 my-2">
+      <div class="btn-group btn-group-sm">
+        <button type="button" class="btn btn-outline-secondary" data-export="view">Exportar vista (CSV)</button>
+        <button type="button" class="btn btn-outline-secondary" data-export="csv">Exportar catálogo (CSV)</button>
+        <button type="button" class="btn btn-outline-secondary" data-export="json">Exportar catálogo (JSON)</button>
+      </div>
+      <a class="btn btn-sm btn-outline-primary" href="importar.html">Importar…</a>
+    </div>
+  `).insertAfter($("#adminSearch").closest(".input-group").length ? $("#adminSearch").closest(".input-group") : $("#adminSearch"))
+    .on("click", "[data-export]", e => Transfer.export($(e.currentTarget).data("export")));
+},
+
+// Importación masiva: restringe por rol y conecta archivo → columnas → revisión → importación.
+pageImport() {
+  if (!this.requireAdmin()) return;
+  $("#importFile").on("change", e => Transfer.load(e.target.files[0]));
+  $("#importPreview").on("click", () => Transfer.preview());
+  $("#importRun").on("click", () => Transfer.run());
+},
+
+// Inventario: restringe por rol, pinta stock bajo e historial (?id= elige el producto) y conecta
+// el movimiento manual, el stock mínimo y la conciliación con el libro.
+pageInventory() {
+  if (!this.requireAdmin()) return;
+  const params = new URLSearchParams(window.location.search);
+  Inventory.renderProducts(this.getProducts());
+  $("#mvProduct").val(params.get("id") || "");
+  Inventory.render();
+
+  $("#mvType").html(Inventory.MANUAL.map(t => `<option value="${t}">${Inventory.TYPES[t].label}</option>`).join(""));
+  $("#mvProduct").on("change", () => Inventory.renderHistory(this.getProducts()));
+  $("#movementForm").on("submit", e => Inventory.submit(e));
+  $("#minStockForm").on("submit", e => Inventory.saveMinStock(e));
+  $(document)
+    .on("click", "[data-inventory-show]", e => {
+      $("#mvProduct").val($(e.currentTarget).data("inventoryShow")).trigger("change");
+      $("#historyCard")[0].scrollIntoView({ behavior: "smooth" });
+    })
+    .on("click", "[data-inventory-reconcile]", e => Inventory.reconcile($(e.currentTarget).data("inventoryReconcile")));
+  this.onChange([LS_KEYS.PRODUCTS, LS_KEYS.STOCK_MOVEMENTS, LS_KEYS.RESERVATIONS], () => Inventory.render());
+},
+
+// Panel de ventas: restringe por rol (igual que el CRUD de productos), toma el rango de la URL
+// (?from=YYYY-MM-DD&to=YYYY-MM-DD) y conecta los filtros y la exportación.
+pageDashboard() {
+  if (!this.requireAdmin()) return;
+  const params = new URLSearchParams(window.location.search);
+  $("#dashFrom").val(params.get("from") || "");
+  $("#dashTo").val(params.get("to") || "");
+  const apply = () => {
+    const { from, to } = Reports.range();
+    Reports.setRange(from, to);
+    Reports.render();
+  };
+  apply();
+
+  $("#dashFrom, #dashTo").on("change", apply);
+  $("[data-range]").on("click", e => {
+    const days = +$(e.currentTarget).data("range");
+    const today = new Date();
+    $("#dashFrom").val(Reports.dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1)));
+    $("#dashTo").val(Reports.dayKey(today));
+    apply();
+  });
+  $("[data-report-export]").on("click", e => Reports.export($(e.currentTarget).data("reportExport")));
+  this.onChange([LS_KEYS.ORDERS, LS_KEYS.PRODUCTS, LS_KEYS.CARTS], () => Reports.render());
+}
+};
+
+// ------- Módulo Html (plantillas que escapan por defecto) -------
+// Nombres, descripciones, autores, reseñas, cupones y datos de cuentas vienen del admin, de
+// importaciones o de los clientes: nunca se insertan como HTML. Las vistas se arman con
+// html`...`, que escapa cada ${valor}; el HTML ya armado (otra plantilla o un helper que devuelve
+// HTML) se inserta marcándolo con Html.raw(). Las URLs de imágenes y enlaces pasan por safeUrl.
+const RAW = Symbol("html.raw"); // un JSON importado no puede fabricar esta marca
+
+const Html = {
+  ENTITIES: { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" },
+
+  // Texto → HTML (sirve dentro de etiquetas y de atributos entre comillas).
+  escape(v) {
+    return String(v === null || v === undefined ? "" : v).replace(/[&<>"']/g, ch => this.ENTITIES[ch]);
+  },
+
+  // Marca HTML confiable para insertarlo sin escapar en html`...`.
+  raw(v) {
+    return { [RAW]: String(v === null || v === undefined ? "" : v) };
+  },
+
+  // Valor interpolado: raw tal cual, arreglos elemento a elemento, el resto escapado.
+  value(v) {
+    if (Array.isArray(v)) return v.map(x => this.value(x)).join("");
+    if (v && typeof v === "object" && RAW in v) return v[RAW];
+    return this.escape(v);
+  },
+
+  // Implementación del tag html`...`.
+  template(strings, values) {
+    return strings.reduce((out, str, i) => out + str + (i < values.length ? this.value(values[i]) : ""), "");
+  },
+
+  // URL apta para src/href: http(s), rutas relativas (assets/img/..., producto.html?id=1) o una
+  // imagen data: en base64. Cualquier otro esquema (javascript:, vbscript:, data:text/html...)
+  // devuelve fallback. Los navegadores ignoran espacios y controles dentro del esquema, así que
+  // se quitan antes de revisarlo.
+  safeUrl(url, fallback = "") {
+    const u = String(url === null || url === undefined ? "" : url).trim();
+    if (!u) return fallback;
+    if (/^data:image\/(png|jpe?g|gif|webp|avif);base64,[a-z0-9+/=]+$/i.test(u)) return u;
+    const scheme = u.replace(/[\u0000- \u007f]/g, "").match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme) return /^https?$/i.test(scheme[1]) ? u : fallback;
+    return u;
+  },
+
+  // ¿Es una URL de imagen aceptable? (para validar formularios e importaciones)
+  isSafeUrl(url) {
+    return this.safeUrl(url, null) !== null;
+  }
+};
+
+// Tag de plantilla: html`<b>${texto}</b>` → "<b>&lt;texto&gt;</b>"
+const html = (strings, ...values) => Html.template(strings, values);
+
+// ------- Módulo AdminProducts (CRUD de productos) -------
+const AdminProducts = {
+  // Página actual de la tabla (se refleja en la URL)
+  page: 1,
+  // Productos de la búsqueda actual, en el orden de la tabla (todas las páginas)
+  view: [],
+
+  // Limpia el formulario y prepara modo "Agregar"
+  reset() {
+    $("#prodId").val("");
+    $("#formTitle").text("Agregar producto");
+    $("#productForm")[0].reset();
+  },
+
+  // Crea o actualiza un producto a partir del formulario.
+  async submit(e) {
+    e.preventDefault();
+
+    // Lee valores del form
+    const id = parseInt($("#prodId").val()||"", 10);
+    const name = $("#prodName").val().trim();
+    const format = $("#prodFormat").val().trim();
+    const desc = $("#prodDesc").val().trim();
+    const price = parseInt($("#prodPrice").val(), 10);
+    const stock = parseInt($("#prodStock").val(), 10);
+
+    // Datos de libro (los campos que falten en el formulario quedan vacíos)
+    const field = sel => String($(sel).val() || "").trim();
+    const isbn = Books.normalizeISBN(field("#prodIsbn"));
+    const category = field("#prodCategory") || "libro";
+    const book = Books.normalize({
+      isbn, category,
+      authors: field("#prodAuthors"),
+      publisher: field("#prodPublisher"),
+      year: field("#prodYear"),
+      language: field("#prodLanguage"),
+      pages: field("#prodPages"),
+      genres: field("#prodGenres"),
+      series: field("#prodSeries"),
+      volume: field("#prodVolume"),
+      images: field("#prodGallery").split(/[\n,]/),
+      minStock: field("#prodMinStock"),
+      featured: $("#prodFeatured").prop("checked"),
+      premium: $("#prodPremium").prop("checked")
+    });
+    if (!$("#prodGallery").length) delete book.images; // sin el campo en el HTML, conserva la galería
+    if (!$("#prodMinStock").length) delete book.minStock; // ídem con el stock mínimo
+    if (!$("#prodFeatured").length) delete book.featured; // y con las marcas de portada
+    if (!$("#prodPremium").length) delete book.premium;
+
+    // Imagen: URL o archivo local (assets/img/xxx)
+    let img = "";
+    const imgSource = $("input[name='imgSource']:checked").val();
+    const urlVal = $("#prodImgUrl").val().trim();
+    const localVal = $("#prodImgLocal").val().trim();
+    if (imgSource === "local" && localVal) {
+      img = "assets/img/" + localVal;
+    } else if (urlVal) {
       img = urlVal;
     } else {
       // Placeholder si no se definió nada
@@ -425,16 +1818,48 @@ const AdminProducts = {
       return;
     }
 
-    // Inserta o actualiza en la lista y persiste
-    const list = App.getProducts();
+    // ISBN opcional, pero si viene debe tener dígito verificador válido y no repetirse.
+    // Copias: si el guardado falla, la memoria conserva el producto como estaba.
+    const list = App.getProducts().map(p => Object.assign({}, p));
+    if (isbn && !Books.isValidISBN(isbn)) {
+      alert("ISBN inválido (revise el dígito verificador).");
+      return;
+    }
+    if (isbn && list.some(x => x.id !== id && x.isbn === isbn)) {
+      alert("Ya existe un producto con ese ISBN.");
+      return;
+    }
+    if (category === "manga" && !book.series) {
+      alert("Indique la serie del manga.");
+      return;
+    }
+    // Imágenes: solo http(s), rutas del sitio o data:image (ver Html.safeUrl)
+    if (!Html.isSafeUrl(img) || (book.images || []).some(u => !Html.isSafeUrl(u))) {
+      alert("URL de imagen no válida: use una dirección http(s) o un archivo de assets/img.");
+      return;
+    }
+
+    // Inserta o actualiza en la lista y persiste. Si cambia el stock queda un ajuste en el
+    // libro de inventario con el motivo del formulario (#prodStockReason, opcional).
+    const reason = field("#prodStockReason");
+    let move = null;
     if (id) {
       const p = list.find(x=>x.id===id);
-      if (p) Object.assign(p, { name, format, desc, price, stock, img });
+      if (p) {
+        const before = p.stock;
+        Object.assign(p, book, { name, format, desc, price, stock, img });
+        move = Inventory.change(p, before, "ajuste", reason || "Edición del producto");
+      }
     } else {
-      const newId = list.length ? Math.max(...list.map(x=>x.id))+1 : 1;
-      list.push({ id:newId, name, format, desc, price, stock, img });
+      const newId = await App.reserveProductIds(1);
+      if (newId === null) return;
+      const p = Object.assign({ id:newId, name, format, desc, price, stock, img }, book);
+      list.push(p);
+      move = Inventory.change(p, 0, "inicial", reason || "Alta del producto");
     }
-    App.saveProducts(list);
+    // Si algo no se guardó (Store.set ya avisó), el formulario queda como está para reintentar
+    const saved = await Promise.all([App.saveProducts(list), move ? Inventory.record([move]) : true]);
+    if (saved.includes(false)) return;
 
     // Limpia y refresca tabla
     this.reset();
@@ -443,26 +1868,66 @@ const AdminProducts = {
 
   // Vuelve a pintar la tabla del admin aplicando filtro por texto.
   refreshTable() {
-    const q = $("#adminSearch").val()?.toLowerCase() || "";
-    const list = App.getProducts().filter(p => (p.name+" "+(p.desc||"")).toLowerCase().includes(q));
+    const q = $("#adminSearch").val()?.trim() || "";
+    const products = App.getProducts();
+    // Con texto: resultados por relevancia y términos resaltados; sin texto: todo el catálogo
+    const hits = q ? Search.query(Search.indexFor(products), q) : products.map(p => ({ p, terms: null }));
     const $tbody = $("#adminTableBody").empty();
+    AdminProducts.view = hits.map(h => h.p); // lo que se exporta como "vista actual"
 
-    list.forEach(p => {
-      $tbody.append($(`
+    // Solo se pintan las filas de la página actual
+    const size = CONFIG.ADMIN_PAGE_SIZE;
+    AdminProducts.page = Math.min(AdminProducts.page, Math.max(1, Math.ceil(hits.length / size)));
+    const start = (AdminProducts.page - 1) * size;
+
+    // Mantiene búsqueda y página en la URL
+    const url = new URL(window.location.href);
+    url.search = "";
+    if (q) url.searchParams.set("q", q);
+    if (AdminProducts.page > 1) url.searchParams.set("page", AdminProducts.page);
+    window.history.replaceState(null, "", url.toString());
+
+    hits.slice(start, start + size).forEach(({ p, terms }) => {
+      const hl = text => Html.raw(Search.highlight(text, terms));
+      $tbody.append($(html`
         <tr>
-          <td>${p.name}</td>
+          <td>
+            <div>${hl(p.name)}${Books.seriesText(p) ? Html.raw(html` <small class="text-muted">(${hl(Books.seriesText(p))})</small>`) : ''}</div>
+            <div class="small text-muted">${hl(Books.authorsText(p))}${p.isbn ? ' · ISBN '+p.isbn : ''}</div>
+            <div class="d-flex gap-1 mt-1">
+              <button type="button" class="badge border ${p.featured ? "text-bg-primary" : "text-bg-light text-muted"}" data-product-flag="featured" data-product-id="${p.id}" title="Mostrar en Destacados de la portada">Destacado</button>
+              <button type="button" class="badge border ${p.premium ? "text-bg-warning" : "text-bg-light text-muted"}" data-product-flag="premium" data-product-id="${p.id}" title="Mostrar en Libros premium de la portada">Premium</button>
+            </div>
+          </td>
           <td>${p.format||""}</td>
           <td>${App.formatCLP(p.price)}</td>
-          <td>${p.stock}</td>
+          <td class="${p.stock <= Inventory.threshold(p) ? "text-danger" : ""}">${p.stock}</td>
           <td class="text-end">
             <div class="btn-group btn-group-sm">
-              <button class="btn btn-outline-secondary" onclick="AdminProducts.edit(${p.id})">Editar</button>
-              <button class="btn btn-outline-danger" onclick="AdminProducts.remove(${p.id})">Eliminar</button>
+              <button class="btn btn-outline-secondary" data-product-edit="${p.id}">Editar</button>
+              <a class="btn btn-outline-secondary" href="inventario.html?id=${p.id}">Historial</a>
+              <button class="btn btn-outline-danger" data-product-remove="${p.id}">Eliminar</button>
             </div>
           </td>
         </tr>
       `));
     });
+
+    // Paginación debajo de la tabla (se crea si el HTML no la trae)
+    let $pager = $("#adminPager");
+    if (!$pager.length) $pager = $(`<div id="adminPager" class="mt-2"></div>`).insertAfter($tbody.closest("table"));
+    App.renderPager($pager, AdminProducts.page, size, hits.length);
+  },
+
+  // Marca o desmarca un producto como destacado / premium de la portada (ver App.renderHome).
+  async toggleFlag(id, flag) {
+    const list = App.getProducts().map(p => Object.assign({}, p));
+    const p = list.find(x => x.id === id);
+    if (!p || !["featured", "premium"].includes(flag)) return;
+    p[flag] = !p[flag];
+    if (!await App.saveProducts(list)) return;
+    if (+$("#prodId").val() === id) $(flag === "featured" ? "#prodFeatured" : "#prodPremium").prop("checked", p[flag]);
+    this.refreshTable();
   },
 
   // Carga un producto en el formulario para edición.
@@ -476,6 +1941,20 @@ const AdminProducts = {
     $("#prodDesc").val(p.desc||"");
     $("#prodPrice").val(p.price);
     $("#prodStock").val(p.stock);
+    $("#prodIsbn").val(p.isbn||"");
+    $("#prodAuthors").val(Books.authorsText(p));
+    $("#prodPublisher").val(p.publisher||"");
+    $("#prodYear").val(p.year||"");
+    $("#prodLanguage").val(p.language||"es");
+    $("#prodPages").val(p.pages||"");
+    $("#prodGenres").val((p.genres||[]).join(", "));
+    $("#prodCategory").val(p.category||"libro");
+    $("#prodSeries").val(p.series||"");
+    $("#prodVolume").val(p.volume||"");
+    $("#prodGallery").val((p.images||[]).join("\n"));
+    $("#prodMinStock").val(p.minStock ?? "");
+    $("#prodFeatured").prop("checked", !!p.featured);
+    $("#prodPremium").prop("checked", !!p.premium);
 
     /* NOTA: Si estás usando el nuevo selector de imagen (URL / assets/img),
        rellena los campos correctos así (en vez de $("#prodImg")):
@@ -494,68 +1973,3808 @@ const AdminProducts = {
     window.scrollTo({ top: 0, behavior: "smooth" });
   },
 
-  // Elimina un producto por id (previa confirmación) y refresca la tabla.
-  remove(id) {
+  // Elimina un producto por id (previa confirmación) y refresca la tabla si se guardó.
+  async remove(id) {
     if (!confirm("¿Eliminar producto?")) return;
+    const p = App.getProducts().find(x=>x.id===id);
     const list = App.getProducts().filter(x=>x.id!==id);
-    App.saveProducts(list);
+    // El historial se conserva: el saldo del producto borrado queda en cero
+    const saved = await Promise.all([
+      App.saveProducts(list),
+      p ? Inventory.record([Inventory.entry(Object.assign({}, p, { stock: 0 }), -p.stock, "ajuste", "Producto eliminado")]) : true
+    ]);
+    if (saved.includes(false)) return;
     this.refreshTable();
   }
 };
 
-// ------- Autenticación (demo) -------
-const Auth = {
-  // Login: valida correo/clave contra mt.users, guarda sesión y redirige a home.
-  login(e) {
+// ------- Módulo AdminCoupons (CRUD de cupones) -------
+const AdminCoupons = {
+  // Limpia el formulario y prepara modo "Agregar"
+  reset() {
+    $("#couponOriginal").val("");
+    $("#couponFormTitle").text("Agregar cupón");
+    $("#couponForm")[0].reset();
+  },
+
+  // Crea o actualiza un cupón a partir del formulario. Si no se guardó, el formulario queda como estaba.
+  async submit(e) {
     e.preventDefault();
-    const email = $("#loginEmail").val().trim().toLowerCase();
-    const pass = $("#loginPass").val().trim();
-    const users = JSON.parse(localStorage.getItem(LS_KEYS.USERS)) || [];
+    const original = $("#couponOriginal").val();
+    const c = {
+      code: Promotions.normalizeCode($("#cpCode").val()),
+      type: $("#cpType").val(),
+      value: parseInt($("#cpValue").val() || "0", 10),
+      minSpend: parseInt($("#cpMinSpend").val() || "0", 10),
+      expires: $("#cpExpires").val(),
+      perUserLimit: parseInt($("#cpPerUser").val() || "0", 10),
+      category: $("#cpCategory").val(),
+      active: $("#cpActive").is(":checked"),
+      description: $("#cpDescription").val().trim()
+    };
 
-    const u = users.find(x => x.email.toLowerCase() === email && x.pass === pass);
-    if (!u) { alert("Credenciales inválidas."); return; }
+    // Validación según el tipo
+    if (!/^[A-Z0-9_-]{3,20}$/.test(c.code)) { alert("El código debe tener 3 a 20 letras, números, - o _."); return; }
+    if (!Promotions.TYPES[c.type]) { alert("Seleccione el tipo de cupón."); return; }
+    if (c.type === "porcentaje" && (c.value < 1 || c.value > 100)) { alert("El porcentaje debe estar entre 1 y 100."); return; }
+    if (c.type === "monto" && c.value < 1) { alert("Indique el monto del descuento."); return; }
+    if (c.type === "lleva_n" && c.value < 1) { alert("Indique cuántas unidades hay que llevar (N)."); return; }
+    if ([c.value, c.minSpend, c.perUserLimit].some(v => isNaN(v) || v < 0)) { alert("Los valores numéricos no pueden ser negativos."); return; }
 
-    App.setSession({ email: u.email, name: u.name, role: u.role });
-    window.location.href = "index.html";
+    // Inserta o actualiza (el código es la clave; no puede repetirse). Copia: la memoria no cambia
+    // hasta guardar
+    const list = App.getCoupons().slice();
+    if (c.code !== original && list.some(x => x.code === c.code)) { alert("Ya existe un cupón con ese código."); return; }
+    const idx = list.findIndex(x => x.code === original);
+    if (idx >= 0) list[idx] = c; else list.push(c);
+    if (!(await App.saveCoupons(list))) return;
+
+    this.reset();
+    this.refreshTable();
   },
 
-  // Registro: crea un usuario rol "user" (si el correo no existe) y redirige a login.
-  signup(e) {
-    e.preventDefault();
-    const user = {
-      name: $("#suNombre").val().trim(),
-      last: $("#suApellido").val().trim(),
-      email: $("#suEmail").val().trim(),
-      pass: $("#suPass").val().trim(),
-      address: $("#suDireccion").val().trim(),
-      role: "user"
-    };
+  // Pinta la tabla de cupones con sus usos.
+  refreshTable() {
+    const orders = App.getOrders();
+    const $tbody = $("#couponTableBody").empty();
+    App.getCoupons().forEach(c => {
+      const uses = orders.filter(o => (o.discounts || []).some(d => d.code === c.code)).length;
+      const status = !c.active ? "Inactivo" : Promotions.isExpired(c) ? "Vencido" : "Activo";
+      const br = Html.raw("<br>");
+      $tbody.append($(html`
+        <tr>
+          <td><span class="fw-semibold">${c.code}</span><div class="small text-muted">${c.description || ""}</div></td>
+          <td>${Promotions.label(c)}</td>
+          <td class="small">
+            ${c.minSpend ? ["Mínimo " + App.formatCLP(c.minSpend), br] : ""}
+            ${c.expires ? ["Vence " + c.expires.split("-").reverse().join("-"), br] : ""}
+            ${c.perUserLimit ? c.perUserLimit + " por cliente" : ""}
+          </td>
+          <td>${uses}</td>
+          <td><span class="badge ${status === "Activo" ? "text-bg-success" : "text-bg-secondary"}">${status}</span></td>
+          <td class="text-end">
+            <div class="btn-group btn-group-sm">
+              <button class="btn btn-outline-secondary" data-coupon-edit="${c.code}">Editar</button>
+              <button class="btn btn-outline-danger" data-coupon-remove="${c.code}">Eliminar</button>
+            </div>
+          </td>
+        </tr>
+      `));
+    });
+  },
 
-    // Validación básica
-    if (!user.name || !user.email || user.pass.length < 6) {
-      alert("Complete los campos y una contraseña (>=6).");
+  // Carga un cupón en el formulario para edición.
+  edit(code) {
+    const c = App.getCoupons().find(x => x.code === code);
+    if (!c) return;
+    $("#couponOriginal").val(c.code);
+    $("#cpCode").val(c.code);
+    $("#cpType").val(c.type);
+    $("#cpValue").val(c.value);
+    $("#cpMinSpend").val(c.minSpend || "");
+    $("#cpExpires").val(c.expires || "");
+    $("#cpPerUser").val(c.perUserLimit || "");
+    $("#cpCategory").val(c.category || "");
+    $("#cpActive").prop("checked", c.active);
+    $("#cpDescription").val(c.description || "");
+    $("#couponFormTitle").text("Editar cupón");
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  },
+
+  // Elimina un cupón (previa confirmación) y refresca la tabla si se guardó. Los pedidos que lo
+  // usaron conservan su descuento.
+  async remove(code) {
+    if (!confirm("¿Eliminar cupón " + code + "?")) return;
+    if (!(await App.saveCoupons(App.getCoupons().filter(x => x.code !== code)))) return;
+    this.refreshTable();
+  }
+};
+
+
+// ------- Módulo AdminUsers (usuarios y roles) -------
+const AdminUsers = {
+  // Pinta la tabla de usuarios con su rol y estado (activo / bloqueado).
+  refreshTable() {
+    const me = App.getSession();
+    const rows = App.getUsers().map(u => {
+      const self = me && u.email.toLowerCase() === me.email.toLowerCase();
+      const locked = Auth.lockedMinutes(u);
+      return html`
+        <tr>
+          <td>${u.email}${Html.raw(self ? ' <span class="badge text-bg-light">tú</span>' : "")}</td>
+          <td>${[u.name, u.last].filter(Boolean).join(" ")}</td>
+          <td>
+            <select class="form-select form-select-sm" data-user-role="${u.email}" ${self ? "disabled" : ""}>
+              <option value="user" ${u.role === "user" ? "selected" : ""}>Cliente</option>
+              <option value="admin" ${u.role === "admin" ? "selected" : ""}>Admin</option>
+            </select>
+          </td>
+          <td>${Html.raw(locked ? `<span class="badge text-bg-danger">Bloqueado (${locked} min)</span>` : '<span class="badge text-bg-success">Activo</span>')}</td>
+          <td class="text-end">
+            ${locked ? Html.raw(html`<button class="btn btn-sm btn-outline-secondary me-1" data-user-unlock="${u.email}">Desbloquear</button>`) : ""}
+            <button class="btn btn-sm btn-outline-danger" data-user-remove="${u.email}" ${self ? "disabled" : ""}>Eliminar</button>
+          </td>
+        </tr>
+      `;
+    }).join("");
+    $("#usersTableBody").html(rows || `<tr><td colspan="5" class="text-center text-muted">No hay usuarios.</td></tr>`);
+  },
+
+  // Cambia el rol de un usuario. Siempre debe quedar al menos un admin.
+  async setRole(email, role) {
+    const users = App.getUsers();
+    const u = Auth.findUser(users, email);
+    if (!u) return;
+    if (u.role === "admin" && role !== "admin" && users.filter(x => x.role === "admin").length === 1) {
+      alert("Debe quedar al menos un administrador.");
+      this.refreshTable();
       return;
     }
+    u.role = role;
+    const saved = await App.saveUsers(users);
+    this.refreshTable();
+    if (!saved) App.showError(`La cuenta ${u.email} sigue con el rol anterior: no se pudo guardar el cambio.`);
+  },
 
-    // Evita correos duplicados
-    const users = JSON.parse(localStorage.getItem(LS_KEYS.USERS)) || [];
-    if (users.some(x=>x.email.toLowerCase()===user.email.toLowerCase())) {
-      alert("Ese correo ya existe.");
+  // Quita el bloqueo por intentos fallidos.
+  async unlock(email) {
+    const users = App.getUsers();
+    const u = Auth.findUser(users, email);
+    if (!u) return;
+    u.failedLogins = 0;
+    u.lockedUntil = null;
+    const saved = await App.saveUsers(users);
+    this.refreshTable();
+    if (!saved) App.showError(`La cuenta ${u.email} sigue bloqueada: no se pudo guardar el cambio.`);
+  },
+
+  // Elimina un usuario y cierra sus sesiones (sus pedidos se conservan). Primero se borra la cuenta;
+  // su carrito, lista de deseos y avisos solo se borran si eso se guardó.
+  async remove(email) {
+    const users = App.getUsers();
+    const u = Auth.findUser(users, email);
+    if (!u || !confirm(`¿Eliminar la cuenta ${u.email}?`)) return;
+    if (u.role === "admin" && users.filter(x => x.role === "admin").length === 1) {
+      alert("Debe quedar al menos un administrador.");
       return;
     }
+    if (!await App.saveUsers(users.filter(x => x !== u))) {
+      App.showError(`No se eliminó la cuenta ${u.email}: no se pudo guardar el cambio.`);
+      return;
+    }
+    this.refreshTable();
 
-    // Guarda y listo
-    users.push({ email: user.email, pass: user.pass, name: user.name, role: user.role });
-    localStorage.setItem(LS_KEYS.USERS, JSON.stringify(users));
-    alert("Cuenta creada. Ahora puedes iniciar sesión.");
-    window.location.href = "login.html";
+    const carts = Object.assign({}, App.getCarts());
+    const wishlists = Object.assign({}, App.getWishlists());
+    delete carts[u.email];
+    delete wishlists[u.email];
+    const saved = await Promise.all([
+      Auth.revokeSessions(u.email), App.saveCarts(carts), App.saveWishlists(wishlists),
+      App.saveStockAlerts(App.getStockAlerts().filter(a => a.email !== u.email)),
+      App.saveNotifications(App.getNotifications().filter(n => n.email !== u.email))
+    ]);
+    if (saved.includes(false)) {
+      App.showError(`Se eliminó la cuenta ${u.email}, pero no se pudieron borrar todas sus sesiones, su carrito o sus avisos.`);
+    }
+  }
+};
+
+// ------- Módulo AdminOrders (pedidos y su estado) -------
+const AdminOrders = {
+  // Página actual de la tabla
+  page: 1,
+
+  // Pedidos que cumplen los filtros (estado, rango de fechas y cliente/número), más recientes primero.
+  filtered() {
+    const status = $("#ordersStatus").val() || "";
+    const from = $("#ordersFrom").val() || "";
+    const to = $("#ordersTo").val() || "";
+    const q = Search.normalize($("#ordersCustomer").val() || "").trim();
+    return App.getOrders().filter(o => {
+      const day = Reports.dayKey(new Date(o.createdAt));
+      if (status && Orders.status(o) !== status) return false;
+      if ((from && day < from) || (to && day > to)) return false;
+      return !q || Search.normalize([Orders.number(o.id), o.customer.name, o.customer.email].join(" ")).includes(q);
+    }).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+
+  // Pinta la tabla con los botones de los cambios de estado permitidos.
+  refreshTable() {
+    const list = this.filtered();
+    const size = CONFIG.ADMIN_PAGE_SIZE;
+    this.page = Math.min(this.page, Math.max(1, Math.ceil(list.length / size)));
+    const start = (this.page - 1) * size;
+    const $tbody = $("#ordersTableBody").empty();
+
+    list.slice(start, start + size).forEach(o => {
+      const actions = Orders.NEXT[Orders.status(o)].map(st => {
+        const side = Orders.VOID.includes(st);
+        return Html.raw(html`<button class="btn btn-sm ${side ? "btn-outline-danger" : "btn-outline-primary"}" data-order-status="${st}" data-order-id="${o.id}">${Orders.STATUSES[st].label}</button>`);
+      });
+      $tbody.append(html`
+        <tr>
+          <td class="fw-semibold"><a href="pedido.html?id=${encodeURIComponent(o.id)}">${Orders.number(o.id)}</a></td>
+          <td>${App.formatDate(o.createdAt)}</td>
+          <td><div>${o.customer.name || "Invitado"}</div><div class="small text-muted">${o.customer.email}${o.customer.guest ? " (invitado)" : ""}</div></td>
+          <td>${App.formatCLP(o.totals.total)}</td>
+          <td>${Html.raw(Orders.badge(o))}</td>
+          <td class="text-end"><div class="d-inline-flex flex-wrap gap-1 justify-content-end">${actions}</div></td>
+        </tr>
+      `);
+    });
+    if (!list.length) $tbody.append(`<tr><td colspan="6" class="text-center text-muted">No hay pedidos con esos filtros.</td></tr>`);
+
+    let $pager = $("#ordersPager");
+    if (!$pager.length) $pager = $(`<div id="ordersPager" class="mt-2"></div>`).insertAfter($tbody.closest("table"));
+    App.renderPager($pager, this.page, size, list.length);
+  },
+
+  // Lleva el pedido id al estado to. Relee pedidos, productos y libro antes de guardar (otro admin
+  // pudo moverlo); al cancelar o reembolsar devuelve las unidades al stock como "devolucion".
+  // El stock se devuelve solo si el nuevo estado quedó guardado, y se avisa si algo falló.
+  async setStatus(id, to) {
+    const label = Orders.STATUSES[to].label.toLowerCase();
+    const voiding = Orders.VOID.includes(to);
+    if (voiding && !confirm(`¿Marcar el pedido como ${label}? Sus unidades vuelven al stock.`)) return;
+
+    try {
+      await Store.reload([LS_KEYS.ORDERS, LS_KEYS.PRODUCTS, LS_KEYS.STOCK_MOVEMENTS]);
+    } catch (err) {
+      App.showError("No se pudo leer el pedido. " + err.message);
+      return;
+    }
+    const orders = App.getOrders().slice();
+    const i = orders.findIndex(o => o.id === id);
+    if (i < 0) return;
+    const order = orders[i];
+    if (!Orders.NEXT[Orders.status(order)].includes(to)) {
+      alert(`El pedido ya está ${Orders.STATUSES[Orders.status(order)].label.toLowerCase()}; no se puede pasar a ${label}.`);
+      this.refreshTable();
+      return;
+    }
+
+    const s = App.getSession();
+    const now = new Date().toISOString();
+    orders[i] = Object.assign({}, order, {
+      status: to,
+      history: Orders.history(order).concat({ status: to, at: now, user: s ? s.email : "" }),
+      updatedAt: now
+    });
+
+    if (!await App.saveOrders(orders)) {
+      this.refreshTable();
+      App.showError(`El pedido ${Orders.number(order.id)} no pasó a ${label}: no se pudo guardar el cambio.`);
+      return;
+    }
+    if (voiding) {
+      const products = App.getProducts().map(p => Object.assign({}, p));
+      const moves = order.items.map(it => {
+        const p = products.find(x => x.id === it.pid);
+        if (!p) return null; // retirado del catálogo: no hay dónde devolverlo
+        p.stock += it.qty;
+        return Inventory.entry(p, it.qty, "devolucion", `Pedido ${Orders.number(order.id)} ${label}`, order.id);
+      });
+      const saved = await Promise.all([App.saveProducts(products), Inventory.record(moves)]);
+      if (saved.includes(false)) {
+        App.showError(`El pedido ${Orders.number(order.id)} quedó ${label}, pero no se pudo registrar la devolución de sus unidades. Ajuste el stock en Inventario.`);
+      }
+    }
+    this.refreshTable();
+  }
+};
+
+// ------- Módulo Account ("Mi cuenta": perfil y libreta de direcciones) -------
+// Cada usuario guarda en user.addresses: [{ id, label, type: "envio"|"facturacion", region, comuna,
+// street, number, apt, notes, isDefault }]. Hay a lo más una predeterminada por tipo.
+const Account = {
+  // Nombres de tipo para mostrar
+  TYPES: { envio: "Envío", facturacion: "Facturación" },
+
+  // Usuario logueado dentro de users (para modificarlo y guardar la lista completa).
+  current(users) {
+    const s = App.getSession();
+    return s ? Auth.findUser(users, s.email) : null;
+  },
+
+  // Direcciones del usuario. Cuentas antiguas: se arman con la última dirección de envío
+  // usada (user.shipping) o la del registro (user.address, texto libre).
+  addresses(u) {
+    if (Array.isArray(u.addresses)) return u.addresses;
+    if (u.shipping) return [this.newAddress(Object.assign({}, u.shipping, { id: "dir-0", type: "envio", isDefault: true }))];
+    if (u.address) return [this.newAddress({ id: "dir-0", street: u.address, type: "envio", isDefault: true })];
+    return [];
+  },
+
+  // Dirección con todos los campos (y un id nuevo si no trae uno).
+  newAddress(a) {
+    return Object.assign({ id: a.id || "dir-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6) }, this.fields(a), {
+      label: a.label || "", type: a.type === "facturacion" ? "facturacion" : "envio", isDefault: !!a.isDefault
+    });
+  },
+
+  // Solo los campos de dirección que usa el checkout.
+  fields(a) {
+    return { region: a.region || "", comuna: a.comuna || "", street: a.street || "", number: a.number || "", apt: a.apt || "", notes: a.notes || "" };
+  },
+
+  // Predeterminada de un tipo (o la primera de ese tipo); null si no hay.
+  defaultAddress(u, type) {
+    const list = this.addresses(u).filter(a => a.type === type);
+    return list.find(a => a.isDefault) || list[0] || null;
+  },
+
+  // ----- Perfil -----
+  fillProfile() {
+    const u = this.current(App.getUsers());
+    if (!u) return;
+    $("#pfName").val(u.name || "");
+    $("#pfLast").val(u.last || "");
+    $("#pfEmail").val(u.email);
+    $("#pfPhone").val(u.phone || "");
+    $("#pfPassword").val("");
+  },
+
+  // Guarda nombre, apellido, celular y correo. Cambiar el correo pide la contraseña actual y
+  // lleva el cambio a sus sesiones, reservas y pedidos (el historial sigue siendo suyo).
+  async saveProfile(e) {
+    e.preventDefault();
+    const $msg = $("#profileMsg");
+    const users = App.getUsers();
+    const u = this.current(users);
+    if (!u) return;
+
+    const name = $("#pfName").val().trim();
+    const last = $("#pfLast").val().trim();
+    const email = $("#pfEmail").val().trim();
+    const phone = $("#pfPhone").val().trim();
+    if (!name) { Auth.message($msg, "danger", "Ingresa tu nombre."); return; }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) { Auth.message($msg, "danger", "Ingresa un correo válido."); return; }
+    if (phone && !/^(\+?56)?\s?9\s?\d{4}\s?\d{4}$/.test(phone)) { Auth.message($msg, "danger", "Ingresa un celular chileno (ej: +56 9 1234 5678)."); return; }
+
+    const oldEmail = u.email;
+    const changed = email.toLowerCase() !== oldEmail.toLowerCase();
+    if (changed && Store.backend === RestBackend) {
+      // El correo y la clave de la cuenta solo los cambia el servidor (que también mueve sus sesiones)
+      const res = await RestBackend.call("POST", "/email", { email, password: $("#pfPassword").val() });
+      if (!res.ok) { Auth.message($msg, "danger", Html.escape(res.body.error || "No se pudo cambiar el correo.")); return; }
+      RestBackend.session = Object.assign({}, RestBackend.session, { email: res.body.user.email });
+    } else if (changed) {
+      if (Auth.findUser(users, email)) { Auth.message($msg, "danger", "Ese correo ya está registrado."); return; }
+      if (!await Auth.checkPassword(u, $("#pfPassword").val())) {
+        Auth.message($msg, "danger", "Para cambiar el correo ingresa tu contraseña actual.");
+        return;
+      }
+    }
+
+    Object.assign(u, { name, last, email, phone });
+    const saves = [App.saveUsers(users)];
+    if (changed && Store.backend === RestBackend) {
+      // El servidor ya llevó al correo nuevo el carrito, las reservas, los avisos y los pedidos
+      saves.push(Store.reload([LS_KEYS.CARTS, LS_KEYS.WISHLISTS, LS_KEYS.RESERVATIONS, LS_KEYS.STOCK_ALERTS, LS_KEYS.NOTIFICATIONS, LS_KEYS.ORDERS])
+        .then(() => true, err => { App.showError("No se pudieron cargar los datos de tu cuenta. " + err.message); return false; }));
+    } else if (changed) {
+      const same = x => x.toLowerCase() === oldEmail.toLowerCase();
+      saves.push(App.saveSessions(App.getSessions().map(x => same(x.email) ? Object.assign({}, x, { email }) : x)));
+      saves.push(App.saveReservations(App.getReservations().map(r => same(r.owner) ? Object.assign({}, r, { owner: email }) : r)));
+      const carts = Object.assign({}, App.getCarts());
+      if (carts[oldEmail]) {
+        carts[email] = carts[oldEmail];
+        delete carts[oldEmail];
+        saves.push(App.saveCarts(carts));
+      }
+      const wishlists = Object.assign({}, App.getWishlists());
+      if (wishlists[oldEmail]) {
+        wishlists[email] = wishlists[oldEmail];
+        delete wishlists[oldEmail];
+        saves.push(App.saveWishlists(wishlists));
+      }
+      saves.push(App.saveStockAlerts(App.getStockAlerts().map(a => same(a.email) ? Object.assign({}, a, { email }) : a)));
+      saves.push(App.saveNotifications(App.getNotifications().map(n => same(n.email) ? Object.assign({}, n, { email }) : n)));
+      saves.push(App.saveOrders(App.getOrders().map(o => !o.customer.guest && same(o.customer.email)
+        ? Object.assign({}, o, { customer: Object.assign({}, o.customer, { email }) }) : o)));
+    }
+    if ((await Promise.all(saves)).includes(false)) return;
+    App.updateUserMenu();
+    this.fillProfile();
+    Auth.message($msg, "success", "Datos actualizados.");
+  },
+
+  // ----- Avisos -----
+  // Lista los avisos de la cuenta (más recientes primero).
+  renderNotifications() {
+    const s = App.getSession();
+    const list = s ? Wishlist.forUser(s.email) : [];
+    const items = list.map(n => html`
+      <li class="list-group-item d-flex justify-content-between align-items-center">
+        <span>${n.message} <a href="catalogo.html?q=${encodeURIComponent(n.title || "")}">Ver</a><br><span class="small text-muted">${App.formatDate(n.createdAt)}</span></span>
+        <button class="btn btn-sm btn-outline-secondary" data-notification-remove="${n.id}">Borrar</button>
+      </li>
+    `).join("");
+    $("#notificationsList").html(items || `<li class="list-group-item text-muted">No tienes avisos.</li>`);
+    $("#notificationsClear").prop("disabled", !list.length);
+  },
+
+  // Borra un aviso.
+  async removeNotification(id) {
+    if (!await App.saveNotifications(App.getNotifications().filter(n => n.id !== id))) return;
+    this.renderNotifications();
+    App.updateUserMenu();
+  },
+
+  // Borra todos los avisos de la cuenta.
+  async clearNotifications() {
+    const s = App.getSession();
+    if (!s || !await App.saveNotifications(App.getNotifications().filter(n => n.email.toLowerCase() !== s.email.toLowerCase()))) return;
+    this.renderNotifications();
+    App.updateUserMenu();
+  },
+
+  // ----- Direcciones -----
+  // Pinta las direcciones guardadas como tarjetas (predeterminadas primero).
+  renderAddresses() {
+    const u = this.current(App.getUsers());
+    const list = u ? this.addresses(u).slice().sort((a, b) => b.isDefault - a.isDefault) : [];
+    const cards = list.map(a => {
+      const incomplete = a.type === "envio" && Object.keys(Shipping.addressErrors(a)).length > 0;
+      return html`
+        <div class="col-12 col-md-6">
+          <div class="card h-100">
+            <div class="card-body">
+              <div class="d-flex justify-content-between align-items-start mb-1">
+                <span class="fw-semibold">${a.label || this.TYPES[a.type]}</span>
+                <span>
+                  <span class="badge text-bg-light">${this.TYPES[a.type]}</span>
+                  ${Html.raw(a.isDefault ? '<span class="badge text-bg-primary">Predeterminada</span>' : "")}
+                </span>
+              </div>
+              <p class="small mb-2">${Shipping.addressText(a) || "Sin datos"}${a.notes ? Html.raw(html`<br><span class="text-muted">${a.notes}</span>`) : ""}</p>
+              ${Html.raw(incomplete ? '<p class="small text-danger mb-2">Incompleta: edítala para usarla en el checkout.</p>' : "")}
+              <button class="btn btn-sm btn-outline-primary" data-address-edit="${a.id}">Editar</button>
+              ${a.isDefault ? "" : Html.raw(html`<button class="btn btn-sm btn-outline-secondary" data-address-default="${a.id}">Usar como predeterminada</button>`)}
+              <button class="btn btn-sm btn-outline-danger" data-address-remove="${a.id}">Eliminar</button>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join("");
+    $("#addressList").html(cards || `<div class="col-12 text-muted">Aún no tienes direcciones guardadas.</div>`);
+  },
+
+  // Opciones de comuna para la región elegida en el formulario.
+  fillComunas(region, selected) {
+    const options = Shipping.comunas(region).map(c => `<option ${c === selected ? "selected" : ""}>${c}</option>`).join("");
+    $("#adComuna").html(`<option value="">Selecciona...</option>${options}`);
+  },
+
+  // Limpia el formulario y prepara modo "Agregar".
+  resetAddress() {
+    $("#addressForm")[0].reset();
+    $("#adId").val("");
+    $("#addressFormTitle").text("Agregar dirección");
+    $("#adRegion").html(`<option value="">Selecciona...</option>` + Shipping.REGIONS.map(r => `<option>${r.name}</option>`).join(""));
+    this.fillComunas("");
+    $("#addressMsg").empty();
+  },
+
+  // Carga una dirección en el formulario para editarla.
+  editAddress(id) {
+    const u = this.current(App.getUsers());
+    const a = u && this.addresses(u).find(x => x.id === id);
+    if (!a) return;
+    this.resetAddress();
+    $("#adId").val(a.id);
+    $("#addressFormTitle").text("Editar dirección");
+    $("#adLabel").val(a.label);
+    $("#adType").val(a.type);
+    $("#adRegion").val(a.region);
+    this.fillComunas(a.region, a.comuna);
+    $("#adStreet").val(a.street);
+    $("#adNumber").val(a.number);
+    $("#adApt").val(a.apt);
+    $("#adNotes").val(a.notes);
+    $("#adDefault").prop("checked", a.isDefault);
+    $("#addressForm")[0].scrollIntoView({ behavior: "smooth" });
+  },
+
+  // Crea o actualiza una dirección. La primera de cada tipo queda como predeterminada.
+  async submitAddress(e) {
+    e.preventDefault();
+    const users = App.getUsers();
+    const u = this.current(users);
+    if (!u) return;
+
+    const id = $("#adId").val();
+    const a = this.newAddress({
+      label: $("#adLabel").val().trim(),
+      type: $("#adType").val(),
+      region: $("#adRegion").val(),
+      comuna: $("#adComuna").val(),
+      street: $("#adStreet").val().trim(),
+      number: $("#adNumber").val().trim(),
+      apt: $("#adApt").val().trim(),
+      notes: $("#adNotes").val().trim(),
+      isDefault: $("#adDefault").is(":checked")
+    });
+    const errors = Shipping.addressErrors(a);
+    if (Object.keys(errors).length) {
+      Auth.message($("#addressMsg"), "danger", Object.values(errors).join(" "));
+      return;
+    }
+
+    let list = this.addresses(u);
+    if (id) {
+      a.id = id;
+      list = list.map(x => x.id === id ? a : x);
+    } else {
+      list = list.concat(a);
+    }
+    if (!list.some(x => x.type === a.type && x.id !== a.id && x.isDefault)) a.isDefault = true;
+    if (a.isDefault) list.forEach(x => { if (x.type === a.type && x.id !== a.id) x.isDefault = false; });
+
+    u.addresses = list;
+    if (!await App.saveUsers(users)) return;
+    this.resetAddress();
+    this.renderAddresses();
+  },
+
+  // Marca una dirección como la predeterminada de su tipo.
+  async setDefault(id) {
+    const users = App.getUsers();
+    const u = this.current(users);
+    const list = u ? this.addresses(u) : [];
+    const a = list.find(x => x.id === id);
+    if (!a) return;
+    list.forEach(x => { if (x.type === a.type) x.isDefault = x.id === id; });
+    u.addresses = list;
+    if (!await App.saveUsers(users)) return;
+    this.renderAddresses();
+  },
+
+  // Elimina una dirección; si era la predeterminada, pasa a serlo otra del mismo tipo.
+  async removeAddress(id) {
+    const users = App.getUsers();
+    const u = this.current(users);
+    const a = u && this.addresses(u).find(x => x.id === id);
+    if (!a || !confirm("¿Eliminar esta dirección?")) return;
+    const list = this.addresses(u).filter(x => x.id !== id);
+    const next = list.find(x => x.type === a.type);
+    if (a.isDefault && next) next.isDefault = true;
+    u.addresses = list;
+    if (!await App.saveUsers(users)) return;
+    if ($("#adId").val() === id) this.resetAddress();
+    this.renderAddresses();
   }
 };
+// ------- Módulo Books (modelo de libro / manga) -------
+const Books = {
+  // Versión del formato de producto guardado en mt.products (ver App.migrate()).
+  SCHEMA_VERSION: 2,
+
+  // Categorías de la tienda (coinciden con "Libros" / "Mangas" del menú).
+  CATEGORIES: { libro: "Libro", manga: "Manga" },
 
-// Exponer módulos al ámbito global para handlers inline (onclick=...).
-window.App = App;
-window.AdminProducts = AdminProducts;
-window.Auth = Auth;
+  // Idiomas más comunes del catálogo (código ISO 639-1 → nombre).
+  LANGUAGES: { es: "Español", en: "Inglés", pt: "Portugués", fr: "Francés", ja: "Japonés" },
+
+  // Deja el ISBN solo con dígitos (y X final en ISBN-10), sin guiones ni espacios.
+  normalizeISBN(value) {
+    return String(value || "").replace(/[\s-]/g, "").toUpperCase();
+  },
+
+  // Valida un ISBN-10 o ISBN-13 con su dígito verificador.
+  // ISBN-10: suma ponderada 10..1 divisible por 11 (X vale 10, solo al final).
+  // ISBN-13: pesos alternados 1 y 3, suma divisible por 10.
+  isValidISBN(value) {
+    const isbn = this.normalizeISBN(value);
+    if (/^\d{9}[\dX]$/.test(isbn)) {
+      const sum = isbn.split("").reduce((a, ch, i) => a + (ch === "X" ? 10 : +ch) * (10 - i), 0);
+      return sum % 11 === 0;
+    }
+    if (/^\d{13}$/.test(isbn)) {
+      const sum = isbn.split("").reduce((a, ch, i) => a + (+ch) * (i % 2 ? 3 : 1), 0);
+      return sum % 10 === 0;
+    }
+    return false;
+  },
+
+  // Convierte "a, b, c" en ["a","b","c"] (sin vacíos). Acepta también un array.
+  parseList(value) {
+    const list = Array.isArray(value) ? value : String(value || "").split(",");
+    return list.map(x => String(x).trim()).filter(Boolean);
+  },
+
+  // Marca sí/no desde un formulario o una importación (true, 1, "si", "sí", "x"...).
+  flag(value) {
+    return value === true || /^(1|true|si|sí|s|x|yes|y)$/i.test(String(value === undefined || value === null ? "" : value).trim());
+  },
+
+  // Completa un producto con los campos de libro que le falten.
+  // Se usa al migrar datos antiguos, así que nunca pisa valores existentes.
+  // featured / premium → el admin lo eligió para "Destacados" o "Libros premium" de la portada.
+  normalize(p) {
+    const toInt = v => (v === null || v === undefined || v === "" || isNaN(parseInt(v, 10))) ? null : parseInt(v, 10);
+    const category = this.CATEGORIES[p.category] ? p.category : "libro";
+    return Object.assign({}, p, {
+      isbn: this.normalizeISBN(p.isbn),
+      authors: this.parseList(p.authors),
+      publisher: p.publisher || "",
+      year: toInt(p.year),
+      language: p.language || "es",
+      pages: toInt(p.pages),
+      genres: this.parseList(p.genres),
+      category,
+      series: category === "manga" ? (p.series || "") : "",
+      volume: category === "manga" ? toInt(p.volume) : null,
+      images: this.parseList(p.images),
+      minStock: toInt(p.minStock),
+      featured: this.flag(p.featured),
+      premium: this.flag(p.premium)
+    });
+  },
+
+  // Autores como texto ("A, B").
+  authorsText(p) {
+    return (p.authors || []).join(", ");
+  },
+
+  // Imagen por defecto (también reemplaza a las que no cargan, ver App.bindActions)
+  NO_IMAGE: "assets/img/no-image.jpg",
+
+  // Portada del producto si su URL es segura (ver Html.safeUrl); si no, la imagen por defecto.
+  cover(p) {
+    return Html.safeUrl(p.img, this.NO_IMAGE);
+  },
+
+  // Título con el tomo para mangas ("One Piece Vol. 2"); igual a name para libros.
+  title(p) {
+    return p.category === "manga" && p.volume ? p.name + " Vol. " + p.volume : p.name;
+  },
+
+  // Texto de serie para mangas ("One Piece · Vol. 2") o "" si no aplica.
+  seriesText(p) {
+    if (p.category !== "manga" || !p.series) return "";
+    return p.series + (p.volume ? " · Vol. " + p.volume : "");
+  }
+};
+
+// ------- Módulo Catalog (filtros por facetas y estado en la URL) -------
+const Catalog = {
+  // Facetas de selección múltiple: OR dentro de una faceta, AND entre facetas.
+  // values(p) devuelve los valores del producto; text(v) la etiqueta a mostrar.
+  FACETS: {
+    cat:    { label: "Categoría", values: p => [p.category], text: v => Books.CATEGORIES[v] || v },
+    author: { label: "Autor", values: p => p.authors || [] },
+    genre:  { label: "Género", values: p => p.genres || [] },
+    lang:   { label: "Idioma", values: p => [p.language], text: v => Books.LANGUAGES[v] || v }
+  },
+
+  // Lee el estado de filtros desde un query string (location.search).
+  readState(search) {
+    const params = new URLSearchParams(search);
+    const num = k => { const v = parseInt(params.get(k), 10); return isNaN(v) ? null : v; };
+    const state = {
+      q: params.get("q") || "",
+      sort: params.get("sort") || "",
+      min: num("min"),
+      max: num("max"),
+      stock: params.get("stock") === "1",
+      page: Math.max(1, num("page") || 1)
+    };
+    Object.keys(this.FACETS).forEach(k => { state[k] = params.getAll(k); });
+    return state;
+  },
+
+  // Escribe el estado en la URL sin recargar (solo los valores no vacíos).
+  writeUrl(state, push) {
+    const url = new URL(window.location.href);
+    url.search = "";
+    const p = url.searchParams;
+    if (state.q) p.set("q", state.q);
+    if (state.sort) p.set("sort", state.sort);
+    Object.keys(this.FACETS).forEach(k => state[k].forEach(v => p.append(k, v)));
+    if (state.min !== null) p.set("min", state.min);
+    if (state.max !== null) p.set("max", state.max);
+    if (state.stock) p.set("stock", "1");
+    if (state.page > 1) p.set("page", state.page);
+    window.history[push ? "pushState" : "replaceState"](null, "", url.toString());
+  },
+
+  // ¿El producto cumple el estado? except permite ignorar una faceta (para sus conteos).
+  // hits son los resultados de Search.query() para state.q (null si no hay búsqueda).
+  matches(p, state, except, hits) {
+    if (hits && !hits.has(p.id)) return false;
+    if (state.min !== null && p.price < state.min) return false;
+    if (state.max !== null && p.price > state.max) return false;
+    if (state.stock && Stock.available(p) <= 0) return false; // lo reservado por otros carritos no cuenta
+    return Object.keys(this.FACETS).every(k => {
+      if (k === except || !state[k].length) return true;
+      return this.FACETS[k].values(p).some(v => state[k].includes(v));
+    });
+  },
+
+  // Cuenta cuántos productos habría por valor de faceta si se marcara ese valor.
+  // Devuelve { cat: { manga: 3, ... }, author: {...}, ... }
+  facetCounts(products, state, hits) {
+    const counts = {};
+    Object.keys(this.FACETS).forEach(k => {
+      counts[k] = {};
+      products.filter(p => this.matches(p, state, k, hits)).forEach(p => {
+        this.FACETS[k].values(p).forEach(v => { if (v) counts[k][v] = (counts[k][v] || 0) + 1; });
+      });
+    });
+    return counts;
+  },
+
+  // Pinta el panel de facetas en #catalogFacets (lo crea antes del grid si no existe).
+  renderFacets(products, state, hits) {
+    let $panel = $("#catalogFacets");
+    if (!$panel.length) $panel = $(`<div id="catalogFacets" class="mb-3"></div>`).insertBefore("#catalogGrid");
+    const counts = this.facetCounts(products, state, hits);
+
+    const groups = Object.keys(this.FACETS).map(k => {
+      const f = this.FACETS[k];
+      // Valores con resultados (más frecuentes primero) y los ya marcados aunque queden en 0
+      const values = Object.keys(counts[k]);
+      state[k].forEach(v => { if (!values.includes(v)) values.push(v); });
+      values.sort((a, b) => (counts[k][b] || 0) - (counts[k][a] || 0) || a.localeCompare(b));
+      if (!values.length) return "";
+      const items = values.map((v, i) => Html.raw(html`
+        <div class="form-check">
+          <input class="form-check-input" type="checkbox" id="facet-${k}-${i}" data-facet="${k}" value="${v}" ${state[k].includes(v) ? "checked" : ""}>
+          <label class="form-check-label small" for="facet-${k}-${i}">${f.text ? f.text(v) : v} <span class="text-muted">(${counts[k][v] || 0})</span></label>
+        </div>`));
+      return Html.raw(html`<div class="col-6 col-md-3"><div class="fw-semibold small mb-1">${f.label}</div>${items}</div>`);
+    });
+
+    $panel.html(html`
+      <div class="row g-3">
+        ${groups}
+        <div class="col-12 col-md-6">
+          <div class="fw-semibold small mb-1">Precio (CLP)</div>
+          <div class="input-group input-group-sm">
+            <input type="number" min="0" class="form-control" placeholder="Mín." data-range="min" value="${state.min !== null ? state.min : ""}">
+            <input type="number" min="0" class="form-control" placeholder="Máx." data-range="max" value="${state.max !== null ? state.max : ""}">
+          </div>
+        </div>
+        <div class="col-12 col-md-6 d-flex align-items-end justify-content-between">
+          <div class="form-check form-switch">
+            <input class="form-check-input" type="checkbox" id="facetStock" ${state.stock ? "checked" : ""}>
+            <label class="form-check-label small" for="facetStock">Solo con stock</label>
+          </div>
+          <button type="button" class="btn btn-sm btn-outline-secondary" id="facetClear">Limpiar filtros</button>
+        </div>
+      </div>
+    `);
+  }
+};
+
+// ------- Módulo Search (índice de búsqueda del catálogo) -------
+const Search = {
+  // Peso de cada campo en la relevancia: título > autor/serie > resto > descripción.
+  FIELDS: {
+    name: 10,
+    authors: 6,
+    series: 6,
+    isbn: 5,
+    genres: 3,
+    publisher: 2,
+    desc: 1
+  },
+
+  // Minúsculas y sin tildes/diacríticos ("Café" → "cafe", "Shōnen" → "shonen").
+  normalize(text) {
+    return String(text || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  },
+
+  // Separa un texto normalizado en palabras (letras y números).
+  tokenize(text) {
+    return this.normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+  },
+
+  // Errores de tipeo permitidos según el largo del término.
+  maxEdits(term) {
+    if (term.length <= 3) return 0;
+    return term.length <= 6 ? 1 : 2;
+  },
+
+  // Distancia de Levenshtein entre a y b; corta en max+1 si ya no puede bajar de max.
+  distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        rowMin = Math.min(rowMin, cur[j]);
+      }
+      if (rowMin > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  },
+
+  // Construye el índice invertido: término → [{ id, weight }] (peso máximo por producto).
+  build(products) {
+    const terms = new Map();
+    const docs = new Map();
+    products.forEach(p => {
+      docs.set(p.id, p);
+      const fields = {
+        name: p.name, authors: Books.authorsText(p), series: p.series, isbn: p.isbn,
+        genres: (p.genres || []).join(" "), publisher: p.publisher, desc: p.desc
+      };
+      Object.keys(this.FIELDS).forEach(f => {
+        this.tokenize(fields[f]).forEach(t => {
+          if (!terms.has(t)) terms.set(t, new Map());
+          const postings = terms.get(t);
+          postings.set(p.id, Math.max(postings.get(p.id) || 0, this.FIELDS[f]));
+        });
+      });
+    });
+    return { terms, docs };
+  },
+
+  // Busca q en el índice. Cada palabra de q debe coincidir (exacta, por prefijo o con
+  // errores de tipeo) en algún campo. Devuelve [{ p, score, terms }] ordenado por relevancia;
+  // terms es el Set de términos del índice que coincidieron (para resaltarlos).
+  query(index, q) {
+    const words = this.tokenize(q);
+    if (!words.length) return [];
+    let results = null;
+
+    words.forEach(w => {
+      // Puntaje de esta palabra por producto: exacta 1, prefijo 0.7, con errores 0.5 / 0.3
+      const found = new Map();
+      const max = this.maxEdits(w);
+      index.terms.forEach((postings, term) => {
+        let quality = 0;
+        if (term === w) quality = 1;
+        else if (w.length >= 2 && term.startsWith(w)) quality = 0.7;
+        else if (max) {
+          const d = this.distance(w, term, max);
+          if (d <= max) quality = d === 1 ? 0.5 : 0.3;
+        }
+        if (!quality) return;
+        postings.forEach((weight, id) => {
+          const hit = found.get(id) || { score: 0, terms: new Set() };
+          hit.score = Math.max(hit.score, weight * quality);
+          hit.terms.add(term);
+          found.set(id, hit);
+        });
+      });
+
+      // AND entre palabras: solo quedan los productos que ya venían coincidiendo
+      if (!results) { results = found; return; }
+      results.forEach((hit, id) => {
+        const f = found.get(id);
+        if (!f) { results.delete(id); return; }
+        hit.score += f.score;
+        f.terms.forEach(t => hit.terms.add(t));
+      });
+    });
+
+    return Array.from(results, ([id, hit]) => ({ p: index.docs.get(id), score: hit.score, terms: hit.terms }))
+      .sort((a, b) => b.score - a.score);
+  },
+
+  // Índice del listado, reutilizado mientras sea el mismo array (App.getProducts() lo cachea).
+  indexFor(products) {
+    if (this._cache && this._cache.products === products) return this._cache.index;
+    this._cache = { products, index: this.build(products) };
+    return this._cache.index;
+  },
+
+  // Devuelve text como HTML escapado, con las palabras cuya forma normalizada esté en terms
+  // envueltas en <mark> (sin terms solo escapa).
+  // Se parte el texto original y se escapa cada trozo: en el ya escapado "amp" de &amp; sería una palabra.
+  highlight(text, terms) {
+    if (!terms || !terms.size) return Html.escape(text);
+    const parts = String(text === null || text === undefined ? "" : text).split(/([\p{L}\p{N}]+)/u);
+    return parts.map((part, i) => {
+      const safe = Html.escape(part);
+      return i % 2 && terms.has(this.normalize(part)) ? `<mark>${safe}</mark>` : safe; // impares: palabras
+    }).join("");
+  }
+};
+
+// ------- Módulo Shipping (regiones/comunas de Chile y métodos de envío) -------
+const Shipping = {
+  // Dirección de la tienda para "Retiro en tienda"
+  STORE_ADDRESS: "Av. Providencia 1234, Providencia, Región Metropolitana",
+
+  // Métodos de despacho. cost es el valor base; las reglas están en cost().
+  METHODS: {
+    retiro: { label: "Retiro en tienda", cost: 0, eta: "Listo en 24 horas hábiles" },
+    estandar: { label: "Despacho estándar", cost: 3990, eta: "3 a 5 días hábiles" },
+    express: { label: "Despacho express", cost: 6990, eta: "1 a 2 días hábiles" }
+  },
+
+  // Regiones extremas: el despacho estándar tiene recargo.
+  REMOTE_SURCHARGE: 2000,
+  REMOTE_REGIONS: ["Arica y Parinacota", "Tarapacá", "Aysén del General Carlos Ibáñez del Campo", "Magallanes y de la Antártica Chilena"],
+
+  // Las 16 regiones con sus comunas (de norte a sur).
+  REGIONS: [
+    { name: "Arica y Parinacota", comunas: ["Arica", "Camarones", "Putre", "General Lagos"] },
+    { name: "Tarapacá", comunas: ["Iquique", "Alto Hospicio", "Pozo Almonte", "Camiña", "Colchane", "Huara", "Pica"] },
+    { name: "Antofagasta", comunas: ["Antofagasta", "Mejillones", "Sierra Gorda", "Taltal", "Calama", "Ollagüe", "San Pedro de Atacama", "Tocopilla", "María Elena"] },
+    { name: "Atacama", comunas: ["Copiapó", "Caldera", "Tierra Amarilla", "Chañaral", "Diego de Almagro", "Vallenar", "Alto del Carmen", "Freirina", "Huasco"] },
+    { name: "Coquimbo", comunas: ["La Serena", "Coquimbo", "Andacollo", "La Higuera", "Paihuano", "Vicuña", "Illapel", "Canela", "Los Vilos", "Salamanca", "Ovalle", "Combarbalá", "Monte Patria", "Punitaqui", "Río Hurtado"] },
+    { name: "Valparaíso", comunas: ["Valparaíso", "Casablanca", "Concón", "Juan Fernández", "Puchuncaví", "Quintero", "Viña del Mar", "Isla de Pascua", "Los Andes", "Calle Larga", "Rinconada", "San Esteban", "La Ligua", "Cabildo", "Papudo", "Petorca", "Zapallar", "Quillota", "La Calera", "Hijuelas", "La Cruz", "Nogales", "San Antonio", "Algarrobo", "Cartagena", "El Quisco", "El Tabo", "Santo Domingo", "San Felipe", "Catemu", "Llaillay", "Panquehue", "Putaendo", "Santa María", "Quilpué", "Limache", "Olmué", "Villa Alemana"] },
+    { name: "Metropolitana de Santiago", comunas: ["Santiago", "Cerrillos", "Cerro Navia", "Conchalí", "El Bosque", "Estación Central", "Huechuraba", "Independencia", "La Cisterna", "La Florida", "La Granja", "La Pintana", "La Reina", "Las Condes", "Lo Barnechea", "Lo Espejo", "Lo Prado", "Macul", "Maipú", "Ñuñoa", "Pedro Aguirre Cerda", "Peñalolén", "Providencia", "Pudahuel", "Quilicura", "Quinta Normal", "Recoleta", "Renca", "San Joaquín", "San Miguel", "San Ramón", "Vitacura", "Puente Alto", "Pirque", "San José de Maipo", "Colina", "Lampa", "Tiltil", "San Bernardo", "Buin", "Calera de Tango", "Paine", "Melipilla", "Alhué", "Curacaví", "María Pinto", "San Pedro", "Talagante", "El Monte", "Isla de Maipo", "Padre Hurtado", "Peñaflor"] },
+    { name: "Libertador General Bernardo O'Higgins", comunas: ["Rancagua", "Codegua", "Coinco", "Coltauco", "Doñihue", "Graneros", "Las Cabras", "Machalí", "Malloa", "Mostazal", "Olivar", "Peumo", "Pichidegua", "Quinta de Tilcoco", "Rengo", "Requínoa", "San Vicente", "Pichilemu", "La Estrella", "Litueche", "Marchihue", "Navidad", "Paredones", "San Fernando", "Chépica", "Chimbarongo", "Lolol", "Nancagua", "Palmilla", "Peralillo", "Placilla", "Pumanque", "Santa Cruz"] },
+    { name: "Maule", comunas: ["Talca", "Constitución", "Curepto", "Empedrado", "Maule", "Pelarco", "Pencahue", "Río Claro", "San Clemente", "San Rafael", "Cauquenes", "Chanco", "Pelluhue", "Curicó", "Hualañé", "Licantén", "Molina", "Rauco", "Romeral", "Sagrada Familia", "Teno", "Vichuquén", "Linares", "Colbún", "Longaví", "Parral", "Retiro", "San Javier", "Villa Alegre", "Yerbas Buenas"] },
+    { name: "Ñuble", comunas: ["Chillán", "Bulnes", "Chillán Viejo", "El Carmen", "Pemuco", "Pinto", "Quillón", "San Ignacio", "Yungay", "Quirihue", "Cobquecura", "Coelemu", "Ninhue", "Portezuelo", "Ránquil", "Treguaco", "San Carlos", "Coihueco", "Ñiquén", "San Fabián", "San Nicolás"] },
+    { name: "Biobío", comunas: ["Concepción", "Coronel", "Chiguayante", "Florida", "Hualqui", "Lota", "Penco", "San Pedro de la Paz", "Santa Juana", "Talcahuano", "Tomé", "Hualpén", "Lebu", "Arauco", "Cañete", "Contulmo", "Curanilahue", "Los Álamos", "Tirúa", "Los Ángeles", "Antuco", "Cabrero", "Laja", "Mulchén", "Nacimiento", "Negrete", "Quilaco", "Quilleco", "San Rosendo", "Santa Bárbara", "Tucapel", "Yumbel", "Alto Biobío"] },
+    { name: "La Araucanía", comunas: ["Temuco", "Carahue", "Cunco", "Curarrehue", "Freire", "Galvarino", "Gorbea", "Lautaro", "Loncoche", "Melipeuco", "Nueva Imperial", "Padre Las Casas", "Perquenco", "Pitrufquén", "Pucón", "Saavedra", "Teodoro Schmidt", "Toltén", "Vilcún", "Villarrica", "Cholchol", "Angol", "Collipulli", "Curacautín", "Ercilla", "Lonquimay", "Los Sauces", "Lumaco", "Purén", "Renaico", "Traiguén", "Victoria"] },
+    { name: "Los Ríos", comunas: ["Valdivia", "Corral", "Lanco", "Los Lagos", "Máfil", "Mariquina", "Paillaco", "Panguipulli", "La Unión", "Futrono", "Lago Ranco", "Río Bueno"] },
+    { name: "Los Lagos", comunas: ["Puerto Montt", "Calbuco", "Cochamó", "Fresia", "Frutillar", "Los Muermos", "Llanquihue", "Maullín", "Puerto Varas", "Castro", "Ancud", "Chonchi", "Curaco de Vélez", "Dalcahue", "Puqueldón", "Queilén", "Quellón", "Quemchi", "Quinchao", "Osorno", "Puerto Octay", "Purranque", "Puyehue", "Río Negro", "San Juan de la Costa", "San Pablo", "Chaitén", "Futaleufú", "Hualaihué", "Palena"] },
+    { name: "Aysén del General Carlos Ibáñez del Campo", comunas: ["Coyhaique", "Lago Verde", "Aysén", "Cisnes", "Guaitecas", "Cochrane", "O'Higgins", "Tortel", "Chile Chico", "Río Ibáñez"] },
+    { name: "Magallanes y de la Antártica Chilena", comunas: ["Punta Arenas", "Laguna Blanca", "Río Verde", "San Gregorio", "Cabo de Hornos", "Antártica", "Porvenir", "Primavera", "Timaukel", "Natales", "Torres del Paine"] }
+  ],
+
+  // Comunas de una región (vacío si no existe).
+  comunas(region) {
+    const r = this.REGIONS.find(x => x.name === region);
+    return r ? r.comunas : [];
+  },
+
+  // Costo del método para un subtotal y región. null si el método no está disponible.
+  // Reglas: retiro gratis; estándar gratis sobre CONFIG.FREE_SHIPPING_OVER y con recargo en
+  // regiones extremas; express solo en la Región Metropolitana.
+  cost(method, subtotal, region) {
+    const m = this.METHODS[method];
+    if (!m) return null;
+    if (method === "estandar") {
+      if (subtotal >= CONFIG.FREE_SHIPPING_OVER) return 0;
+      return m.cost + (this.REMOTE_REGIONS.includes(region) ? this.REMOTE_SURCHARGE : 0);
+    }
+    if (method === "express" && region && region !== "Metropolitana de Santiago") return null;
+    return m.cost;
+  },
+
+  // Errores de una dirección de despacho: { region|comuna|street|number: "mensaje" } (vacío si está bien).
+  addressErrors(a) {
+    const errors = {};
+    if (!this.comunas(a.region).length) errors.region = "Selecciona una región.";
+    else if (!this.comunas(a.region).includes(a.comuna)) errors.comuna = "Selecciona una comuna.";
+    if (!a.street) errors.street = "Ingresa la calle.";
+    if (!a.number) errors.number = "Ingresa el número.";
+    return errors;
+  },
+
+  // Dirección en una línea ("Av. Siempre Viva 742, depto 3, Ñuñoa, Metropolitana de Santiago").
+  addressText(a) {
+    if (!a) return "";
+    const street = [a.street, a.number].filter(Boolean).join(" ");
+    return [street, a.apt, a.comuna, a.region].filter(Boolean).join(", ");
+  }
+};
+
+// ------- Módulo Tax (IVA, RUT y documento tributario) -------
+const Tax = {
+  // Tasa de IVA en Chile
+  IVA_RATE: 0.19,
+
+  // Desglosa un monto bruto en CLP (los precios de la tienda incluyen IVA).
+  // El neto se redondea a peso entero y el IVA es la diferencia, así neto + IVA = bruto siempre.
+  // Se aplica por línea (pedido.items) y por separado al total: la suma de los netos por línea
+  // puede diferir en $1 del neto del total por redondeo, y el que vale es el del total.
+  split(gross) {
+    const amount = Math.round(gross);
+    const net = Math.round(amount / (1 + this.IVA_RATE));
+    return { gross: amount, net, iva: amount - net };
+  },
+
+  // RUT sin puntos, guion ni espacios, con el dígito verificador en mayúscula ("12345678K").
+  cleanRUT(rut) {
+    return String(rut || "").replace(/[^0-9kK]/g, "").toUpperCase();
+  },
+
+  // Dígito verificador (módulo 11) del cuerpo numérico de un RUT.
+  // Se multiplica cada dígito de derecha a izquierda por 2,3,4,5,6,7,2,3...; 11 → "0", 10 → "K".
+  rutDV(body) {
+    let sum = 0;
+    let factor = 2;
+    for (let i = body.length - 1; i >= 0; i--) {
+      sum += parseInt(body[i], 10) * factor;
+      factor = factor === 7 ? 2 : factor + 1;
+    }
+    const dv = 11 - (sum % 11);
+    return dv === 11 ? "0" : dv === 10 ? "K" : String(dv);
+  },
+
+  // ¿Es un RUT válido? Acepta "12.345.678-5", "12345678-5" o "123456785".
+  validateRUT(rut) {
+    const clean = this.cleanRUT(rut);
+    if (!/^\d{7,8}[0-9K]$/.test(clean)) return false;
+    return this.rutDV(clean.slice(0, -1)) === clean.slice(-1);
+  },
+
+  // Formato con puntos y guion ("12.345.678-5").
+  formatRUT(rut) {
+    const clean = this.cleanRUT(rut);
+    if (clean.length < 2) return clean;
+    const body = clean.slice(0, -1).replace(/\B(?=(\d{3})+(?!\d))/g, ".");
+    return body + "-" + clean.slice(-1);
+  },
+
+  // Texto del documento elegido ("Boleta" o "Factura a Empresa SpA (RUT 76.123.456-0)").
+  documentText(doc) {
+    if (!doc || doc.type !== "factura") return "Boleta electrónica";
+    return `Factura electrónica a ${doc.razon} (RUT ${this.formatRUT(doc.rut)}), giro ${doc.giro}`
+      + (doc.address ? `, ${doc.address}` : "");
+  }
+};
+
+// ------- Módulo Promotions (cupones y promociones del carrito) -------
+const Promotions = {
+  // Tipos de cupón. value es % (porcentaje), CLP (monto) o N (lleva_n: por cada N unidades
+  // elegibles, una más gratis: la más barata).
+  TYPES: {
+    porcentaje: "Porcentaje",
+    monto: "Monto fijo",
+    envio_gratis: "Envío gratis",
+    lleva_n: "Lleva N + 1 gratis"
+  },
+
+  // Deja el código en mayúsculas y sin espacios.
+  normalizeCode(code) {
+    return String(code || "").trim().toUpperCase().replace(/\s+/g, "");
+  },
+
+  // Etiqueta del descuento para el resumen ("10% de descuento", "Lleva 3, paga 2 en mangas").
+  label(c) {
+    const scope = c.category ? " en " + (Books.CATEGORIES[c.category] || c.category).toLowerCase() + "s" : "";
+    if (c.type === "porcentaje") return c.value + "% de descuento" + scope;
+    if (c.type === "monto") return App.formatCLP(c.value) + " de descuento" + scope;
+    if (c.type === "envio_gratis") return "Envío gratis";
+    return "Lleva " + (c.value + 1) + ", paga " + c.value + scope;
+  },
+
+  // ¿Venció? expires es "AAAA-MM-DD" y vale hasta el final de ese día.
+  isExpired(c, now) {
+    if (!c.expires) return false;
+    return new Date(c.expires + "T23:59:59") < (now || new Date());
+  },
+
+  // Veces que un cliente usó el código en pedidos anteriores (los cancelados o reembolsados no
+  // cuentan: devuelven el uso).
+  usesBy(code, email, orders) {
+    const e = String(email || "").toLowerCase();
+    return orders.filter(o => o.customer.email.toLowerCase() === e && !Orders.VOID.includes(Orders.status(o)) &&
+      (o.discounts || []).some(d => d.code === code)).length;
+  },
+
+  // Aplica los códigos al carrito. Devuelve:
+  // { applied: [{ code, label, amount, freeShipping }], rejected: [{ code, reason }], discount, freeShipping }
+  // Los códigos se aplican en orden; no se combinan dos cupones del mismo tipo y el descuento
+  // total nunca supera el subtotal.
+  evaluate(codes, cart, products, session) {
+    const coupons = App.getCoupons();
+    const orders = App.getOrders();
+    const lines = cart.map(it => ({ qty: it.qty, p: products.find(x => x.id === it.pid) })).filter(l => l.p);
+    const subtotal = lines.reduce((a, l) => a + l.p.price * l.qty, 0);
+    const result = { applied: [], rejected: [], discount: 0, freeShipping: false };
+    const usedTypes = {};
+
+    codes.forEach(code => {
+      const c = coupons.find(x => x.code === code);
+      const eligible = c ? lines.filter(l => !c.category || l.p.category === c.category) : [];
+      const base = eligible.reduce((a, l) => a + l.p.price * l.qty, 0);
+      const reason = this.rejectReason(c, { eligible, base, session, orders, usedTypes });
+      if (reason) { result.rejected.push({ code, reason }); return; }
+      usedTypes[c.type] = code;
+
+      let amount = 0;
+      if (c.type === "porcentaje") amount = Math.round(base * c.value / 100);
+      if (c.type === "monto") amount = Math.min(c.value, base);
+      if (c.type === "lleva_n") {
+        // Cada unidad por separado, de la más barata a la más cara; gratis 1 de cada N+1
+        const units = [];
+        eligible.forEach(l => { for (let i = 0; i < l.qty; i++) units.push(l.p.price); });
+        units.sort((a, b) => a - b);
+        amount = units.slice(0, Math.floor(units.length / (c.value + 1))).reduce((a, v) => a + v, 0);
+      }
+      if (c.type === "envio_gratis") result.freeShipping = true;
+
+      amount = Math.min(amount, subtotal - result.discount);
+      result.discount += amount;
+      result.applied.push({ code, label: this.label(c), amount, freeShipping: c.type === "envio_gratis" });
+    });
+    return result;
+  },
+
+  // Motivo por el que un cupón no aplica (o "" si aplica).
+  rejectReason(c, ctx) {
+    if (!c) return "El código no existe.";
+    if (!c.active) return "El cupón no está activo.";
+    if (this.isExpired(c)) return "El cupón venció el " + c.expires.split("-").reverse().join("-") + ".";
+    if (ctx.usedTypes[c.type]) return "No se puede combinar con " + ctx.usedTypes[c.type] + ".";
+    if (!ctx.eligible.length) return "Solo aplica a " + (Books.CATEGORIES[c.category] || c.category).toLowerCase() + "s y no hay ninguno en tu carrito.";
+    if (c.minSpend && ctx.base < c.minSpend) {
+      return "Requiere una compra mínima de " + App.formatCLP(c.minSpend) + (c.category ? " en " + (Books.CATEGORIES[c.category] || c.category).toLowerCase() + "s" : "") +
+        " (te faltan " + App.formatCLP(c.minSpend - ctx.base) + ").";
+    }
+    if (c.type === "lleva_n") {
+      const units = ctx.eligible.reduce((a, l) => a + l.qty, 0);
+      if (units < c.value + 1) return "Agrega al menos " + (c.value + 1) + " unidades para aprovechar la promoción.";
+    }
+    if (c.perUserLimit) {
+      if (!ctx.session) return "Inicia sesión para usar este cupón.";
+      if (this.usesBy(c.code, ctx.session.email, ctx.orders) >= c.perUserLimit) {
+        return "Ya usaste este cupón (máximo " + c.perUserLimit + (c.perUserLimit === 1 ? " vez" : " veces") + " por cliente).";
+      }
+    }
+    return "";
+  },
+
+  // HTML del cuadro de cupones del carrito: campo para aplicar y códigos aplicados.
+  // Los códigos aplicados que dejaron de cumplir las condiciones se muestran con su motivo.
+  cartBox(promo) {
+    const applied = promo.applied.map(d => html`
+      <li class="d-flex justify-content-between align-items-center">
+        <span><span class="badge text-bg-success">${d.code}</span> <span class="small">${d.label}</span></span>
+        <button type="button" class="btn btn-link btn-sm text-danger p-0" data-cart-coupon-remove="${d.code}">Quitar</button>
+      </li>`).join("");
+    const rejected = promo.rejected.map(r => html`
+      <li class="d-flex justify-content-between align-items-center">
+        <span><span class="badge text-bg-secondary">${r.code}</span> <span class="small text-muted">No aplica: ${r.reason}</span></span>
+        <button type="button" class="btn btn-link btn-sm text-danger p-0" data-cart-coupon-remove="${r.code}">Quitar</button>
+      </li>`).join("");
+    return `
+      <form id="cartCouponForm" class="input-group input-group-sm" novalidate>
+        <input id="couponInput" class="form-control" placeholder="Código de descuento" autocomplete="off">
+        <button class="btn btn-outline-secondary" type="submit">Aplicar</button>
+      </form>
+      <div id="couponMsg" class="small text-danger mt-1"></div>
+      <ul class="list-unstyled mt-2 mb-0 d-grid gap-1">${applied}${rejected}</ul>`;
+  },
+
+  // Eventos del cuadro de cupones (aplicar / quitar) y re-render del carrito una vez guardado
+  // (si no se guardó, Store.set ya avisó y el carrito queda como estaba).
+  bindCartBox($box) {
+    $box.find("#cartCouponForm").on("submit", async e => {
+      e.preventDefault();
+      const code = this.normalizeCode($("#couponInput").val());
+      if (!code) return;
+      const codes = App.getCartCoupons();
+      if (codes.includes(code)) { $("#couponMsg").text("Ese código ya está aplicado."); return; }
+
+      // Se prueba con el código agregado: si se rechaza, se explica y no se guarda
+      const check = this.evaluate(codes.concat(code), App.getCart(), App.getProducts(), App.getSession());
+      const rejected = check.rejected.find(r => r.code === code);
+      if (rejected) { $("#couponMsg").text(rejected.reason); return; }
+      if (!(await App.saveCartCoupons(codes.concat(code)))) return;
+      App.pageCarrito();
+    });
+    $box.find("[data-cart-coupon-remove]").on("click", async e => {
+      const code = $(e.currentTarget).data("cartCouponRemove");
+      if (!(await App.saveCartCoupons(App.getCartCoupons().filter(c => c !== code)))) return;
+      App.pageCarrito();
+    });
+  }
+};
+
+// ------- Módulo Checkout (asistente de compra en el carrito) -------
+const Checkout = {
+  // Pasos del asistente, en orden. En "direccion" se elige despacho o retiro en tienda; con
+  // retiro no se pide dirección y se salta "envio" (ver skipped).
+  STEPS: [
+    { id: "contacto", title: "Contacto" },
+    { id: "direccion", title: "Entrega" },
+    { id: "envio", title: "Envío" },
+    { id: "revision", title: "Revisión" }
+  ],
+  step: 0,
+
+  // Datos en curso (sessionStorage, así una recarga no los pierde).
+  // Se mezcla con initialData() para que datos guardados por versiones anteriores tengan todos los campos.
+  load() {
+    try { return Object.assign(this.initialData(), JSON.parse(sessionStorage.getItem(LS_KEYS.CHECKOUT))); }
+    catch { return this.initialData(); }
+  },
+
+  save(data) {
+    sessionStorage.setItem(LS_KEYS.CHECKOUT, JSON.stringify(data));
+  },
+
+  clear() {
+    sessionStorage.removeItem(LS_KEYS.CHECKOUT);
+  },
+
+  // Datos iniciales prellenados desde la cuenta (nombre, correo, dirección de envío predeterminada
+  // de "Mi cuenta" o, si no hay, la última usada; y la de facturación predeterminada).
+  initialData() {
+    const s = App.getSession();
+    const u = s ? App.getUsers().find(x => x.email === s.email) : null;
+    const saved = u && Account.defaultAddress(u, "envio");
+    const billing = u && Account.defaultAddress(u, "facturacion");
+    const address = saved ? Account.fields(saved) : ((u && u.shipping) || { region: "", comuna: "", street: "", number: "", apt: "", notes: "" });
+    return {
+      contact: { name: (u && u.name) || "", last: (u && u.last) || "", email: (s && s.email) || "", phone: (u && u.phone) || "" },
+      address: Object.assign({}, address),
+      method: "estandar",
+      document: { type: "boleta", rut: "", razon: "", giro: "", address: billing ? Shipping.addressText(billing) : "" }
+    };
+  },
+
+  // Direcciones guardadas del usuario logueado de un tipo ("envio" o "facturacion").
+  savedAddresses(type) {
+    const s = App.getSession();
+    const u = s && App.getUsers().find(x => x.email === s.email);
+    return u ? Account.addresses(u).filter(a => a.type === type) : [];
+  },
+
+  // <select> para elegir una dirección guardada (vacío si no hay ninguna).
+  savedSelect(id, list, label) {
+    if (!list.length) return "";
+    const options = list.map(a => html`<option value="${a.id}">${a.label ? a.label + " — " : ""}${Shipping.addressText(a)}</option>`);
+    return html`
+      <div class="col-12">
+        <label class="form-label" for="${id}">${label}</label>
+        <select class="form-select" id="${id}"><option value="">Elegir...</option>${Html.raw(options.join(""))}</select>
+      </div>`;
+  },
+
+  // Subtotal, envío, total y desglose de IVA (tax) del carrito para los datos del checkout.
+  // Si el método elegido no está disponible en la región, se usa el estándar.
+  // Incluye los cupones aplicados al carrito (promo, ver Promotions.evaluate) y su descuento.
+  totals(cart, products, data) {
+    const subtotal = cart.reduce((a, it) => {
+      const p = products.find(x => x.id === it.pid);
+      return a + (p ? p.price * it.qty : 0);
+    }, 0);
+    const promo = Promotions.evaluate(App.getCartCoupons(), cart, products, App.getSession());
+    const merchandise = subtotal - promo.discount; // lo que se paga por productos (base del envío gratis)
+    const region = data.address && data.address.region;
+    let method = data.method;
+    let shipping = Shipping.cost(method, merchandise, region);
+    if (shipping === null) {
+      method = "estandar";
+      shipping = Shipping.cost(method, merchandise, region);
+    }
+    if (promo.freeShipping && method !== "retiro") shipping = 0;
+    const total = merchandise + shipping;
+    return {
+      subtotal, discount: promo.discount, promo, shipping, total, tax: Tax.split(total),
+      method: Object.assign({ id: method }, Shipping.METHODS[method])
+    };
+  },
+
+  // Valida un paso. Devuelve { campo: "mensaje" } (vacío si está todo bien).
+  validate(stepId, data) {
+    const errors = {};
+    if (stepId === "contacto") {
+      const c = data.contact;
+      if (!c.name) errors["contact.name"] = "Ingresa tu nombre.";
+      if (!c.last) errors["contact.last"] = "Ingresa tu apellido.";
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(c.email)) errors["contact.email"] = "Ingresa un correo válido.";
+      if (!/^(\+?56)?\s?9\s?\d{4}\s?\d{4}$/.test(c.phone)) errors["contact.phone"] = "Ingresa un celular chileno (ej: +56 9 1234 5678).";
+      const d = data.document;
+      if (d.type === "factura") {
+        if (!Tax.validateRUT(d.rut)) errors["document.rut"] = "RUT inválido (revisa el dígito verificador).";
+        if (!d.razon) errors["document.razon"] = "Ingresa la razón social.";
+        if (!d.giro) errors["document.giro"] = "Ingresa el giro.";
+      }
+    }
+    if (stepId === "direccion" && data.method !== "retiro") {
+      const found = Shipping.addressErrors(data.address);
+      Object.keys(found).forEach(k => { errors["address." + k] = found[k]; });
+    }
+    if (stepId === "envio" && data.method !== "retiro") {
+      const t = this.totals(App.getCart(), App.getProducts(), data);
+      if (Shipping.cost(data.method, t.subtotal - t.discount, data.address.region) === null) errors.method = "Ese método no está disponible para tu región.";
+    }
+    return errors;
+  },
+
+  // Muestra en el asistente las líneas que ya no se pueden comprar (ver Stock.validate).
+  showIssues(issues) {
+    const items = issues.map(i => Html.raw(html`<li>${i.name}: ${i.available > 0
+      ? "pediste " + i.wanted + ", quedan " + i.available + " disponibles"
+      : "ya no hay unidades disponibles"}</li>`));
+    $("#checkoutWizard .card-body").prepend(html`
+      <div class="alert alert-warning">
+        <div class="fw-semibold mb-1">Algunos productos ya no están disponibles en la cantidad pedida:</div>
+        <ul class="mb-1">${items}</ul>
+        <div class="small">Ajusta las cantidades del carrito para continuar.</div>
+      </div>
+    `);
+  },
+
+  // Abre el asistente debajo del carrito (desde el primer paso).
+  open() {
+    this.step = 0;
+    this.render();
+    $("#checkoutWizard")[0].scrollIntoView({ behavior: "smooth" });
+  },
+
+  isOpen() {
+    return $("#checkoutWizard").children().length > 0;
+  },
+
+  // ¿Se salta el paso? Con retiro en tienda no hay método de despacho que elegir.
+  skipped(stepId, data) {
+    return stepId === "envio" && data.method === "retiro";
+  },
+
+  // Avanza o retrocede (delta = 1 / -1) saltando los pasos que no aplican.
+  move(delta, data) {
+    do { this.step += delta; } while (this.skipped(this.STEPS[this.step].id, data));
+    this.render();
+  },
+
+  // Lee los campos del paso visible y los guarda en data.
+  read(data) {
+    $("#checkoutWizard [data-field]").each((i, el) => {
+      const [group, key] = el.dataset.field.split(".");
+      if (el.type === "radio" && !el.checked) return;
+      const value = el.value.trim();
+      if (key) data[group][key] = value;
+      else data[group] = value;
+    });
+    this.save(data);
+    return data;
+  },
+
+  // Pinta el paso actual en #checkoutWizard (lo crea después del carrito si no existe).
+  render(errors) {
+    let $box = $("#checkoutWizard");
+    if (!$box.length) $box = $(`<div id="checkoutWizard" class="mt-4"></div>`).insertAfter("#carritoContainer");
+    const data = this.load();
+    const stepId = this.STEPS[this.step].id;
+    const last = this.step === this.STEPS.length - 1;
+
+    const nav = this.STEPS.filter(st => !this.skipped(st.id, data)).map((st, i) => Html.raw(html`
+      <li class="nav-item"><span class="nav-link ${st.id === stepId ? "active" : "disabled"}">${i + 1}. ${st.title}</span></li>
+    `));
+
+    $box.html(html`
+      <div class="card shadow-sm">
+        <div class="card-header"><ul class="nav nav-pills card-header-pills">${nav}</ul></div>
+        <div class="card-body">
+          <form novalidate id="checkoutForm">
+            ${Html.raw(this["step_" + stepId](data))}
+            <div class="d-flex justify-content-between mt-4">
+              <button type="button" class="btn btn-outline-secondary" data-wizard="back" ${this.step === 0 ? "disabled" : ""}>Atrás</button>
+              <button type="submit" class="btn btn-primary">${last ? "Confirmar y pagar" : "Continuar"}</button>
+            </div>
+          </form>
+        </div>
+      </div>
+    `);
+
+    // Marca los errores de validación en cada campo
+    Object.keys(errors || {}).forEach(k => {
+      const $f = $box.find(`[data-field="${k}"]`).addClass("is-invalid");
+      $(`<div class="invalid-feedback d-block"></div>`).text(errors[k]).insertAfter($f.last().closest(".form-check").length ? $f.last().closest(".form-check") : $f.last());
+    });
+
+    // Eventos del paso
+    $box.find("#checkoutForm").on("submit", e => { e.preventDefault(); this.next(); });
+    $box.find("[data-wizard=back]").on("click", () => this.move(-1, this.read(data)));
+    $box.find("[data-field='address.region']").on("change", e => {
+      const options = Shipping.comunas(e.target.value).map(c => Html.raw(html`<option>${c}</option>`));
+      $box.find("[data-field='address.comuna']").html(html`<option value="">Selecciona...</option>${options}`);
+    });
+    $box.find("[data-field=method]").on("change", () => { this.read(data); App.pageCarrito(); });
+    $box.find("[data-field='document.type']").on("change", e => $box.find("#facturaFields").toggleClass("d-none", e.target.value !== "factura"));
+    $box.find("[data-field='document.rut']").on("blur", e => { if (Tax.validateRUT(e.target.value)) e.target.value = Tax.formatRUT(e.target.value); });
+
+    // Direcciones guardadas en "Mi cuenta": la de envío rellena el paso, la de facturación el campo
+    $box.find("#savedAddress").on("change", e => {
+      const a = this.savedAddresses("envio").find(x => x.id === e.target.value);
+      if (!a) return;
+      this.read(data);
+      data.address = Account.fields(a);
+      this.save(data);
+      this.render();
+    });
+    $box.find("#savedBilling").on("change", e => {
+      const a = this.savedAddresses("facturacion").find(x => x.id === e.target.value);
+      if (a) $box.find("[data-field='document.address']").val(Shipping.addressText(a));
+    });
+  },
+
+  // Valida el paso actual; si está bien avanza (o confirma la compra en el último).
+  async next() {
+    const data = this.read(this.load());
+    const stepId = this.STEPS[this.step].id;
+    const errors = this.validate(stepId, data);
+    if (Object.keys(errors).length) return this.render(errors);
+    if (this.step < this.STEPS.length - 1) return this.move(1, data);
+    // Revisión final: revalida todo antes de pagar
+    const all = this.STEPS.reduce((acc, st) => Object.assign(acc, this.validate(st.id, data)), {});
+    if (Object.keys(all).length) {
+      this.step = this.STEPS.findIndex(st => Object.keys(this.validate(st.id, data)).length);
+      return this.render(all);
+    }
+    // Un error inesperado al confirmar se muestra como los de Store.set (el carrito no se pierde)
+    try {
+      await App.checkout(data);
+    } catch (err) {
+      App.setLoading(false);
+      App.showError("No se pudo confirmar el pedido. " + err.message);
+    }
+  },
+
+  // ----- Pasos (cada uno devuelve el HTML de sus campos, con los datos del cliente escapados) -----
+  step_contacto(data) {
+    const c = data.contact;
+    const input = (key, label, type, extra) => Html.raw(html`
+      <div class="col-12 col-md-6">
+        <label class="form-label">${label}</label>
+        <input type="${type}" class="form-control" data-field="contact.${key}" value="${c[key] || ""}" ${Html.raw(extra || "")}>
+      </div>`);
+    return html`<div class="row g-3">
+      ${input("name", "Nombre", "text", "autocomplete=\"given-name\"")}
+      ${input("last", "Apellido", "text", "autocomplete=\"family-name\"")}
+      ${input("email", "Correo", "email", "autocomplete=\"email\"")}
+      ${input("phone", "Celular", "tel", "autocomplete=\"tel\" placeholder=\"+56 9 1234 5678\"")}
+    </div>
+    ${Html.raw(this.documentFields(data.document))}`;
+  },
+
+  // Elección de boleta o factura (la factura pide RUT, razón social y giro).
+  documentFields(d) {
+    const factura = d.type === "factura";
+    return html`
+      <h3 class="h6 mt-4">Documento tributario</h3>
+      <div class="form-check form-check-inline">
+        <input class="form-check-input" type="radio" name="docType" id="doc-boleta" data-field="document.type" value="boleta" ${factura ? "" : "checked"}>
+        <label class="form-check-label" for="doc-boleta">Boleta</label>
+      </div>
+      <div class="form-check form-check-inline">
+        <input class="form-check-input" type="radio" name="docType" id="doc-factura" data-field="document.type" value="factura" ${factura ? "checked" : ""}>
+        <label class="form-check-label" for="doc-factura">Factura</label>
+      </div>
+      <div id="facturaFields" class="row g-3 mt-1 ${factura ? "" : "d-none"}">
+        <div class="col-12 col-md-4">
+          <label class="form-label">RUT empresa</label>
+          <input type="text" class="form-control" data-field="document.rut" value="${d.rut || ""}" placeholder="76.123.456-7">
+        </div>
+        <div class="col-12 col-md-8">
+          <label class="form-label">Razón social</label>
+          <input type="text" class="form-control" data-field="document.razon" value="${d.razon || ""}">
+        </div>
+        <div class="col-12">
+          <label class="form-label">Giro</label>
+          <input type="text" class="form-control" data-field="document.giro" value="${d.giro || ""}">
+        </div>
+        ${Html.raw(this.savedSelect("savedBilling", this.savedAddresses("facturacion"), "Usar una dirección de facturación guardada"))}
+        <div class="col-12">
+          <label class="form-label">Dirección de facturación <span class="text-muted small">(opcional)</span></label>
+          <input type="text" class="form-control" data-field="document.address" value="${d.address || ""}">
+        </div>
+      </div>`;
+  },
+
+  // Despacho o retiro en tienda; la dirección solo se pide (y valida) para despacho.
+  step_direccion(data) {
+    const a = data.address;
+    const pickup = data.method === "retiro";
+    const delivery = pickup ? "estandar" : data.method; // conserva estándar/express al volver
+    const regions = Shipping.REGIONS.map(r => Html.raw(html`<option ${r.name === a.region ? "selected" : ""}>${r.name}</option>`));
+    const comunas = Shipping.comunas(a.region).map(c => Html.raw(html`<option ${c === a.comuna ? "selected" : ""}>${c}</option>`));
+    return html`<div class="mb-3">
+      <div class="form-check form-check-inline">
+        <input class="form-check-input" type="radio" name="delivery" id="delivery-home" data-field="method" value="${delivery}" ${pickup ? "" : "checked"}>
+        <label class="form-check-label" for="delivery-home">Despacho a domicilio</label>
+      </div>
+      <div class="form-check form-check-inline">
+        <input class="form-check-input" type="radio" name="delivery" id="delivery-pickup" data-field="method" value="retiro" ${pickup ? "checked" : ""}>
+        <label class="form-check-label" for="delivery-pickup">Retiro en tienda <span class="small text-muted">(${Shipping.STORE_ADDRESS})</span></label>
+      </div>
+    </div>
+    <div id="addressFields" class="row g-3 ${pickup ? "d-none" : ""}">
+      ${Html.raw(this.savedSelect("savedAddress", this.savedAddresses("envio"), "Usar una dirección guardada"))}
+      <div class="col-12 col-md-6">
+        <label class="form-label">Región</label>
+        <select class="form-select" data-field="address.region"><option value="">Selecciona...</option>${regions}</select>
+      </div>
+      <div class="col-12 col-md-6">
+        <label class="form-label">Comuna</label>
+        <select class="form-select" data-field="address.comuna"><option value="">Selecciona...</option>${comunas}</select>
+      </div>
+      <div class="col-12 col-md-6">
+        <label class="form-label">Calle</label>
+        <input type="text" class="form-control" data-field="address.street" value="${a.street || ""}" autocomplete="address-line1">
+      </div>
+      <div class="col-6 col-md-3">
+        <label class="form-label">Número</label>
+        <input type="text" class="form-control" data-field="address.number" value="${a.number || ""}">
+      </div>
+      <div class="col-6 col-md-3">
+        <label class="form-label">Depto / Oficina <span class="text-muted small">(opcional)</span></label>
+        <input type="text" class="form-control" data-field="address.apt" value="${a.apt || ""}" autocomplete="address-line2">
+      </div>
+      <div class="col-12">
+        <label class="form-label">Indicaciones para el repartidor <span class="text-muted small">(opcional)</span></label>
+        <input type="text" class="form-control" data-field="address.notes" value="${a.notes || ""}">
+      </div>
+    </div>`;
+  },
+
+  // Métodos de despacho a domicilio (el retiro se elige en el paso de entrega).
+  step_envio(data) {
+    const t = this.totals(App.getCart(), App.getProducts(), data);
+    const subtotal = t.subtotal - t.discount;
+    const options = Object.keys(Shipping.METHODS).filter(id => id !== "retiro").map(id => {
+      const m = Shipping.METHODS[id];
+      let cost = Shipping.cost(id, subtotal, data.address.region);
+      if (cost !== null && id !== "retiro" && t.promo.freeShipping) cost = 0;
+      const price = cost === null ? "No disponible en tu región" : (cost === 0 ? "Gratis" : App.formatCLP(cost));
+      return Html.raw(html`
+        <div class="form-check border rounded p-3 ps-5 mb-2">
+          <input class="form-check-input" type="radio" name="shipMethod" id="ship-${id}" data-field="method" value="${id}" ${data.method === id ? "checked" : ""} ${cost === null ? "disabled" : ""}>
+          <label class="form-check-label d-flex justify-content-between w-100" for="ship-${id}">
+            <span><span class="fw-semibold">${m.label}</span><br><span class="small text-muted">${m.eta}</span></span>
+            <span>${price}</span>
+          </label>
+        </div>`);
+    });
+    const missing = CONFIG.FREE_SHIPPING_OVER - subtotal;
+    return html`${options}
+      <div class="small text-muted">${missing > 0
+        ? "Te faltan " + App.formatCLP(missing) + " para despacho estándar gratis."
+        : "Tu compra tiene despacho estándar gratis."}</div>`;
+  },
+
+  step_revision(data) {
+    const cart = App.getCart();
+    const products = App.getProducts();
+    const t = this.totals(cart, products, data);
+    const lines = cart.map(it => {
+      const p = products.find(x => x.id === it.pid);
+      return p ? Html.raw(html`<li class="d-flex justify-content-between"><span>${it.qty} × ${Books.title(p)}</span><span>${App.formatCLP(p.price * it.qty)}</span></li>`) : "";
+    });
+    const c = data.contact;
+    return html`<div class="row g-4">
+      <div class="col-12 col-md-6">
+        <h3 class="h6">Contacto</h3>
+        <p class="small mb-3">${c.name} ${c.last}<br>${c.email}<br>${c.phone}</p>
+        <h3 class="h6">${data.method === "retiro" ? "Retiro en tienda" : "Despacho a"}</h3>
+        <p class="small mb-3">${data.method === "retiro" ? Shipping.STORE_ADDRESS : Shipping.addressText(data.address)}</p>
+        <h3 class="h6">Documento</h3>
+        <p class="small mb-0">${Tax.documentText(data.document)}</p>
+      </div>
+      <div class="col-12 col-md-6">
+        <h3 class="h6">Resumen</h3>
+        <ul class="list-unstyled small mb-2">${lines}</ul>
+        <ul class="list-unstyled small border-top pt-2 mb-0">
+          <li class="d-flex justify-content-between"><span>Subtotal</span><span>${App.formatCLP(t.subtotal)}</span></li>
+          ${t.promo.applied.map(d => Html.raw(html`<li class="d-flex justify-content-between text-success"><span>${d.label} (${d.code})</span><span>${d.freeShipping ? "Envío gratis" : "−" + App.formatCLP(d.amount)}</span></li>`))}
+          <li class="d-flex justify-content-between"><span>${t.method.label}</span><span>${t.shipping ? App.formatCLP(t.shipping) : "Gratis"}</span></li>
+          <li class="d-flex justify-content-between text-muted"><span>Neto</span><span>${App.formatCLP(t.tax.net)}</span></li>
+          <li class="d-flex justify-content-between text-muted"><span>IVA (19%)</span><span>${App.formatCLP(t.tax.iva)}</span></li>
+          <li class="d-flex justify-content-between fw-semibold"><span>Total</span><span>${App.formatCLP(t.total)}</span></li>
+        </ul>
+      </div>
+    </div>`;
+  }
+};
+
+// ------- Módulo Wishlist (lista de deseos y avisos de reposición) -------
+// Solo para cuentas con sesión. El corazón de las tarjetas guarda el título en mt.wishlists;
+// en títulos agotados "Avísame" suscribe la cuenta en mt.stockAlerts. Cuando el stock vuelve
+// (App.saveProducts) se crea un aviso en mt.notifications y se muestra como toast.
+const Wishlist = {
+  // Ids de la lista de deseos de email.
+  list(email) {
+    return App.getWishlists()[email] || [];
+  },
+
+  // ¿El título está en la lista del usuario logueado?
+  has(pid) {
+    const s = App.getSession();
+    return !!s && this.list(s.email).includes(pid);
+  },
+
+  // ¿El usuario logueado espera aviso de reposición de pid?
+  subscribed(pid) {
+    const s = App.getSession();
+    return !!s && App.getStockAlerts().some(a => a.pid === pid && a.email === s.email);
+  },
+
+  // Botón corazón de la tarjeta.
+  heart(pid) {
+    const on = this.has(pid);
+    return `<button type="button" class="btn btn-sm btn-link p-0 text-decoration-none ${on ? "text-danger" : "text-secondary"}" data-wish="${pid}"
+      aria-pressed="${on}" title="${on ? "Quitar de" : "Agregar a"} la lista de deseos">${on ? "♥" : "♡"}</button>`;
+  },
+
+  // Botón "Avísame cuando vuelva" (para títulos sin stock).
+  alertButton(pid) {
+    const on = this.subscribed(pid);
+    return `<button type="button" class="btn btn-sm w-100 mt-2 ${on ? "btn-outline-success" : "btn-outline-secondary"}" data-stock-alert="${pid}"
+      aria-pressed="${on}">${on ? "Te avisaremos cuando vuelva" : "Avísame cuando vuelva"}</button>`;
+  },
+
+  // Conecta los botones de todas las páginas (las tarjetas se re-pintan seguido).
+  bind() {
+    $(document)
+      .on("click", "[data-wish]", e => this.toggle(+$(e.currentTarget).data("wish")))
+      .on("click", "[data-stock-alert]", e => this.toggleAlert(+$(e.currentTarget).data("stockAlert")));
+  },
+
+  // Actualiza en pantalla los botones de pid sin re-pintar las tarjetas.
+  refreshButtons(pid) {
+    $(`[data-wish="${pid}"]`).replaceWith(this.heart(pid));
+    $(`[data-stock-alert="${pid}"]`).replaceWith(this.alertButton(pid));
+  },
+
+  // Agrega o quita pid de la lista de deseos.
+  async toggle(pid) {
+    const s = App.getSession();
+    if (!s) { alert("Inicia sesión para guardar títulos en tu lista de deseos."); return; }
+    const map = Object.assign({}, App.getWishlists());
+    const list = map[s.email] || [];
+    map[s.email] = list.includes(pid) ? list.filter(x => x !== pid) : list.concat(pid);
+    if (!await App.saveWishlists(map)) return;
+    this.refreshButtons(pid);
+    if (document.body.id === "page-deseos") this.render();
+  },
+
+  // Suscribe o cancela el aviso de reposición de pid.
+  async toggleAlert(pid) {
+    const s = App.getSession();
+    if (!s) { alert("Inicia sesión para recibir un aviso cuando vuelva a haber stock."); return; }
+    const list = App.getStockAlerts();
+    const on = list.some(a => a.pid === pid && a.email === s.email);
+    const next = on ? list.filter(a => !(a.pid === pid && a.email === s.email))
+                    : list.concat({ pid, email: s.email, createdAt: new Date().toISOString() });
+    if (!await App.saveStockAlerts(next)) return;
+    this.refreshButtons(pid);
+  },
+
+  // Mueve pid de la lista de deseos al carrito (si hay stock disponible).
+  async moveToCart(pid) {
+    if (await App.addToCart(pid)) await this.toggle(pid);
+  },
+
+  // Pinta la página de lista de deseos (#wishlistGrid).
+  render() {
+    const s = App.getSession();
+    const products = App.getProducts();
+    const items = (s ? this.list(s.email) : []).map(pid => products.find(p => p.id === pid)).filter(Boolean);
+    const cards = items.map(p => {
+      const stock = Stock.available(p);
+      return html`
+        <div class="col-12 col-md-6 col-lg-4">
+          <div class="card h-100 shadow-sm">
+            <div class="card-body d-flex flex-column">
+              <h2 class="h6 mb-1">${Books.title(p)} <small class="text-muted">${p.format || ""}</small></h2>
+              <div class="small text-muted mb-2">${Books.authorsText(p)}</div>
+              <div class="d-flex justify-content-between align-items-center mb-2 mt-auto">
+                <span class="price">${App.formatCLP(p.price)}</span>
+                <span class="badge rounded-pill ${stock > 0 ? "text-bg-success" : "text-bg-secondary"}">${stock > 0 ? "Stock: " + stock : "Sin stock"}</span>
+              </div>
+              ${Html.raw(stock > 0
+                ? `<button class="btn btn-primary btn-sm" data-wish-move="${p.id}">Mover al carrito</button>`
+                : this.alertButton(p.id))}
+              <button class="btn btn-outline-danger btn-sm mt-2" data-wish-remove="${p.id}">Quitar</button>
+            </div>
+          </div>
+        </div>
+      `;
+    }).join("");
+    $("#wishlistGrid").html(cards || `<div class="col-12 text-center text-muted py-5">Tu lista de deseos está vacía. <a href="catalogo.html">Ir al catálogo</a></div>`);
+  },
+
+  // Revisa las suscripciones contra la lista de productos recién guardada: las que ya tienen
+  // stock disponible se convierten en aviso y se borran. Devuelve una promesa, o null si no hubo nada.
+  notify(products) {
+    const alerts = App.getStockAlerts();
+    if (!alerts.length) return null;
+    const ready = alerts.filter(a => {
+      const p = products.find(x => x.id === a.pid);
+      return p && Stock.available(p, a.email) > 0;
+    });
+    if (!ready.length) return null;
+    const now = new Date().toISOString();
+    const created = ready.map((a, i) => {
+      const p = products.find(x => x.id === a.pid);
+      return { id: Date.now().toString(36) + i + a.email, email: a.email, pid: p.id, title: Books.title(p),
+               message: `${Books.title(p)} volvió a tener stock.`, createdAt: now, read: false };
+    });
+    return Promise.all([
+      App.saveStockAlerts(alerts.filter(a => !ready.includes(a))),
+      App.saveNotifications(App.getNotifications().concat(created))
+    ]);
+  },
+
+  // Avisos de email (más recientes primero) y los no leídos.
+  forUser(email) {
+    const e = email.toLowerCase();
+    return App.getNotifications().filter(n => n.email.toLowerCase() === e).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+  unread(email) {
+    return this.forUser(email).filter(n => !n.read);
+  },
+
+  // Muestra como toast los avisos no leídos del usuario logueado y los marca como leídos.
+  async showToasts() {
+    const s = App.getSession();
+    const pending = s ? this.unread(s.email) : [];
+    if (!pending.length) return;
+
+    let $area = $("#toastArea");
+    if (!$area.length) $area = $(`<div id="toastArea" class="toast-container position-fixed bottom-0 end-0 p-3" style="z-index:2000"></div>`).appendTo("body");
+    pending.forEach(n => {
+      const $t = $(html`
+        <div class="toast" role="status" aria-live="polite" aria-atomic="true">
+          <div class="toast-header">
+            <strong class="me-auto">MiniTienda</strong>
+            <button type="button" class="btn-close" data-bs-dismiss="toast" aria-label="Cerrar"></button>
+          </div>
+          <div class="toast-body">${n.message} <a href="catalogo.html?q=${encodeURIComponent(n.title || "")}">Ver</a></div>
+        </div>
+      `).appendTo($area);
+      if (window.bootstrap) new window.bootstrap.Toast($t[0], { delay: 8000 }).show();
+      else $t.addClass("show");
+    });
+
+    const ids = pending.map(n => n.id);
+    await App.saveNotifications(App.getNotifications().map(n => ids.includes(n.id) ? Object.assign({}, n, { read: true }) : n));
+    App.updateUserMenu();
+  }
+};
+
+// ------- Módulo Reviews (reseñas, valoración y relacionados) -------
+// Solo puede opinar quien compró el título con su cuenta (según mt.orders); una reseña por
+// cuenta y título, que se puede editar. Nombre y texto los escribe el cliente: se insertan con .text().
+const Reviews = {
+  // Largo máximo del comentario
+  MAX_TEXT: 1000,
+
+  // Re-pinta la ficha abierta (la asigna pageProduct).
+  refresh() {},
+
+  // Promedio y cantidad por producto, recalculado solo cuando cambia mt.reviews.
+  _stats: null,
+  _source: null,
+  stats(pid) {
+    const list = App.getReviews();
+    if (this._source !== list) {
+      this._stats = new Map();
+      list.forEach(r => {
+        const st = this._stats.get(r.pid) || { sum: 0, count: 0 };
+        st.sum += r.rating;
+        st.count += 1;
+        this._stats.set(r.pid, st);
+      });
+      this._source = list;
+    }
+    const st = this._stats.get(pid);
+    return st ? { avg: st.sum / st.count, count: st.count } : { avg: 0, count: 0 };
+  },
+
+  // Orden "mejor valorados": promedio, luego cantidad de reseñas (sin reseñas al final).
+  compare(a, b) {
+    const sa = this.stats(a), sb = this.stats(b);
+    return sb.avg - sa.avg || sb.count - sa.count;
+  },
+
+  // Estrellas llenas/vacías para un promedio (redondeado a la estrella más cercana).
+  stars(avg) {
+    const full = Math.round(avg);
+    return `<span class="text-warning" aria-label="${avg.toFixed(1)} de 5">${"★".repeat(full)}${"☆".repeat(5 - full)}</span>`;
+  },
+
+  // Valoración compacta para las tarjetas (vacío si no hay reseñas).
+  badge(pid) {
+    const st = this.stats(pid);
+    return st.count ? `<div class="small mb-1">${this.stars(st.avg)} <span class="text-muted">${st.avg.toFixed(1)} (${st.count})</span></div>` : "";
+  },
+
+  // Reseñas de un título, más recientes primero.
+  forProduct(pid) {
+    return App.getReviews().filter(r => r.pid === pid).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+
+  // ¿La sesión compró pid? (pedido hecho con su cuenta, no como invitado, y ni cancelado ni reembolsado)
+  hasBought(pid, session) {
+    return !!session && Orders.forUser(App.getOrders(), session.email)
+      .some(o => !Orders.VOID.includes(Orders.status(o)) && o.items.some(it => it.pid === pid));
+  },
+
+  // Títulos relacionados: misma serie, luego mismo autor, luego algún género en común (máx. 3).
+  related(p, products) {
+    const others = products.filter(x => x.id !== p.id);
+    const score = x => (p.series && x.series === p.series ? 4 : 0)
+      + (x.authors || []).filter(a => (p.authors || []).includes(a)).length * 2
+      + (x.genres || []).filter(g => (p.genres || []).includes(g)).length;
+    return others.map(x => ({ x, s: score(x) })).filter(r => r.s > 0)
+      .sort((a, b) => b.s - a.s || (a.x.volume || 0) - (b.x.volume || 0)).slice(0, 3).map(r => r.x);
+  },
+
+  // Pinta la sección #reviews de la ficha: resumen, formulario (si corresponde) y listado.
+  render(p) {
+    const s = App.getSession();
+    const list = this.forProduct(p.id);
+    const mine = s && list.find(r => r.email.toLowerCase() === s.email.toLowerCase());
+    const st = this.stats(p.id);
+    const $sec = $("#reviews").empty();
+
+    $sec.append(`<h2 class="h5 mb-3">Reseñas ${st.count ? `<span class="fs-6 fw-normal">${this.stars(st.avg)} ${st.avg.toFixed(1)} de 5</span>` : ""}</h2>`);
+
+    if (!s) {
+      $sec.append(`<p class="small text-muted">Inicia sesión para opinar sobre los títulos que compraste.</p>`);
+    } else if (!this.hasBought(p.id, s)) {
+      $sec.append(`<p class="small text-muted">Solo quienes compraron este título pueden dejar una reseña.</p>`);
+    } else {
+      const rating = mine ? mine.rating : 0;
+      const options = [1, 2, 3, 4, 5].map(n => `
+        <div class="form-check form-check-inline">
+          <input class="form-check-input" type="radio" name="reviewRating" id="rv-${n}" value="${n}" ${rating === n ? "checked" : ""}>
+          <label class="form-check-label" for="rv-${n}">${"★".repeat(n)}</label>
+        </div>`).join("");
+      const $form = $(`
+        <form id="reviewForm" class="card card-body mb-4" novalidate>
+          <h3 class="h6">${mine ? "Editar tu reseña" : "Escribe una reseña"}</h3>
+          <div id="reviewMsg"></div>
+          <div class="mb-2">${options}</div>
+          <textarea class="form-control mb-2" id="reviewText" rows="3" maxlength="${this.MAX_TEXT}" placeholder="¿Qué te pareció? (opcional)"></textarea>
+          <div><button class="btn btn-primary btn-sm" type="submit">${mine ? "Guardar cambios" : "Publicar reseña"}</button></div>
+        </form>
+      `);
+      $form.find("#reviewText").val(mine ? mine.text : "");
+      $sec.append($form);
+    }
+
+    if (!list.length) {
+      $sec.append(`<p class="text-muted">Aún no hay reseñas.</p>`);
+      return;
+    }
+    const $ul = $(`<ul class="list-unstyled"></ul>`).appendTo($sec);
+    list.forEach(r => {
+      const own = s && (r.email.toLowerCase() === s.email.toLowerCase() || s.role === "admin");
+      const $li = $(html`
+        <li class="border-bottom py-3">
+          <div class="d-flex justify-content-between">
+            <span>${Html.raw(this.stars(r.rating))} <span class="fw-semibold" data-review-name></span></span>
+            <span class="small text-muted">${App.formatDate(r.updatedAt || r.createdAt)}</span>
+          </div>
+          <p class="mb-1 mt-1" data-review-text></p>
+          ${own ? Html.raw(html`<button class="btn btn-link btn-sm text-danger p-0" data-review-remove="${r.id}">Eliminar</button>`) : ""}
+        </li>
+      `);
+      $li.find("[data-review-name]").text(r.name || "Cliente");
+      $li.find("[data-review-text]").text(r.text);
+      $ul.append($li);
+    });
+  },
+
+  // Crea o actualiza la reseña de la cuenta para pid.
+  async submit(e, pid) {
+    e.preventDefault();
+    const s = App.getSession();
+    const p = App.getProducts().find(x => x.id === pid);
+    if (!p || !this.hasBought(pid, s)) return;
+
+    const rating = parseInt($("input[name='reviewRating']:checked").val(), 10);
+    const text = String($("#reviewText").val() || "").trim().slice(0, this.MAX_TEXT);
+    if (!(rating >= 1 && rating <= 5)) {
+      Auth.message($("#reviewMsg"), "danger", "Elige de 1 a 5 estrellas.");
+      return;
+    }
+
+    const list = App.getReviews().slice();
+    const now = new Date().toISOString();
+    const idx = list.findIndex(r => r.pid === pid && r.email.toLowerCase() === s.email.toLowerCase());
+    if (idx >= 0) list[idx] = Object.assign({}, list[idx], { rating, text, name: s.name, updatedAt: now });
+    else list.push({ id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), pid, email: s.email, name: s.name, rating, text, createdAt: now, updatedAt: now });
+    if (!await App.saveReviews(list)) return;
+    this.refresh(); // re-pinta la ficha con el nuevo promedio
+  },
+
+  // Elimina una reseña (su autor o un admin).
+  async remove(id) {
+    const s = App.getSession();
+    const r = App.getReviews().find(x => x.id === id);
+    if (!s || !r || (r.email.toLowerCase() !== s.email.toLowerCase() && s.role !== "admin")) return;
+    if (!confirm("¿Eliminar la reseña?")) return;
+    if (!await App.saveReviews(App.getReviews().filter(x => x.id !== id))) return;
+    this.refresh();
+  }
+};
+
+// ------- Módulo Stock (reservas de stock por carrito) -------
+// Al agregar al carrito se "aparta" la cantidad por CONFIG.RESERVATION_MINUTES minutos. El stock
+// guardado en el producto no cambia hasta la compra; lo disponible para los demás es
+// stock - reservas vigentes de otros carritos.
+const Stock = {
+  // Reservas vigentes (las vencidas se ignoran).
+  active() {
+    const now = Date.now();
+    return App.getReservations().filter(r => r.expires > now);
+  },
+
+  // Como active(), pero antes anota en el libro de inventario las reservas vencidas que se van a
+  // descartar. Usar cuando se guarda la lista resultante. Resuelve null si el libro no se guardó:
+  // una reserva vencida no se descarta sin quedar anotada.
+  async sweep() {
+    const now = Date.now();
+    const expired = App.getReservations().filter(r => r.expires <= now);
+    if (expired.length) {
+      const products = App.getProducts();
+      const recorded = await Inventory.record(expired.map(r => {
+        const p = products.find(x => x.id === r.pid);
+        return p && Object.assign(Inventory.entry(p, r.qty, "reserva_expirada",
+          `Carrito sin actividad por ${CONFIG.RESERVATION_MINUTES} min`, `${r.owner}:${r.pid}:${r.expires}`), { user: "" });
+      }));
+      if (!recorded) return null;
+    }
+    return this.active();
+  },
+
+  // Descarta (y anota) las reservas vencidas; no hace nada si no hay.
+  async expire() {
+    const list = App.getReservations();
+    const active = await this.sweep();
+    if (!active) return false;
+    return active.length === list.length || App.saveReservations(active);
+  },
+
+  // Unidades de pid reservadas por carritos que no son owner.
+  heldByOthers(pid, owner) {
+    return this.active().filter(r => r.pid === pid && r.owner !== owner).reduce((a, r) => a + r.qty, 0);
+  },
+
+  // Unidades que owner (por defecto el carrito actual) puede tomar del producto.
+  available(p, owner) {
+    return Math.max(0, p.stock - this.heldByOthers(p.id, owner || App.cartOwner()));
+  },
+
+  // Hasta cuándo (ms) está reservada la línea pid del carrito actual (null si no lo está).
+  expiresAt(pid) {
+    const owner = App.cartOwner();
+    const r = this.active().find(x => x.pid === pid && x.owner === owner);
+    return r ? r.expires : null;
+  },
+
+  // Reserva qty unidades de pid para owner (0 la libera). Limpia de paso las vencidas.
+  async reserve(pid, qty, owner) {
+    owner = owner || App.cartOwner();
+    const active = await this.sweep();
+    if (!active) return false;
+    const list = active.filter(r => !(r.pid === pid && r.owner === owner));
+    if (qty > 0) list.push({ pid, owner, qty, expires: Date.now() + CONFIG.RESERVATION_MINUTES * 60000 });
+    return App.saveReservations(list);
+  },
+
+  // Renueva el plazo de todas las líneas del carrito, reservando a lo más lo disponible.
+  // No guarda si las cantidades no cambiaron y a las reservas les queda más de la mitad del plazo:
+  // el carrito se re-pinta cuando otra pestaña cambia las reservas, y guardar siempre un plazo nuevo
+  // haría que dos pestañas con el carrito abierto se re-pintaran una a la otra sin fin.
+  async renew(cart, products) {
+    const owner = App.cartOwner();
+    const now = Date.now();
+    const expires = now + CONFIG.RESERVATION_MINUTES * 60000;
+    const all = App.getReservations();
+    const active = await this.sweep();
+    if (!active) return false;
+    const mine = active.filter(r => r.owner === owner);
+    const list = active.filter(r => r.owner !== owner);
+    const wanted = [];
+    cart.forEach(it => {
+      const p = products.find(x => x.id === it.pid);
+      const qty = p ? Math.min(it.qty, this.available(p, owner)) : 0;
+      if (qty > 0) wanted.push({ pid: it.pid, owner, qty, expires });
+    });
+
+    const fresh = r => r.expires - now > CONFIG.RESERVATION_MINUTES * 30000;
+    const same = wanted.length === mine.length &&
+      wanted.every(w => mine.some(r => r.pid === w.pid && r.qty === w.qty && fresh(r)));
+    if (same && active.length === all.length) return true;
+    return App.saveReservations(list.concat(wanted));
+  },
+
+  // Libera todas las reservas de owner (tras comprar o vaciar el carrito).
+  async release(owner) {
+    owner = owner || App.cartOwner();
+    const active = await this.sweep();
+    if (!active) return false;
+    return App.saveReservations(active.filter(r => r.owner !== owner));
+  },
+
+  // Líneas del carrito que no se pueden comprar con el stock actual:
+  // [{ pid, name, wanted, available }] (vacío si todo está bien).
+  validate(cart, products) {
+    return cart.map(it => {
+      const p = products.find(x => x.id === it.pid);
+      if (!p) return { pid: it.pid, name: "Producto retirado del catálogo", wanted: it.qty, available: 0 };
+      const available = this.available(p);
+      return it.qty > available ? { pid: p.id, name: Books.title(p), wanted: it.qty, available } : null;
+    }).filter(Boolean);
+  }
+};
+
+// ------- Módulo Inventory (libro de inventario y stock bajo) -------
+// Cada cambio de stock queda como un movimiento en mt.stockMovements:
+// { id, pid, type, qty (+ entra / − sale), stock (saldo tras el movimiento), reason, user, ref, at }.
+// p.stock sigue siendo lo que se vende; debe coincidir con la suma de los movimientos del
+// producto. Si no (datos editados a mano o por otra herramienta), inventario.html lo muestra
+// como diferencia y se concilia con un ajuste.
+const Inventory = {
+  // Tipos de movimiento. Los de stock:false solo informan y no suman al saldo
+  // (una reserva vencida devuelve unidades a lo disponible, no al stock).
+  TYPES: {
+    inicial: { label: "Saldo inicial" },
+    venta: { label: "Venta" },
+    ajuste: { label: "Ajuste manual" },
+    importacion: { label: "Importación" },
+    devolucion: { label: "Devolución" },
+    reserva_expirada: { label: "Reserva vencida", stock: false }
+  },
+  // Tipos que el admin registra a mano en inventario.html
+  MANUAL: ["ajuste", "devolucion"],
+
+  // Stock mínimo del producto: el propio (p.minStock) o CONFIG.LOW_STOCK.
+  threshold(p) {
+    return p.minStock === null || p.minStock === undefined ? CONFIG.LOW_STOCK : p.minStock;
+  },
+
+  // Productos en o bajo su stock mínimo, los más urgentes primero.
+  lowStock(products) {
+    const gap = p => p.stock - this.threshold(p);
+    return products.filter(p => gap(p) <= 0).sort((a, b) => gap(a) - gap(b));
+  },
+
+  // Movimientos de pid, del más reciente al más antiguo.
+  history(pid) {
+    return App.getStockMovements().filter(m => m.pid === pid).reverse();
+  },
+
+  // Saldo de cada producto según el libro (Map pid → unidades).
+  balances() {
+    const map = new Map();
+    App.getStockMovements().forEach(m => {
+      if ((this.TYPES[m.type] || {}).stock === false) return;
+      map.set(m.pid, (map.get(m.pid) || 0) + m.qty);
+    });
+    return map;
+  },
+
+  // Productos cuyo stock no coincide con el libro: [{ p, ledger }].
+  discrepancies(products) {
+    const balances = this.balances();
+    return products.map(p => ({ p, ledger: balances.get(p.id) || 0 })).filter(d => d.ledger !== d.p.stock);
+  },
+
+  // Arma un movimiento de qty unidades (sin guardarlo); p ya debe tener el stock resultante.
+  // El usuario es la sesión actual ("" = el sistema, ej: reservas vencidas).
+  entry(p, qty, type, reason, ref = null) {
+    const s = App.getSession();
+    return {
+      id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      pid: p.id, type, qty, stock: p.stock, reason: reason || "", user: s ? s.email : "", ref,
+      at: new Date().toISOString()
+    };
+  },
+
+  // Movimiento por la diferencia entre el stock de p y el anterior (null si no cambió).
+  change(p, before, type, reason, ref) {
+    return p.stock !== before ? this.entry(p, p.stock - before, type, reason, ref) : null;
+  },
+
+  // Agrega movimientos al libro en una sola escritura. Ignora los vacíos (null / qty 0) y los
+  // que repiten tipo + producto + ref (ej: la misma reserva vencida vista desde dos pestañas).
+  // Con la API el libro solo lo escribe un admin: para un cliente, las reservas vencidas las anota
+  // el servidor al guardarlas.
+  record(entries) {
+    if (!Store.canWrite(LS_KEYS.STOCK_MOVEMENTS)) return Promise.resolve(true);
+    const list = App.getStockMovements();
+    const key = m => m.type + ":" + m.pid + ":" + m.ref;
+    const seen = new Set(list.filter(m => m.ref !== null).map(key));
+    const fresh = entries.filter(m => m && m.qty && (m.ref === null || !seen.has(key(m))));
+    return fresh.length ? App.saveStockMovements(list.concat(fresh)) : Promise.resolve(true);
+  },
+
+  // Abre el libro con el stock actual de cada producto.
+  open(products) {
+    return this.record(products.map(p => this.entry(p, p.stock, "inicial", "Stock al abrir el libro de inventario")));
+  },
+
+  // Admin: relee productos y libro (por si otro admin o una compra los cambió) y guarda ambos.
+  // change(list) modifica la lista y devuelve los movimientos; resuelve true si se guardó.
+  async apply(change) {
+    try {
+      await Store.reload([LS_KEYS.PRODUCTS, LS_KEYS.STOCK_MOVEMENTS]);
+    } catch (err) {
+      App.showError("No se pudo leer el inventario. " + err.message);
+      return false;
+    }
+    const list = App.getProducts().map(p => Object.assign({}, p));
+    const moves = change(list);
+    if (!moves) return false;
+    const saved = await Promise.all([App.saveProducts(list), this.record(moves)]);
+    return !saved.includes(false);
+  },
+
+  // Formulario de movimiento manual (#movementForm): ajuste (+/−) o devolución (+).
+  async submit(e) {
+    e.preventDefault();
+    const pid = parseInt($("#mvProduct").val(), 10);
+    const type = $("#mvType").val();
+    const qty = parseInt($("#mvQty").val(), 10);
+    const reason = $("#mvReason").val().trim();
+    const $msg = $("#movementMsg");
+    const fail = text => { $msg.html(`<div class="alert alert-danger py-2 mb-0">${text}</div>`); return null; };
+
+    if (!this.MANUAL.includes(type)) return fail("Elija el tipo de movimiento.");
+    if (isNaN(qty) || qty === 0) return fail("Indique una cantidad distinta de cero.");
+    if (type === "devolucion" && qty < 0) return fail("Una devolución suma unidades: use una cantidad positiva.");
+    if (!reason) return fail("Indique el motivo.");
+
+    const ok = await this.apply(list => {
+      const p = list.find(x => x.id === pid);
+      if (!p) return fail("Elija un producto.");
+      if (p.stock + qty < 0) return fail(`El stock quedaría negativo (hay ${p.stock}).`);
+      p.stock += qty;
+      return [this.entry(p, qty, type, reason)];
+    });
+    if (!ok) return;
+    $("#mvQty, #mvReason").val("");
+    $msg.html(`<div class="alert alert-success py-2 mb-0">Movimiento registrado.</div>`);
+    this.render();
+  },
+
+  // Registra un ajuste para que el libro coincida con el stock guardado de pid.
+  async reconcile(pid) {
+    const ok = await this.apply(list => {
+      const d = this.discrepancies(list).find(x => x.p.id === pid);
+      return d ? [this.entry(d.p, d.p.stock - d.ledger, "ajuste", "Conciliación con el stock guardado")] : null;
+    });
+    if (ok) this.render();
+  },
+
+  // Guarda el stock mínimo del producto elegido (#minStock vacío = el general).
+  async saveMinStock(e) {
+    e.preventDefault();
+    const pid = parseInt($("#mvProduct").val(), 10);
+    const raw = $("#minStock").val().trim();
+    const min = raw === "" ? null : parseInt(raw, 10);
+    if (min !== null && (isNaN(min) || min < 0)) {
+      alert("El stock mínimo debe ser un número entero positivo.");
+      return;
+    }
+    const ok = await this.apply(list => {
+      const p = list.find(x => x.id === pid);
+      if (p) p.minStock = min;
+      return p ? [] : null;
+    });
+    if (ok) this.render();
+  },
+
+  // ----- inventario.html -----
+  // Repinta todo: stock bajo, diferencias con el libro e historial del producto elegido.
+  render() {
+    const products = App.getProducts();
+    this.renderLowStock(products);
+    this.renderIssues(products);
+    this.renderProducts(products);
+    this.renderHistory(products);
+  },
+
+  // Tabla de títulos en o bajo su mínimo (#lowStockBody).
+  renderLowStock(products) {
+    const low = this.lowStock(products);
+    $("#lowStockCount").text(low.length);
+    const $tbody = $("#lowStockBody").empty();
+    if (!low.length) {
+      $tbody.append(`<tr><td colspan="5" class="text-muted">Todos los títulos están sobre su stock mínimo.</td></tr>`);
+      return;
+    }
+    low.forEach(p => {
+      const $tr = $(`
+        <tr>
+          <td></td>
+          <td class="${p.stock <= 0 ? "text-danger fw-semibold" : ""}">${p.stock}</td>
+          <td>${Stock.heldByOthers(p.id, null)}</td>
+          <td>${this.threshold(p)}${p.minStock === null || p.minStock === undefined ? ' <small class="text-muted">(general)</small>' : ""}</td>
+          <td class="text-end"><button type="button" class="btn btn-sm btn-outline-secondary" data-inventory-show="${p.id}">Historial</button></td>
+        </tr>
+      `);
+      $tr.children().first().text(Books.title(p));
+      $tbody.append($tr);
+    });
+  },
+
+  // Aviso con los productos cuyo stock no cuadra con el libro (#ledgerIssues).
+  renderIssues(products) {
+    const issues = this.discrepancies(products);
+    const $box = $("#ledgerIssues").empty().toggleClass("d-none", !issues.length);
+    if (!issues.length) return;
+    const $list = $(`<ul class="mb-0"></ul>`);
+    issues.forEach(({ p, ledger }) => {
+      const $li = $(`<li><span></span>: stock ${p.stock}, libro ${ledger}.
+        <button type="button" class="btn btn-link btn-sm p-0 align-baseline" data-inventory-reconcile="${p.id}">Conciliar</button></li>`);
+      $li.children("span").text(Books.title(p));
+      $list.append($li);
+    });
+    $box.append(`<div class="fw-semibold">Stock distinto al libro de inventario</div>`, $list);
+  },
+
+  // Opciones del selector de producto (#mvProduct), conservando la elección.
+  renderProducts(products) {
+    const $sel = $("#mvProduct");
+    const current = $sel.val();
+    $sel.empty().append(`<option value="">Elija un producto…</option>`);
+    products.slice().sort((a, b) => Books.title(a).localeCompare(Books.title(b), "es")).forEach(p => {
+      $sel.append($("<option>").val(p.id).text(`${Books.title(p)} (stock ${p.stock})`));
+    });
+    if (current && products.some(p => String(p.id) === current)) $sel.val(current);
+  },
+
+  // Historial del producto elegido (#historyBody) y su stock mínimo (#minStock).
+  renderHistory(products) {
+    const pid = parseInt($("#mvProduct").val(), 10);
+    const p = products.find(x => x.id === pid);
+    $("#historyCard").toggleClass("d-none", !p);
+    if (!p) return;
+    $("#historyTitle").text(Books.title(p));
+    $("#historyStock").text(`Stock ${p.stock} · en carritos ${Stock.heldByOthers(pid, null)} · mínimo ${this.threshold(p)}`);
+    $("#minStock").val(p.minStock === null || p.minStock === undefined ? "" : p.minStock).attr("placeholder", CONFIG.LOW_STOCK);
+
+    const moves = this.history(pid);
+    const $tbody = $("#historyBody").empty();
+    if (!moves.length) $tbody.append(`<tr><td colspan="6" class="text-muted">Sin movimientos.</td></tr>`);
+    moves.forEach(m => {
+      const type = this.TYPES[m.type] || { label: m.type };
+      const $tr = $(`
+        <tr class="${type.stock === false ? "text-muted" : ""}">
+          <td class="text-nowrap">${App.formatDate(m.at)}</td>
+          <td>${type.label}</td>
+          <td class="text-end ${type.stock === false ? "" : m.qty < 0 ? "text-danger" : "text-success"}">${m.qty > 0 ? "+" : ""}${m.qty}</td>
+          <td class="text-end">${m.stock}</td>
+          <td></td>
+          <td></td>
+        </tr>
+      `);
+      const $reason = $tr.children().eq(4).text(m.reason);
+      if (m.type === "venta" && m.ref) $reason.wrapInner(`<a href="pedido.html?id=${encodeURIComponent(m.ref)}"></a>`);
+      $tr.children().eq(5).text(m.user || "Sistema");
+      $tbody.append($tr);
+    });
+  }
+};
+
+// ------- Módulo Csv (lectura y escritura de CSV) -------
+const Csv = {
+  // Texto CSV → filas (arreglos de celdas). Acepta comillas ("a, b" y "" como comilla),
+  // saltos de línea dentro de comillas y separador "," o ";" (Excel en español usa ";").
+  parse(text) {
+    text = String(text || "").replace(/^\ufeff/, "");
+    const header = text.split(/\r?\n/, 1)[0];
+    const delim = (header.match(/;/g) || []).length > (header.match(/,/g) || []).length ? ";" : ",";
+    const rows = [];
+    let row = [], cell = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch !== '"') cell += ch;
+        else if (text[i + 1] === '"') { cell += '"'; i++; }
+        else quoted = false;
+      } else if (ch === '"' && cell === "") {
+        quoted = true;
+      } else if (ch === delim) {
+        row.push(cell);
+        cell = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r => r.some(c => c.trim() !== ""));
+  },
+
+  // Filas → texto CSV. Las celdas de texto que empiezan con = + - @, tabulación o retorno llevan
+  // un ' delante para que una planilla no las ejecute como fórmula (los números quedan igual).
+  stringify(rows) {
+    const cell = v => {
+      let t = v === null || v === undefined ? "" : String(v);
+      if (typeof v !== "number" && /^[=+\-@\t\r]/.test(t)) t = "'" + t;
+      return /[",;\r\n]/.test(t) ? '"' + t.replace(/"/g, '""') + '"' : t;
+    };
+    return rows.map(r => r.map(cell).join(",")).join("\r\n");
+  }
+};
+
+// ------- Módulo Transfer (importar / exportar catálogo) -------
+// Flujo de importar.html: archivo (CSV o JSON) → asignación de columnas → revisión sin guardar
+// (errores por fila) → importación. Cada fila actualiza el producto con ese id o, si no trae
+// id, el que tenga su ISBN; si no hay ninguno, crea uno nuevo (con ids de reserveProductIds).
+// En una actualización las celdas vacías conservan el valor actual.
+const Transfer = {
+  // Campos importables/exportables y encabezados que se reconocen solos (sin tildes, minúsculas).
+  FIELDS: [
+    { key: "id", label: "ID", aliases: ["id"] },
+    { key: "isbn", label: "ISBN", aliases: ["isbn", "isbn13", "ean"] },
+    { key: "name", label: "Título", aliases: ["name", "nombre", "titulo", "title"] },
+    { key: "format", label: "Formato", aliases: ["format", "formato", "encuadernacion"] },
+    { key: "desc", label: "Descripción", aliases: ["desc", "descripcion", "description", "sinopsis"] },
+    { key: "price", label: "Precio", aliases: ["price", "precio"] },
+    { key: "stock", label: "Stock", aliases: ["stock", "existencias", "cantidad"] },
+    { key: "img", label: "Imagen", aliases: ["img", "imagen", "image", "portada"] },
+    { key: "images", label: "Galería", aliases: ["images", "galeria", "imagenes"] },
+    { key: "authors", label: "Autores", aliases: ["authors", "autores", "autor", "author"] },
+    { key: "publisher", label: "Editorial", aliases: ["publisher", "editorial"] },
+    { key: "year", label: "Año", aliases: ["year", "ano", "anio"] },
+    { key: "language", label: "Idioma", aliases: ["language", "idioma", "lang"] },
+    { key: "pages", label: "Páginas", aliases: ["pages", "paginas"] },
+    { key: "genres", label: "Géneros", aliases: ["genres", "generos", "genero", "genre"] },
+    { key: "category", label: "Categoría", aliases: ["category", "categoria", "cat"] },
+    { key: "series", label: "Serie", aliases: ["series", "serie", "saga"] },
+    { key: "volume", label: "Tomo", aliases: ["volume", "tomo", "volumen", "vol"] },
+    { key: "minStock", label: "Stock mínimo", aliases: ["minstock", "stockminimo", "minimo"] },
+    { key: "featured", label: "Destacado", aliases: ["featured", "destacado"] },
+    { key: "premium", label: "Premium", aliases: ["premium"] }
+  ],
+  // Campos con varios valores: en CSV van separados por "|"
+  LIST_FIELDS: ["authors", "genres", "images"],
+  // Filas procesadas entre cada repintado de la barra de progreso
+  CHUNK: 250,
+
+  // Estado del asistente
+  fileName: "",
+  headers: [],
+  records: [],
+  plan: null,
+
+  // ----- Exportar -----
+  // "view" → la búsqueda actual del admin en CSV; "csv"/"json" → todo el catálogo.
+  export(kind) {
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (kind === "json") {
+      this.download(`catalogo-${stamp}.json`, JSON.stringify(App.getProducts(), null, 2), "application/json");
+      return;
+    }
+    const list = kind === "view" ? AdminProducts.view : App.getProducts();
+    const rows = [this.FIELDS.map(f => f.key)].concat(list.map(p => this.FIELDS.map(f =>
+      this.LIST_FIELDS.includes(f.key) ? (p[f.key] || []).join("|") : p[f.key])));
+    this.download(`catalogo-${kind === "view" ? "vista-" : ""}${stamp}.csv`, "\ufeff" + Csv.stringify(rows), "text/csv;charset=utf-8");
+  },
+
+  // Descarga un texto como archivo.
+  download(name, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = $(`<a download="${name}" href="${url}"></a>`).appendTo("body");
+    a[0].click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  // ----- Importar -----
+  // Lee el archivo elegido y arma la asignación de columnas.
+  async load(file) {
+    this.plan = null;
+    $("#importResultCard").addClass("d-none");
+    if (!file) return;
+    try {
+      const text = await file.text();
+      this.fileName = file.name;
+      const json = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+      this.read(json ? JSON.parse(text) : Csv.parse(text), json);
+    } catch (err) {
+      $("#importMappingCard").addClass("d-none");
+      App.showError("No se pudo leer el archivo. " + err.message);
+      return;
+    }
+    this.renderMapping();
+  },
+
+  // Normaliza el contenido a headers + records (objetos por encabezado).
+  // JSON: lista de productos (o { products: [...] }). CSV: la primera fila son los encabezados.
+  read(data, json) {
+    if (json) {
+      const list = Array.isArray(data) ? data : (data && data.products) || [];
+      if (!Array.isArray(list)) throw new Error("Se esperaba una lista de productos.");
+      this.headers = [...new Set(list.flatMap(o => Object.keys(o || {})))];
+      this.records = list.map(o => o || {});
+    } else {
+      const [head = [], ...rows] = data;
+      this.headers = head.map(h => h.trim());
+      this.records = rows.map(r => Object.fromEntries(this.headers.map((h, i) => [h, r[i] === undefined ? "" : r[i]])));
+    }
+    if (!this.records.length) throw new Error("El archivo no tiene filas.");
+  },
+
+  // Un <select> por campo con las columnas del archivo (preseleccionada la que coincide por nombre).
+  renderMapping() {
+    const norm = h => Search.normalize(h).replace(/[^a-z0-9]/g, "");
+    const options = this.headers.map(h => $("<option>").text(h).prop("outerHTML")).join("");
+    const selects = this.FIELDS.map(f => `
+        <div class="col-6 col-md-4 col-lg-3">
+          <label class="form-label small mb-0" for="map-${f.key}">${f.label}</label>
+          <select class="form-select form-select-sm" id="map-${f.key}" data-map="${f.key}">
+            <option value="">(no importar)</option>${options}
+          </select>
+        </div>`).join("");
+    $("#importMapping").html(selects);
+    this.FIELDS.forEach(f => {
+      const match = this.headers.find(h => f.aliases.includes(norm(h)));
+      if (match) $(`#map-${f.key}`).val(match);
+    });
+    $("#importFileInfo").text(`${this.records.length} filas, ${this.headers.length} columnas.`);
+    $("#importMappingCard").removeClass("d-none");
+  },
+
+  // Campo → columna elegida.
+  mapping() {
+    const map = {};
+    $("#importMapping [data-map]").each((i, el) => { if (el.value) map[el.dataset.map] = el.value; });
+    return map;
+  },
+
+  // Barra de progreso (0–1) y texto.
+  progress(ratio, text) {
+    $("#importProgress").removeClass("d-none").find(".progress-bar")
+      .css("width", Math.round(ratio * 100) + "%").attr("aria-valuenow", Math.round(ratio * 100)).text(text || "");
+  },
+
+  // Deja respirar al navegador entre bloques (así la barra avanza en archivos grandes).
+  tick() {
+    return new Promise(r => setTimeout(r, 0));
+  },
+
+  // Lee un valor de la fila según la asignación ("" si no se asignó o viene vacío).
+  value(record, map, key) {
+    const v = map[key] ? record[map[key]] : "";
+    if (Array.isArray(v)) return v;
+    return v === null || v === undefined ? "" : String(v).trim();
+  },
+
+  // Lista desde celda: "|" (o "," si no hay "|") en CSV; arreglo tal cual en JSON.
+  list(v) {
+    if (Array.isArray(v)) return Books.parseList(v);
+    return Books.parseList(v.includes("|") ? v.split("|") : v);
+  },
+
+  // Entero desde celda ("$15.990" → 15990); NaN si no es número.
+  int(v) {
+    const t = String(v).replace(/[$\s.]/g, "");
+    return /^-?\d+$/.test(t) ? parseInt(t, 10) : NaN;
+  },
+
+  // Revisa todas las filas sin guardar nada: qué producto tocaría cada una y sus errores.
+  async buildPlan(map) {
+    const products = App.getProducts();
+    const byId = new Map(products.map(p => [p.id, p]));
+    const byIsbn = new Map(products.filter(p => p.isbn).map(p => [p.isbn, p]));
+    const seenIsbn = new Map(); // ISBN → fila del archivo que ya lo usa
+    const seenId = new Map();
+    const rows = [];
+
+    for (let i = 0; i < this.records.length; i++) {
+      if (i % this.CHUNK === 0) {
+        this.progress(i / this.records.length, `Revisando ${i} de ${this.records.length}…`);
+        await this.tick();
+      }
+      const rec = this.records[i];
+      const v = key => this.value(rec, map, key);
+      const line = i + 2; // fila 1 = encabezados
+      const errors = [];
+
+      // ¿Qué producto actualiza? id primero, luego ISBN
+      const isbn = Books.normalizeISBN(v("isbn"));
+      let target = null;
+      if (v("id") !== "") {
+        const id = this.int(v("id"));
+        target = byId.get(id) || null;
+        if (!target) errors.push(`No existe un producto con ID ${v("id")} (deja el ID vacío para crearlo).`);
+        else if (seenId.has(id)) errors.push(`El ID ${id} se repite (fila ${seenId.get(id)}).`);
+        else seenId.set(id, line);
+      } else if (isbn && byIsbn.has(isbn)) {
+        target = byIsbn.get(isbn);
+        if (seenId.has(target.id)) errors.push(`Este ISBN ya se actualiza en la fila ${seenId.get(target.id)}.`);
+        else seenId.set(target.id, line);
+      }
+
+      // Cambios: solo celdas asignadas y con valor
+      const changes = {};
+      ["name", "format", "desc", "img", "publisher", "series"].forEach(k => { if (v(k) !== "") changes[k] = v(k); });
+      ["price", "stock", "year", "pages", "volume", "minStock"].forEach(k => {
+        if (v(k) === "") return;
+        const n = this.int(v(k));
+        if (isNaN(n) || n < 0) errors.push(`${this.FIELDS.find(f => f.key === k).label} debe ser un número entero positivo.`);
+        else changes[k] = n;
+      });
+      this.LIST_FIELDS.forEach(k => { if (v(k) !== "" && v(k).length) changes[k] = this.list(v(k)); });
+      ["featured", "premium"].forEach(k => { if (v(k) !== "") changes[k] = Books.flag(v(k)); });
+      if (isbn) changes.isbn = isbn;
+      if (v("language") !== "") {
+        const lang = Search.normalize(v("language"));
+        const code = Object.keys(Books.LANGUAGES).find(c => c === lang || Search.normalize(Books.LANGUAGES[c]) === lang);
+        if (code || /^[a-z]{2}$/.test(lang)) changes.language = code || lang;
+        else errors.push(`Idioma desconocido: ${v("language")} (usa el código de 2 letras, ej: es).`);
+      }
+      if (v("category") !== "") {
+        const cat = Search.normalize(v("category")).replace(/s$/, "");
+        if (Books.CATEGORIES[cat]) changes.category = cat;
+        else errors.push(`Categoría desconocida: ${v("category")} (usa libro o manga).`);
+      }
+
+      // Producto resultante y validaciones de AdminProducts.submit()
+      const product = this.build(target, changes);
+      if (!product.name) errors.push("Falta el título.");
+      if (isNaN(product.price) && v("price") === "") errors.push("Falta el precio.");
+      if (isNaN(product.stock) && v("stock") === "") errors.push("Falta el stock.");
+      if (isbn) {
+        const other = byIsbn.get(isbn);
+        if (!Books.isValidISBN(isbn)) errors.push("ISBN inválido (revise el dígito verificador).");
+        else if (other && target && other.id !== target.id) errors.push(`El ISBN ya pertenece a «${other.name}».`);
+        else if (seenIsbn.has(isbn)) errors.push(`El ISBN se repite (fila ${seenIsbn.get(isbn)}).`);
+        else seenIsbn.set(isbn, line);
+      }
+      if (product.category === "manga" && !product.series) errors.push("Falta la serie del manga.");
+      if (!Html.isSafeUrl(product.img)) errors.push("URL de imagen no válida (use http o https).");
+      if ((product.images || []).some(u => !Html.isSafeUrl(u))) errors.push("La galería tiene URLs de imagen no válidas.");
+
+      rows.push({ line, action: errors.length ? "error" : (target ? "actualizar" : "crear"), errors, target, product, changes });
+    }
+    this.progress(1, "Revisión lista");
+    return rows;
+  },
+
+  // Producto que resulta de aplicar los cambios de una fila a base (el producto que actualiza, o
+  // null si la fila crea uno).
+  build(base, changes) {
+    const product = Books.normalize(Object.assign({}, base || { name: "", format: "", desc: "", price: NaN, stock: NaN, img: "" }, changes));
+    if (!product.img) product.img = "https://picsum.photos/seed/" + encodeURIComponent(product.name) + "/600/400";
+    return product;
+  },
+
+  // Revisión sin guardar: resumen y tabla de filas (los errores primero).
+  async preview() {
+    $("#importPreview, #importRun").prop("disabled", true);
+    $("#importResultCard").removeClass("d-none");
+    this.plan = await this.buildPlan(this.mapping());
+    const count = a => this.plan.filter(r => r.action === a).length;
+    const ok = count("crear") + count("actualizar");
+    $("#importSummary").html(`
+      <span class="badge text-bg-success">${count("crear")} nuevos</span>
+      <span class="badge text-bg-primary">${count("actualizar")} actualizaciones</span>
+      <span class="badge ${count("error") ? "text-bg-danger" : "text-bg-secondary"}">${count("error")} con errores (no se importan)</span>
+    `);
+
+    const shown = this.plan.slice().sort((a, b) => (b.action === "error") - (a.action === "error")).slice(0, 200);
+    const $body = $("#importPreviewBody").empty();
+    shown.forEach(r => {
+      const badge = { crear: "text-bg-success", actualizar: "text-bg-primary", error: "text-bg-danger" }[r.action];
+      const $tr = $(`
+        <tr>
+          <td>${r.line}</td>
+          <td><span class="badge ${badge}">${r.action}</span></td>
+          <td data-cell="name"></td>
+          <td>${isNaN(r.product.price) ? "" : App.formatCLP(r.product.price)}</td>
+          <td>${isNaN(r.product.stock) ? "" : r.product.stock}</td>
+          <td class="small text-danger" data-cell="errors"></td>
+        </tr>
+      `);
+      $tr.find("[data-cell=name]").text(r.product.name || "");
+      $tr.find("[data-cell=errors]").text(r.errors.join(" "));
+      $body.append($tr);
+    });
+    if (this.plan.length > shown.length) $body.append(`<tr><td colspan="6" class="small text-muted">… y ${this.plan.length - shown.length} filas más.</td></tr>`);
+
+    $("#importRun").text(`Importar ${ok} fila${ok === 1 ? "" : "s"}`).prop("disabled", !ok);
+    $("#importPreview").prop("disabled", false);
+  },
+
+  // Aplica las filas válidas de la revisión y guarda el catálogo una sola vez. Antes relee productos
+  // y libro (como Inventory.apply): cada fila se aplica sobre el producto de ahora (por id o ISBN),
+  // así no se pisa el stock vendido o editado desde la revisión. Las filas que actualizaban un
+  // producto borrado entretanto no se importan.
+  async run() {
+    if (!this.plan) return;
+    const valid = this.plan.filter(r => r.action !== "error");
+    if (!valid.length || !confirm(`¿Importar ${valid.length} filas?`)) return;
+    $("#importPreview, #importRun").prop("disabled", true);
+    const stop = text => {
+      App.setLoading(false);
+      this.progress(1, text);
+      $("#importPreview, #importRun").prop("disabled", false);
+    };
+
+    App.setLoading(true);
+    try {
+      await Store.reload([LS_KEYS.PRODUCTS, LS_KEYS.STOCK_MOVEMENTS]);
+    } catch (err) {
+      App.showError("No se pudo leer el catálogo. " + err.message);
+      return stop("No se importó nada");
+    }
+    App.setLoading(false);
+    const list = App.getProducts().slice();
+    const index = new Map(list.map((p, i) => [p.id, i]));
+    const byIsbn = new Map(list.filter(p => p.isbn).map(p => [p.isbn, p]));
+    const rows = valid.map(r => {
+      const current = (r.target && index.has(r.target.id) ? list[index.get(r.target.id)] : null) || byIsbn.get(r.product.isbn) || null;
+      return Object.assign({}, r, { target: current });
+    });
+    const gone = rows.filter(r => r.action === "actualizar" && !r.target);
+    const apply = rows.filter(r => !gone.includes(r));
+    let nextId = await App.reserveProductIds(apply.filter(r => !r.target).length);
+    if (nextId === null) return stop("No se importó nada");
+
+    const reason = "Archivo " + this.fileName;
+    const moves = [];
+    for (let i = 0; i < apply.length; i++) {
+      if (i % this.CHUNK === 0) {
+        this.progress(i / apply.length, `Importando ${i} de ${apply.length}…`);
+        await this.tick();
+      }
+      const r = apply[i];
+      const p = Object.assign(this.build(r.target, r.changes), { id: r.target ? r.target.id : nextId++ });
+      if (r.target) list[index.get(p.id)] = p;
+      else list.push(p);
+      moves.push(Inventory.change(p, r.target ? r.target.stock : 0, "importacion", reason));
+    }
+
+    this.progress(1, "Guardando…");
+    App.setLoading(true);
+    const saved = (await Promise.all([App.saveProducts(list), Inventory.record(moves)])).every(Boolean);
+    if (!saved) return stop("No se guardó la importación");
+    App.setLoading(false);
+    this.plan = null;
+    this.progress(1, "Listo");
+    $("#importSummary").append(`<div class="alert alert-success mt-2 mb-0">Se importaron ${apply.length} filas. <a href="catalogo.html">Ver catálogo</a></div>`);
+    if (gone.length) {
+      $("#importSummary").append(`<div class="alert alert-warning mt-2 mb-0">No se importaron las filas ${gone.map(r => r.line).join(", ")}: su producto se eliminó después de la revisión.</div>`);
+    }
+  }
+};
+
+// ------- Módulo Reports (panel de ventas) -------
+// Todo se calcula en el navegador a partir de mt.orders (precios y cantidades guardados al comprar;
+// sin los cancelados ni reembolsados), el catálogo actual y los carritos abiertos. Los gráficos usan Chart.js (CDN en dashboard.html);
+// si no cargó, quedan las tablas.
+const Reports = {
+  // Instancias de Chart.js por canvas, para destruirlas antes de repintar
+  charts: {},
+  // Último resumen pintado (lo que se exporta a CSV)
+  last: null,
+  // Filas en los rankings
+  TOP: 10,
+
+  // Fecha local "YYYY-MM-DD" (los <input type="date"> y los días del gráfico van en hora local).
+  dayKey(d) {
+    const pad = n => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  },
+
+  // Rango elegido: { from, to } como "YYYY-MM-DD" (por defecto los últimos 30 días).
+  range() {
+    const today = new Date();
+    const from = $("#dashFrom").val() || this.dayKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29));
+    const to = $("#dashTo").val() || this.dayKey(today);
+    return from <= to ? { from, to } : { from: to, to: from };
+  },
+
+  // Deja el rango en los inputs y en la URL (?from=...&to=...).
+  setRange(from, to) {
+    $("#dashFrom").val(from);
+    $("#dashTo").val(to);
+    const url = new URL(window.location.href);
+    url.search = "";
+    url.searchParams.set("from", from);
+    url.searchParams.set("to", to);
+    window.history.replaceState(null, "", url.toString());
+  },
+
+  // Días del rango (o meses si pasa de ~3 meses) como claves del gráfico de ingresos.
+  buckets(from, to) {
+    const monthly = (Date.parse(to) - Date.parse(from)) / 86400000 > 92;
+    const keys = [];
+    const d = new Date(from + "T00:00:00");
+    const end = new Date(to + "T00:00:00");
+    if (monthly) d.setDate(1);
+    while (d <= end) {
+      keys.push(monthly ? this.dayKey(d).slice(0, 7) : this.dayKey(d));
+      if (monthly) d.setMonth(d.getMonth() + 1);
+      else d.setDate(d.getDate() + 1);
+    }
+    return { monthly, keys };
+  },
+
+  // Resumen de ventas del rango: totales, serie de ingresos, rankings y stock sin rotación.
+  summarize(orders, products, carts, from, to) {
+    const inRange = iso => { const k = this.dayKey(new Date(iso)); return k >= from && k <= to; };
+    const list = orders.filter(o => inRange(o.createdAt) && !Orders.VOID.includes(Orders.status(o)));
+    const byId = new Map(products.map(p => [p.id, p]));
+
+    const { monthly, keys } = this.buckets(from, to);
+    const series = new Map(keys.map(k => [k, { key: k, orders: 0, units: 0, revenue: 0 }]));
+    const titles = new Map();
+    const categories = new Map();
+    let revenue = 0, units = 0;
+
+    list.forEach(o => {
+      const day = this.dayKey(new Date(o.createdAt));
+      const bucket = series.get(monthly ? day.slice(0, 7) : day);
+      revenue += o.totals.total;
+      units += o.totals.items;
+      if (bucket) { bucket.orders++; bucket.units += o.totals.items; bucket.revenue += o.totals.total; }
+
+      o.items.forEach(it => {
+        const t = titles.get(it.pid) || { pid: it.pid, name: it.name, units: 0, revenue: 0 };
+        t.units += it.qty;
+        t.revenue += it.subtotal;
+        titles.set(it.pid, t);
+
+        const p = byId.get(it.pid);
+        const key = p ? p.category : "";
+        const c = categories.get(key) || { key, label: p ? Books.CATEGORIES[p.category] || p.category : "Retirado del catálogo", units: 0, revenue: 0 };
+        c.units += it.qty;
+        c.revenue += it.subtotal;
+        categories.set(key, c);
+      });
+    });
+
+    // Conversión: pedidos del rango contra carritos con productos que no se compraron
+    // (al comprar el carrito queda vacío, así que un carrito con ítems es uno abandonado o en curso)
+    const open = Object.values(carts).filter(c => c.items && c.items.length && c.updatedAt && inRange(c.updatedAt)).length;
+
+    // Stock sin rotación: con unidades y pocas ventas, ordenado por plata inmovilizada
+    const stale = products.filter(p => p.stock > 0)
+      .map(p => ({ p, sold: (titles.get(p.id) || {}).units || 0, value: p.stock * p.price }))
+      .sort((a, b) => a.sold - b.sold || b.value - a.value)
+      .slice(0, this.TOP);
+
+    const byRevenue = (a, b) => b.revenue - a.revenue;
+    return {
+      from, to, monthly,
+      orders: list.length,
+      revenue, units,
+      average: list.length ? Math.round(revenue / list.length) : 0,
+      conversion: { orders: list.length, open, rate: list.length + open ? list.length / (list.length + open) : null },
+      series: Array.from(series.values()),
+      titles: Array.from(titles.values()).sort((a, b) => b.units - a.units || b.revenue - a.revenue),
+      categories: Array.from(categories.values()).sort(byRevenue),
+      stale
+    };
+  },
+
+  // Repinta el panel con el rango elegido.
+  render() {
+    const { from, to } = this.range();
+    const r = this.summarize(App.getOrders(), App.getProducts(), App.getCarts(), from, to);
+    this.last = r;
+    this.renderKpis(r);
+    this.renderTables(r);
+    this.renderCharts(r);
+  },
+
+  // Tarjetas con los totales del rango.
+  renderKpis(r) {
+    $("#kpiRevenue").text(App.formatCLP(r.revenue));
+    $("#kpiOrders").text(r.orders);
+    $("#kpiAverage").text(App.formatCLP(r.average));
+    $("#kpiUnits").text(r.units);
+    $("#kpiConversion").text(r.conversion.rate === null ? "—" : (r.conversion.rate * 100).toFixed(1).replace(".", ",") + " %");
+    const n = (k, one, many) => `${k} ${k === 1 ? one : many}`;
+    $("#kpiConversionHint").text(`${n(r.conversion.orders, "pedido", "pedidos")} · ${n(r.conversion.open, "carrito", "carritos")} sin comprar`);
+  },
+
+  // Rankings y stock sin rotación (texto del catálogo insertado con .text()).
+  renderTables(r) {
+    const fill = (sel, rows, cols, empty) => {
+      const $tbody = $(sel).empty();
+      if (!rows.length) return $tbody.append(`<tr><td colspan="${cols.length}" class="text-muted">${empty}</td></tr>`);
+      rows.forEach(row => $tbody.append($("<tr>").append(cols.map((c, i) => $("<td>").addClass(i ? "text-end" : "").text(c(row))))));
+    };
+    fill("#topTitlesBody", r.titles.slice(0, this.TOP), [t => t.name, t => t.units, t => App.formatCLP(t.revenue)], "Sin ventas en el rango.");
+    fill("#categoriesBody", r.categories, [c => c.label, c => c.units, c => App.formatCLP(c.revenue)], "Sin ventas en el rango.");
+    fill("#staleBody", r.stale, [s => Books.title(s.p), s => s.p.stock, s => s.sold, s => App.formatCLP(s.value)], "No hay productos con stock.");
+  },
+
+  // Gráficos de ingresos, títulos y categorías (si Chart.js está disponible).
+  renderCharts(r) {
+    $("#chartsMissing").toggleClass("d-none", !!window.Chart);
+    if (!window.Chart) return;
+    const label = k => r.monthly
+      ? new Date(k + "-01T00:00:00").toLocaleDateString("es-CL", { month: "short", year: "numeric" })
+      : new Date(k + "T00:00:00").toLocaleDateString("es-CL", { day: "numeric", month: "short" });
+    const money = { ticks: { callback: v => App.formatCLP(v) } };
+    const top = r.titles.slice(0, this.TOP);
+
+    this.chart("chartRevenue", {
+      type: "line",
+      data: {
+        labels: r.series.map(b => label(b.key)),
+        datasets: [{ label: "Ingresos", data: r.series.map(b => b.revenue), fill: true, tension: 0.25 }]
+      },
+      options: { plugins: { legend: { display: false }, tooltip: { callbacks: { label: c => App.formatCLP(c.parsed.y) } } }, scales: { y: money } }
+    });
+    this.chart("chartTitles", {
+      type: "bar",
+      data: { labels: top.map(t => t.name), datasets: [{ label: "Unidades", data: top.map(t => t.units) }] },
+      options: { indexAxis: "y", plugins: { legend: { display: false } } }
+    });
+    this.chart("chartCategories", {
+      type: "doughnut",
+      data: { labels: r.categories.map(c => c.label), datasets: [{ data: r.categories.map(c => c.revenue) }] },
+      options: { plugins: { tooltip: { callbacks: { label: c => `${c.label}: ${App.formatCLP(c.parsed)}` } } } }
+    });
+  },
+
+  // Crea (o reemplaza) el gráfico del canvas #id.
+  chart(id, config) {
+    const canvas = document.getElementById(id);
+    if (!canvas) return;
+    if (this.charts[id]) this.charts[id].destroy();
+    this.charts[id] = new window.Chart(canvas, Object.assign({ options: {} }, config, {
+      options: Object.assign({ responsive: true, maintainAspectRatio: false }, config.options)
+    }));
+  },
+
+  // Descarga una sección del último resumen como CSV ("days", "titles", "categories", "stale").
+  export(kind) {
+    const r = this.last;
+    if (!r) return;
+    const sheets = {
+      days: [[r.monthly ? "mes" : "fecha", "pedidos", "unidades", "ingresos"]].concat(r.series.map(b => [b.key, b.orders, b.units, b.revenue])),
+      titles: [["id", "titulo", "unidades", "ingresos"]].concat(r.titles.map(t => [t.pid, t.name, t.units, t.revenue])),
+      categories: [["categoria", "unidades", "ingresos"]].concat(r.categories.map(c => [c.label, c.units, c.revenue])),
+      stale: [["id", "titulo", "stock", "vendidas", "valor_stock"]].concat(r.stale.map(s => [s.p.id, Books.title(s.p), s.p.stock, s.sold, s.value]))
+    };
+    if (!sheets[kind]) return;
+    Transfer.download(`ventas-${kind}-${r.from}_${r.to}.csv`, "\ufeff" + Csv.stringify(sheets[kind]), "text/csv;charset=utf-8");
+  }
+};
+
+// ------- Módulo Orders (pedidos) -------
+const Orders = {
+  // Estados del pedido (label y color del badge). Flujo normal: pendiente → pagado → preparando →
+  // enviado → entregado. Salidas laterales: cancelado (antes de pagar) y reembolsado (después);
+  // ambas devuelven el stock.
+  STATUSES: {
+    pendiente: { label: "Pendiente de pago", badge: "secondary" },
+    pagado: { label: "Pagado", badge: "info" },
+    preparando: { label: "En preparación", badge: "warning" },
+    enviado: { label: "Enviado", badge: "primary" },
+    entregado: { label: "Entregado", badge: "success" },
+    cancelado: { label: "Cancelado", badge: "danger" },
+    reembolsado: { label: "Reembolsado", badge: "dark" }
+  },
+  FLOW: ["pendiente", "pagado", "preparando", "enviado", "entregado"],
+  // Cambios permitidos desde cada estado
+  NEXT: {
+    pendiente: ["pagado", "cancelado"],
+    pagado: ["preparando", "reembolsado"],
+    preparando: ["enviado", "reembolsado"],
+    enviado: ["entregado", "reembolsado"],
+    entregado: ["reembolsado"],
+    cancelado: [],
+    reembolsado: []
+  },
+  // Estados que anulan la venta (no cuentan en reportes; el stock ya volvió)
+  VOID: ["cancelado", "reembolsado"],
+
+  // Estado actual (los pedidos anteriores al flujo quedan como pendientes).
+  status(order) {
+    return this.STATUSES[order.status] ? order.status : "pendiente";
+  },
+
+  // Badge Bootstrap con el estado.
+  badge(order) {
+    const st = this.STATUSES[this.status(order)];
+    return `<span class="badge text-bg-${st.badge}">${st.label}</span>`;
+  },
+
+  // Cambios de estado registrados: [{ status, at, user }] (al menos el de creación).
+  history(order) {
+    return order.history && order.history.length ? order.history : [{ status: "pendiente", at: order.createdAt, user: "" }];
+  },
+
+  // Número visible del pedido a partir del id (1 → "MT-000001"). Se calcula al mostrarlo: el id lo
+  // asigna el backend al guardar el pedido (ver Store.append). Un pedido hecho sin conexión aún no
+  // tiene número (ver Outbox.append).
+  number(id) {
+    if (Outbox.isTemporary(id)) return "sin número (por enviar)";
+    return "MT-" + String(id).padStart(6, "0");
+  },
+
+  // Arma un pedido a partir del carrito y los datos del checkout. Copia nombre, ISBN y precio
+  // de cada producto para que el pedido no cambie si después se edita el catálogo.
+  // Sale sin id y no toca stock ni carrito: ambos los hace el backend con Store.append.
+  create(cart, products, session, data) {
+    const now = new Date().toISOString();
+
+    const items = cart.map(it => {
+      const p = products.find(x => x.id === it.pid);
+      if (!p) return null;
+      const line = Tax.split(p.price * it.qty);
+      return { pid: p.id, name: Books.title(p), isbn: p.isbn || "", format: p.format || "", price: p.price, qty: it.qty, subtotal: line.gross, net: line.net, iva: line.iva };
+    }).filter(Boolean);
+
+    const totals = Checkout.totals(cart, products, data);
+    const c = data.contact;
+
+    return {
+      items,
+      totals: {
+        items: items.reduce((a, it) => a + it.qty, 0),
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        shipping: totals.shipping,
+        total: totals.total,
+        tax: totals.tax
+      },
+      discounts: totals.promo.applied.map(d => ({ code: d.code, label: d.label, amount: d.amount, freeShipping: d.freeShipping })),
+      document: data.document.type === "factura" ? Object.assign({}, data.document, { rut: Tax.formatRUT(data.document.rut) }) : { type: "boleta" },
+      // Con sesión el pedido queda a nombre de la cuenta; sin sesión, del correo de contacto
+      customer: {
+        email: session ? session.email : c.email,
+        name: (c.name + " " + c.last).trim(),
+        phone: c.phone,
+        guest: !session
+      },
+      shipping: {
+        method: data.method,
+        methodLabel: totals.method.label,
+        address: data.method === "retiro" ? Shipping.STORE_ADDRESS : Shipping.addressText(data.address),
+        details: data.method === "retiro" ? null : data.address
+      },
+      status: "pendiente",
+      history: [{ status: "pendiente", at: now, user: session ? session.email : "" }],
+      createdAt: now,
+      updatedAt: now
+    };
+  },
+
+  // Descuenta del stock (products, que se modifica) las líneas del pedido ya con id y devuelve sus
+  // movimientos de venta para el libro, como server/mock-server.js al recibir un pedido. Si alguna
+  // línea ya no alcanza, lanza un error con issues (ver Stock.validate).
+  take(order, products) {
+    const issues = Stock.validate(order.items, products);
+    if (issues.length) throw Object.assign(new Error("No hay stock suficiente para algunos títulos."), { issues });
+    return order.items.map(it => {
+      const p = products.find(x => x.id === it.pid);
+      p.stock -= it.qty;
+      return Inventory.entry(p, -it.qty, "venta", "Pedido " + this.number(order.id), order.id);
+    });
+  },
+
+  // Pedidos de un cliente, más recientes primero (sin los hechos como invitado con ese correo).
+  forUser(orders, email) {
+    const e = String(email || "").toLowerCase();
+    return orders.filter(o => !o.customer.guest && o.customer.email.toLowerCase() === e)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+
+  // ¿Puede la sesión actual ver el pedido? (dueño, admin o la pestaña que lo acaba de crear)
+  canView(order, session) {
+    if (sessionStorage.getItem(LS_KEYS.LAST_ORDER) === String(order.id)) return true;
+    if (!session) return false;
+    return session.role === "admin" || (!order.customer.guest && order.customer.email.toLowerCase() === session.email.toLowerCase());
+  }
+};
+
+// ------- Store (repositorio de datos con backend intercambiable) -------
+// Todo lo que antes se leía/escribía directo en localStorage pasa por aquí.
+// Store.init() carga las claves una sola vez (async) y las deja en memoria, así el resto del
+// código sigue leyendo de forma síncrona con Store.get(). Store.set() actualiza la memoria y
+// persiste en el backend elegido por CONFIG.BACKEND. Ambos backends cumplen la misma interfaz:
+//   load(key) → Promise<valor | null>      save(key, valor) → Promise
+
+// Backend localStorage (el de siempre): cada clave es un JSON.
+const LocalBackend = {
+  async load(key) {
+    const raw = localStorage.getItem(key);
+    try { return raw === null ? null : JSON.parse(raw); }
+    catch { return null; }
+  },
+
+  async save(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  },
+
+  // Agrega item a la colección key con el id siguiente (como POST en server/mock-server.js). Un
+  // pedido, además, descuenta su stock y lo anota en el libro de inventario (ver Orders.take). Si una
+  // escritura falla, las anteriores se deshacen.
+  async append(key, item) {
+    const list = (await this.load(key)) || [];
+    const saved = Object.assign({}, item, { id: list.reduce((max, x) => Math.max(max, Number(x.id) || 0), 0) + 1 });
+    const writes = [[key, list.concat(saved)]];
+    if (key === LS_KEYS.ORDERS) {
+      const products = (await this.load(LS_KEYS.PRODUCTS)) || [];
+      const moves = Orders.take(saved, products);
+      const ledger = ((await this.load(LS_KEYS.STOCK_MOVEMENTS)) || []).concat(moves);
+      writes.unshift([LS_KEYS.PRODUCTS, products], [LS_KEYS.STOCK_MOVEMENTS, ledger]);
+    }
+    const before = writes.map(([k]) => localStorage.getItem(k));
+    try {
+      for (const [k, value] of writes) await this.save(k, value);
+    } catch (err) {
+      writes.forEach(([k], i) => before[i] === null ? localStorage.removeItem(k) : localStorage.setItem(k, before[i]));
+      throw err;
+    }
+    return saved;
+  }
+};
+
+// Backend REST/JSON: cada clave es un recurso de la API (mt.products → GET/PUT {API_URL}/products).
+// Para desarrollo está server/mock-server.js, que implementa esta API. Sin red, los GET los responde
+// el service worker con la última copia y los PUT quedan en la bandeja de salida (ver Outbox).
+// Cada request lleva el token de la sesión (Authorization: Bearer): la API decide qué cuentas ve y
+// cambia cada quien, y las sesiones solo se abren y cierran con sus rutas de cuentas (ver call).
+const RestBackend = {
+  // Claves que la API entrega según la sesión: se vuelven a leer al entrar o salir.
+  SESSION_KEYS: [LS_KEYS.USERS, LS_KEYS.CARTS, LS_KEYS.RESERVATIONS],
+  // Claves que un cliente (o invitado) puede guardar: la API solo acepta su parte (ver RESOURCES en
+  // server/mock-server.js). Las demás las escribe un admin.
+  OWN_KEYS: [LS_KEYS.CARTS, LS_KEYS.WISHLISTS, LS_KEYS.RESERVATIONS, LS_KEYS.REVIEWS, LS_KEYS.NOTIFICATIONS, LS_KEYS.STOCK_ALERTS],
+  // Último valor de cada clave confirmado por la API (base para fusionar los cambios offline).
+  synced: {},
+  // Copias de sw.js mostradas sin red para claves que la API aún no confirmó en esta página: son la
+  // base de un cambio hecho sobre ellas (nunca pasan a synced).
+  offline: {},
+  // Sesión que la API confirmó para el token de este navegador: { token, email, expires } o null
+  // (ver checkSession).
+  session: null,
+
+  url(key) {
+    return CONFIG.API_URL.replace(/\/$/, "") + "/" + key.replace(/^mt\./, "");
+  },
+
+  // GET que no encuentra el recurso devuelve null (igual que una clave vacía en localStorage). Una
+  // respuesta de error rechaza con su status y su cuerpo (err.status, err.body).
+  // La copia que entrega sw.js sin red (cabecera X-MT-Cache) cuenta como error de red: no es lo que
+  // tiene la API ahora. El error lleva esa copia en err.cached.
+  async request(method, key, body) {
+    const opts = { method, headers: this.headers() };
+    if (body !== undefined) {
+      opts.headers["Content-Type"] = "application/json";
+      opts.body = JSON.stringify(body);
+    }
+    const res = await fetch(this.url(key), opts);
+    if (method === "GET" && res.status === 404) return null;
+    if (!res.ok) {
+      const data = await res.json().catch(() => null);
+      throw Object.assign(new Error(`${method} ${this.url(key)} respondió ${res.status}.`), { status: res.status, body: data });
+    }
+    if (res.headers.get("X-MT-Cache")) {
+      throw Object.assign(new TypeError(`${method} ${this.url(key)}: sin conexión (copia guardada).`), { cached: await res.json() });
+    }
+    return res.status === 204 ? null : res.json();
+  },
+
+  // Token de la sesión e id de invitado del navegador (X-MT-Guest): con ellos la API sabe de quién es
+  // el carrito que compra (ver server/mock-server.js).
+  headers() {
+    const headers = { Accept: "application/json" };
+    const token = App.sessionToken();
+    const guest = localStorage.getItem(LS_KEYS.GUEST);
+    if (token) headers.Authorization = "Bearer " + token;
+    if (guest) headers["X-MT-Guest"] = guest;
+    return headers;
+  },
+
+  // Rutas de cuentas de la API (/login, /session, /password...). Resuelve { ok, status, body } también
+  // cuando la API responde un error (el mensaje viene en body.error); sin red, status 0.
+  async call(method, path, body) {
+    const opts = { method, headers: this.headers() };
+    if (body !== undefined) {
+      opts.headers["Content-Type"] = "application/json";
+      opts.body = JSON.stringify(body);
+    }
+    let res;
+    try {
+      res = await fetch(CONFIG.API_URL.replace(/\/$/, "") + path, opts);
+    } catch {
+      return { ok: false, status: 0, body: { error: "Sin conexión con la tienda; inténtalo de nuevo." } };
+    }
+    const data = res.status === 204 ? {} : await res.json().catch(() => ({}));
+    return { ok: res.ok, status: res.status, body: data || {} };
+  },
+
+  // Pregunta a la API de quién es el token guardado en mt.session. Si la API no lo reconoce (vencido,
+  // cerrado o inventado) se borra; sin red vale la última respuesta que guardó sw.js para ese token.
+  async checkSession() {
+    const token = App.sessionToken();
+    this.session = null;
+    if (!token) return null;
+    const res = await this.call("GET", "/session");
+    if (res.status === 401) localStorage.removeItem(LS_KEYS.SESSION);
+    if (res.ok) this.session = { token, email: res.body.email, expires: res.body.expires };
+    return this.session;
+  },
+
+  // Valor de key para la tienda: el último (ver latest) más los elementos creados sin conexión que
+  // aún esperan su POST (ver Outbox.append).
+  async load(key) {
+    return Outbox.withAppends(key, await this.latest(key));
+  },
+
+  // Los cambios que siguen pendientes en la bandeja de salida mandan sobre lo que responda la API.
+  // Sin red, la copia del service worker solo se usa si esta página no tiene algo más nuevo (synced).
+  async latest(key) {
+    let value;
+    try {
+      value = await this.request("GET", key);
+    } catch (err) {
+      if (!Outbox.isNetworkError(err)) throw err;
+      if (Outbox.has(key)) return Outbox.get(key);
+      if (!("cached" in err)) throw err;
+      if (key in this.synced) return this.synced[key];
+      this.offline[key] = err.cached;
+      return err.cached;
+    }
+    this.synced[key] = value;
+    return Outbox.has(key) ? Outbox.get(key) : value;
+  },
+
+  // Sin red (o con cambios anteriores aún sin enviar) el valor queda en la bandeja de salida y la
+  // promesa se resuelve igual: para la tienda el cambio ya está guardado. Los elementos que esperan
+  // su POST (id temporal) no se envían con la colección: los crea Outbox.flush.
+  async save(key, value) {
+    value = Outbox.withoutAppends(key, value);
+    if (!Outbox.has(key)) {
+      try {
+        await this.request("PUT", key, value);
+        this.synced[key] = value;
+        return;
+      } catch (err) {
+        if (!Outbox.isNetworkError(err)) throw err;
+      }
+    }
+    Outbox.put(key, value, key in this.synced ? this.synced[key] : this.offline[key]);
+    if (navigator.onLine) Outbox.flush();
+  },
+
+  // POST a la colección: la API asigna el id y devuelve el elemento (un pedido, además, descuenta
+  // el stock y la API rehace sus montos; si no alcanza, rechaza con err.issues, y si otra cosa no
+  // cuadra, con el mensaje de la API). Sin red queda en la bandeja de salida con un id
+  // temporal, que se cambia por el de la API al enviarlo (ver Outbox.append).
+  async append(key, item) {
+    let saved;
+    try {
+      saved = await this.request("POST", key, item);
+    } catch (err) {
+      if (Outbox.isNetworkError(err)) return Outbox.append(key, item);
+      if (err.body && err.body.issues) throw Object.assign(new Error(err.body.error), { issues: err.body.issues });
+      if (err.body && err.body.error) throw Object.assign(new Error(err.body.error), { status: err.status, body: err.body });
+      throw err;
+    }
+    if (Array.isArray(this.synced[key])) this.synced[key] = this.synced[key].concat(saved);
+    return saved;
+  }
+};
+
+// ------- Módulo Outbox (cambios hechos sin conexión con la API REST) -------
+// Si un PUT no llega por falta de red, el valor nuevo de la clave queda en mt.outbox (localStorage
+// de este navegador) junto con el último valor que confirmó la API (base). Al volver la conexión o
+// al abrir la tienda, flush() lee lo que tiene ahora la API y aplica encima solo lo que cambió este
+// navegador respecto de base, así un carrito o un cambio de estado hecho offline no pisa lo que otros
+// clientes guardaron entretanto (ver merge). Los pedidos creados sin red esperan aparte, en
+// mt.outboxAppends, con un id temporal: flush() los envía primero con POST y pone en su lugar el id
+// que asigna la API (ver append).
+const Outbox = {
+  // Promesa del envío en curso (para no enviar dos veces lo mismo).
+  flushing: null,
+
+  // Pendientes: { clave: { value, base, at } }
+  entries() {
+    try { return JSON.parse(localStorage.getItem(LS_KEYS.OUTBOX)) || {}; }
+    catch { return {}; }
+  },
+
+  saveEntries(entries) {
+    if (Object.keys(entries).length) localStorage.setItem(LS_KEYS.OUTBOX, JSON.stringify(entries));
+    else localStorage.removeItem(LS_KEYS.OUTBOX);
+  },
+
+  has(key) {
+    return key in this.entries();
+  },
+
+  get(key) {
+    const entry = this.entries()[key];
+    return entry ? entry.value : null;
+  },
+
+  // fetch rechaza con TypeError cuando no hay red; una respuesta de error de la API es otro Error.
+  isNetworkError(err) {
+    return err instanceof TypeError;
+  },
+
+  // Deja value pendiente para key. La base se fija con el primer cambio sin enviar (la copia de sw.js
+  // o undefined si la API nunca respondió por esa clave; null si respondió que no existe).
+  put(key, value, base) {
+    const entries = this.entries();
+    entries[key] = {
+      value,
+      base: key in entries ? entries[key].base : base,
+      at: new Date().toISOString()
+    };
+    this.saveEntries(entries);
+  },
+
+  // Elementos creados sin red que esperan su POST: [{ key, item, at }] (item con id "tmp-...").
+  appends() {
+    try { return JSON.parse(localStorage.getItem(LS_KEYS.OUTBOX_APPENDS)) || []; }
+    catch { return []; }
+  },
+
+  saveAppends(list) {
+    if (list.length) localStorage.setItem(LS_KEYS.OUTBOX_APPENDS, JSON.stringify(list));
+    else localStorage.removeItem(LS_KEYS.OUTBOX_APPENDS);
+  },
+
+  // ¿Es un id temporal, de un elemento que aún espera su POST?
+  isTemporary(id) {
+    return String(id).startsWith("tmp-");
+  },
+
+  // Deja pendiente el POST de item a la colección key y lo devuelve con un id temporal.
+  append(key, item) {
+    const saved = Object.assign({}, item, { id: "tmp-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 10) });
+    this.saveAppends(this.appends().concat({ key, item: saved, at: new Date().toISOString() }));
+    return saved;
+  },
+
+  // value (la colección key) con los elementos que esperan su POST al final.
+  withAppends(key, value) {
+    const pending = this.appends().filter(a => a.key === key).map(a => a.item);
+    if (!pending.length) return value;
+    const list = Array.isArray(value) ? value : [];
+    return list.filter(x => !pending.some(p => p.id === x.id)).concat(pending);
+  },
+
+  // value sin los elementos de id temporal (no existen en la API hasta su POST).
+  withoutAppends(key, value) {
+    return Array.isArray(value) && value.some(x => x && this.isTemporary(x.id)) ? value.filter(x => !(x && this.isTemporary(x.id))) : value;
+  },
+
+  // Fusión de tres vías: los cambios de local respecto de base, aplicados sobre remote.
+  // Listas de objetos con id (productos, pedidos, movimientos...) → por elemento: se agregan o
+  // reemplazan los que cambiaron aquí y se quitan los que se borraron aquí.
+  // Objetos (carritos por dueño, listas de deseos...) → por clave; los contadores numéricos
+  // (mt.sequences) se quedan con el mayor, así los ids nunca se repiten.
+  // Cualquier otro valor, o sin base conocida → gana local.
+  merge(base, local, remote) {
+    if (base === undefined || remote === null || remote === undefined) return local;
+    if (base === null) base = Array.isArray(local) ? [] : {}; // la clave no existía: todo lo de local es nuevo
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const byId = list => Array.isArray(list) && list.every(x => x && typeof x === "object" && "id" in x)
+      ? new Map(list.map(x => [String(x.id), x])) : null;
+    const [b, l, r] = [base, local, remote].map(byId);
+    if (b && l && r) {
+      l.forEach((item, id) => { if (!same(item, b.get(id))) r.set(id, item); });
+      b.forEach((item, id) => { if (!l.has(id)) r.delete(id); });
+      return [...r.values()];
+    }
+    const isObject = v => v && typeof v === "object" && !Array.isArray(v);
+    if (isObject(base) && isObject(local) && isObject(remote)) {
+      const out = Object.assign({}, remote);
+      Object.keys(local).forEach(k => {
+        if (same(local[k], base[k])) return;
+        out[k] = typeof local[k] === "number" && typeof remote[k] === "number" ? Math.max(local[k], remote[k]) : local[k];
+      });
+      Object.keys(base).forEach(k => { if (!(k in local)) delete out[k]; });
+      return out;
+    }
+    return local;
+  },
+
+  // Envía lo pendiente. Resuelve true si no quedó nada. Un error de red deja todo para la próxima;
+  // un error de la API se muestra (con "Reintentar") y la clave sigue pendiente. Un elemento nuevo
+  // que la API rechaza (ej: un pedido sin stock suficiente) no se reintenta: se avisa y se descarta
+  // (los títulos de un pedido vuelven al carrito, ver restoreCart).
+  flush() {
+    if (!this.flushing) this.flushing = this.send().finally(() => { this.flushing = null; });
+    return this.flushing;
+  },
+
+  async send() {
+    let changed = false;
+    try {
+      for (const pending of this.appends()) {
+        if (await this.sendAppend(pending)) changed = true;
+      }
+      // Se leen después de los POST: un pedido rechazado pudo devolver sus títulos al carrito pendiente
+      const entries = this.entries();
+      for (const key of Object.keys(entries)) {
+        const { value, base } = entries[key];
+        const merged = this.merge(base, value, await RestBackend.request("GET", key));
+        await RestBackend.request("PUT", key, merged);
+        RestBackend.synced[key] = merged;
+
+        // Si la tienda guardó otro cambio mientras se enviaba, sigue pendiente sobre la nueva base
+        const rest = this.entries();
+        if (rest[key] && JSON.stringify(rest[key].value) !== JSON.stringify(value)) rest[key].base = merged;
+        else delete rest[key];
+        this.saveEntries(rest);
+        if (!rest[key] && key in Store.cache) {
+          Store.cache[key] = merged;
+          $(document).trigger("mt:change", [key]);
+          changed = true;
+        }
+      }
+    } catch (err) {
+      if (!this.isNetworkError(err)) App.showError("No se pudieron enviar los cambios hechos sin conexión. " + err.message, () => this.flush());
+      return false;
+    } finally {
+      if (changed) App.updateCartBadge();
+    }
+    return true;
+  },
+
+  // POST de un elemento creado sin red. Con la respuesta, lo saca de la bandeja y cambia el id
+  // temporal por el de la API en la memoria y en la pestaña que lo creó (mt.lastOrder). Un error de
+  // red rechaza (queda para el próximo envío). Resuelve true si la memoria cambió.
+  async sendAppend({ key, item }) {
+    const body = Object.assign({}, item);
+    delete body.id;
+    let saved = null;
+    try {
+      saved = await RestBackend.request("POST", key, body);
+    } catch (err) {
+      if (this.isNetworkError(err)) throw err;
+      const reason = err.body && err.body.error ? err.body.error : err.message;
+      if (key !== LS_KEYS.ORDERS) App.showError(`No se pudo crear lo creado sin conexión: ${reason}`);
+      else if (!(item.items || []).length) App.showError(`No se pudo crear el pedido hecho sin conexión: ${reason}`);
+      else {
+        await this.restoreCart(item);
+        App.showError(`No se pudo crear el pedido hecho sin conexión (sus títulos volvieron a tu carrito): ${reason}`);
+      }
+    }
+    this.saveAppends(this.appends().filter(a => a.item.id !== item.id));
+    if (saved && Array.isArray(RestBackend.synced[key])) RestBackend.synced[key] = RestBackend.synced[key].concat(saved);
+    if (saved && sessionStorage.getItem(LS_KEYS.LAST_ORDER) === String(item.id)) sessionStorage.setItem(LS_KEYS.LAST_ORDER, saved.id);
+    if (!(key in Store.cache)) return false;
+    const list = Store.get(key, []);
+    Store.cache[key] = saved ? list.map(x => x.id === item.id ? saved : x) : list.filter(x => x.id !== item.id);
+    $(document).trigger("mt:change", [key]);
+    return true;
+  },
+
+  // Suma al carrito de quien hizo el pedido (su cuenta o, si fue como invitado, este navegador) los
+  // títulos de un pedido que la API rechazó, así la compra no se pierde. Si el carrito espera su
+  // envío (se vació sin red al hacer el pedido), se suman a ese cambio pendiente; si no, a lo que
+  // tiene la API.
+  async restoreCart(order) {
+    const owner = order.customer && !order.customer.guest ? order.customer.email : App.cartOwner();
+    const add = carts => {
+      const cart = Object.assign({ items: [], coupons: [] }, carts && carts[owner]);
+      const items = cart.items.map(it => Object.assign({}, it));
+      order.items.forEach(it => {
+        const line = items.find(x => x.pid === it.pid);
+        if (line) line.qty += it.qty;
+        else items.push({ pid: it.pid, qty: it.qty });
+      });
+      return Object.assign({}, carts, { [owner]: Object.assign(cart, { items, updatedAt: new Date().toISOString() }) });
+    };
+    let carts;
+    const entries = this.entries();
+    if (entries[LS_KEYS.CARTS]) {
+      carts = entries[LS_KEYS.CARTS].value = add(entries[LS_KEYS.CARTS].value);
+      this.saveEntries(entries);
+    } else {
+      carts = add(await RestBackend.request("GET", LS_KEYS.CARTS));
+      await RestBackend.request("PUT", LS_KEYS.CARTS, carts);
+      RestBackend.synced[LS_KEYS.CARTS] = carts;
+    }
+    if (LS_KEYS.CARTS in Store.cache) {
+      Store.cache[LS_KEYS.CARTS] = carts;
+      $(document).trigger("mt:change", [LS_KEYS.CARTS]);
+    }
+  }
+};
+
+const Store = {
+  backend: CONFIG.BACKEND === "rest" ? RestBackend : LocalBackend,
+  cache: {},
+
+  // Carga todas las claves en paralelo. Si el backend falla, la promesa se rechaza.
+  async init(keys) {
+    const values = await Promise.all(keys.map(k => this.backend.load(k)));
+    keys.forEach((k, i) => { this.cache[k] = values[i]; });
+  },
+
+  // Vuelve a leer claves desde el backend (por si otro cliente las cambió).
+  async reload(keys) {
+    return this.init(keys);
+  },
+
+  // ¿Puede quien usa la tienda guardar key? Con localStorage, siempre; con la API, las claves de
+  // cada cliente (RestBackend.OWN_KEYS) o, si es admin, todas.
+  canWrite(key) {
+    if (this.backend !== RestBackend || RestBackend.OWN_KEYS.includes(key)) return true;
+    const s = App.getSession();
+    return !!s && s.role === "admin";
+  },
+
+  // ¿Hay algo guardado bajo key?
+  has(key) {
+    return this.cache[key] !== null && this.cache[key] !== undefined;
+  },
+
+  // Valor en memoria de key (fallback si no hay nada).
+  get(key, fallback) {
+    return this.has(key) ? this.cache[key] : fallback;
+  },
+
+  // Actualiza la memoria y persiste. Devuelve una promesa con true si se guardó;
+  // si falla devuelve la memoria al valor anterior, muestra el error y resuelve false (no rechaza).
+  set(key, value) {
+    const previous = this.cache[key];
+    this.cache[key] = value;
+    return Promise.resolve(this.backend.save(key, value)).then(() => true, err => {
+      if (this.cache[key] === value) this.cache[key] = previous; // salvo que otro set la haya cambiado
+      App.showError("No se pudieron guardar los cambios. " + err.message);
+      return false;
+    });
+  },
+
+  // Agrega item a la colección key; el backend le asigna el id. Resuelve el elemento guardado
+  // (con su id) o, si falla, muestra el error y resuelve null (la memoria no cambia). Un pedido sin
+  // stock suficiente no muestra nada: rechaza con err.issues para que el checkout lo explique.
+  async append(key, item) {
+    try {
+      const saved = await this.backend.append(key, item);
+      this.cache[key] = this.get(key, []).concat(saved);
+      return saved;
+    } catch (err) {
+      if (err.issues) throw err;
+      App.showError("No se pudieron guardar los cambios. " + err.message);
+      return null;
+    }
+  }
+};
+
+// ------- Módulo Passwords (hash de claves con Web Crypto) -------
+// PBKDF2-SHA-256 con sal aleatoria por usuario: se guarda { algo, iterations, salt, hash } en hex,
+// nunca la clave. crypto.subtle solo existe en contexto seguro (https o localhost).
+const Passwords = {
+  ITERATIONS: 100000,
+
+  // ArrayBuffer/bytes → hex, y al revés.
+  hex(buf) {
+    return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, "0")).join("");
+  },
+  bytes(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map(h => parseInt(h, 16)));
+  },
+
+  // n bytes aleatorios en hex (sales y tokens).
+  random(n = 16) {
+    return this.hex(window.crypto.getRandomValues(new Uint8Array(n)));
+  },
+
+  // Deriva el hash de pass con la sal e iteraciones dadas.
+  async derive(pass, salt, iterations) {
+    const key = await window.crypto.subtle.importKey("raw", new TextEncoder().encode(pass), "PBKDF2", false, ["deriveBits"]);
+    const bits = await window.crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: this.bytes(salt), iterations }, key, 256);
+    return this.hex(bits);
+  },
+
+  // Registro de clave nuevo (sal nueva cada vez).
+  async hash(pass) {
+    const salt = this.random();
+    return { algo: "PBKDF2-SHA256", iterations: this.ITERATIONS, salt, hash: await this.derive(pass, salt, this.ITERATIONS) };
+  },
+
+  // ¿pass corresponde al registro guardado?
+  async verify(pass, record) {
+    if (!record || !record.salt) return false;
+    return this.equal(await this.derive(pass, record.salt, record.iterations), record.hash);
+  },
+
+  // SHA-256 en hex (para guardar tokens de recuperación sin poder reusarlos).
+  async sha256(text) {
+    return this.hex(await window.crypto.subtle.digest("SHA-256", new TextEncoder().encode(text)));
+  },
+
+  // Compara dos hex sin cortar en la primera diferencia.
+  equal(a, b) {
+    if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+};
+
+// ------- Autenticación -------
+// Ojo: con el backend local todo vive en el navegador; la protección real de cuentas y roles
+// depende de que el backend REST valide las sesiones del lado del servidor. Con la API, login,
+// registro y claves pasan por sus rutas de cuentas (RestBackend.call) y mt.sessions no se toca.
+const Auth = {
+  // Largo mínimo de una clave nueva.
+  PASSWORD_MIN: 8,
+
+  // Busca un usuario por correo (sin distinguir mayúsculas).
+  findUser(users, email) {
+    const e = String(email || "").trim().toLowerCase();
+    return users.find(u => u.email.toLowerCase() === e) || null;
+  },
+
+  // Minutos que le quedan al bloqueo por intentos fallidos (0 si no está bloqueado).
+  lockedMinutes(u) {
+    const left = (u.lockedUntil || 0) - Date.now();
+    return left > 0 ? Math.ceil(left / 60000) : 0;
+  },
+
+  // Comprueba la clave de u. Las cuentas antiguas con clave en texto plano (u.pass) pasan a hash
+  // en el primer login correcto (el llamador guarda mt.users).
+  async checkPassword(u, pass) {
+    if (u.password) return Passwords.verify(pass, u.password);
+    if (typeof u.pass === "string" && u.pass === pass) {
+      u.password = await Passwords.hash(pass);
+      delete u.pass;
+      return true;
+    }
+    return false;
+  },
+
+  // Mensaje de error si la clave nueva no sirve ("" si está bien).
+  // Las claves se usan tal cual (sin trim) al registrarse, entrar, cambiarla y recuperarla.
+  passwordError(pass, repeat) {
+    if (pass.length < this.PASSWORD_MIN) return `La contraseña debe tener al menos ${this.PASSWORD_MIN} caracteres.`;
+    if (repeat !== undefined && pass !== repeat) return "Las contraseñas no coinciden.";
+    return "";
+  },
+
+  // Abre sesión: token aleatorio en mt.sessions (con vencimiento) y solo el token en mt.session.
+  async startSession(email) {
+    const now = Date.now();
+    const token = Passwords.random(32);
+    const sessions = App.getSessions().filter(x => x.expires > now);
+    sessions.push({ token, email, createdAt: new Date(now).toISOString(), expires: now + CONFIG.SESSION_HOURS * 3600000 });
+    if (!await App.saveSessions(sessions)) return false;
+    App.setSession(token);
+    return true;
+  },
+
+  // Con la API: deja la sesión que abrió el servidor ({ token, expires, user }) y vuelve a leer las
+  // cuentas, que ahora incluyen la propia (o todas, si es admin), y el carrito y las reservas de la
+  // cuenta (la API solo entrega los de cada dueño), así mergeCart no pisa el carrito guardado.
+  async useSession({ token, expires, user }) {
+    RestBackend.session = { token, email: user.email, expires };
+    App.setSession(token);
+    try {
+      await Store.reload(RestBackend.SESSION_KEYS);
+    } catch (err) {
+      App.showError("No se pudieron cargar los datos de tu cuenta. " + err.message, () => window.location.reload());
+      return false;
+    }
+    App.updateUserMenu();
+    return true;
+  },
+
+  // Cierra las sesiones de email (todas, o todas menos keepToken). Con la API las cierra el servidor
+  // (al cambiar la clave o dar de baja la cuenta).
+  revokeSessions(email, keepToken) {
+    if (Store.backend === RestBackend) return Promise.resolve(true);
+    const e = email.toLowerCase();
+    return App.saveSessions(App.getSessions().filter(x => x.email.toLowerCase() !== e || x.token === keepToken));
+  },
+
+  // Muestra un aviso Bootstrap en $el (reemplaza el anterior). markup es HTML fijo del código:
+  // los datos de clientes (y los mensajes de la API) pasan antes por Html.escape.
+  message($el, type, markup) {
+    $el.html(`<div class="alert alert-${type}">${markup}</div>`);
+  },
+
+  // Login: valida correo/clave contra mt.users, abre sesión, junta el carrito de invitado con el
+  // de la cuenta (ver App.mergeCart) y redirige a home.
+  // Tras CONFIG.LOGIN_MAX_ATTEMPTS claves erradas seguidas bloquea la cuenta por LOGIN_LOCK_MINUTES.
+  // Con la API, la clave y el bloqueo los revisa el servidor.
+  async login(e) {
+    e.preventDefault();
+    const email = $("#loginEmail").val().trim().toLowerCase();
+    const pass = $("#loginPass").val();
+    const guest = App.cartOwner();
+
+    if (Store.backend === RestBackend) {
+      const res = await RestBackend.call("POST", "/login", { email, password: pass });
+      if (!res.ok) { alert(res.body.error || "Credenciales inválidas."); return; }
+      if (!await Auth.useSession(res.body)) return;
+      if (await App.mergeCart(guest, res.body.user.email)) alert("Juntamos tu carrito con el de tu cuenta; algunas cantidades se ajustaron al stock disponible.");
+      window.location.href = "index.html";
+      return;
+    }
+
+    const users = App.getUsers();
+
+    const u = Auth.findUser(users, email);
+    if (!u) { alert("Credenciales inválidas."); return; }
+
+    const wait = Auth.lockedMinutes(u);
+    if (wait) { alert(`Cuenta bloqueada por intentos fallidos. Intenta de nuevo en ${wait} min.`); return; }
+
+    if (!await Auth.checkPassword(u, pass)) {
+      u.failedLogins = (u.failedLogins || 0) + 1;
+      const locked = u.failedLogins >= CONFIG.LOGIN_MAX_ATTEMPTS;
+      if (locked) {
+        u.failedLogins = 0;
+        u.lockedUntil = Date.now() + CONFIG.LOGIN_LOCK_MINUTES * 60000;
+      }
+      await App.saveUsers(users);
+      alert(locked ? `Demasiados intentos fallidos: la cuenta quedó bloqueada por ${CONFIG.LOGIN_LOCK_MINUTES} min.` : "Credenciales inválidas.");
+      return;
+    }
+
+    u.failedLogins = 0;
+    u.lockedUntil = null;
+    if (!await App.saveUsers(users) || !await Auth.startSession(u.email)) return;
+    if (await App.mergeCart(guest, u.email)) alert("Juntamos tu carrito con el de tu cuenta; algunas cantidades se ajustaron al stock disponible.");
+    window.location.href = "index.html";
+  },
+
+  // Registro: crea un usuario rol "user" (si el correo no existe) y redirige a login.
+  async signup(e) {
+    e.preventDefault();
+    const user = {
+      name: $("#suNombre").val().trim(),
+      last: $("#suApellido").val().trim(),
+      email: $("#suEmail").val().trim(),
+      pass: $("#suPass").val(),
+      address: $("#suDireccion").val().trim(),
+      role: "user"
+    };
+
+    // Validación básica
+    if (!user.name || !user.email) {
+      alert("Complete nombre y correo.");
+      return;
+    }
+    const passError = Auth.passwordError(user.pass);
+    if (passError) { alert(passError); return; }
+
+    // Evita correos duplicados
+    const users = App.getUsers();
+    if (Auth.findUser(users, user.email)) {
+      alert("Ese correo ya existe.");
+      return;
+    }
+
+    // Guarda y listo
+    // La dirección del registro es texto libre: queda como borrador en la libreta (falta región y comuna)
+    const addresses = user.address ? [Account.newAddress({ street: user.address, type: "envio", isDefault: true })] : [];
+    if (Store.backend === RestBackend) {
+      // Sin sesión la API no entrega las cuentas: el correo duplicado lo rechaza el servidor
+      const res = await RestBackend.call("POST", "/signup", { email: user.email, name: user.name, last: user.last, password: user.pass, addresses });
+      if (!res.ok) { alert(res.body.error || "No se pudo crear la cuenta."); return; }
+    } else {
+      users.push({ email: user.email, password: await Passwords.hash(user.pass), name: user.name, last: user.last, addresses, role: user.role });
+      if (!await App.saveUsers(users)) return;
+    }
+    alert("Cuenta creada. Ahora puedes iniciar sesión.");
+    window.location.href = "login.html";
+  },
+
+  // Cambio de clave con sesión abierta: pide la actual y cierra las demás sesiones del usuario.
+  async changePassword(e) {
+    e.preventDefault();
+    const $msg = $("#passwordMsg");
+    const s = App.getSession();
+    const users = App.getUsers();
+    const u = s && Auth.findUser(users, s.email);
+    if (!u) return;
+
+    const current = $("#pwCurrent").val();
+    const pass = $("#pwNew").val();
+    const error = Auth.passwordError(pass, $("#pwNew2").val());
+    if (error) { Auth.message($msg, "danger", error); return; }
+    if (Store.backend === RestBackend) {
+      const res = await RestBackend.call("POST", "/password", { current, password: pass });
+      if (!res.ok) { Auth.message($msg, "danger", Html.escape(res.body.error || "No se pudo cambiar la contraseña.")); return; }
+    } else {
+      if (!await Auth.checkPassword(u, current)) {
+        Auth.message($msg, "danger", "La contraseña actual no es correcta.");
+        return;
+      }
+      u.password = await Passwords.hash(pass);
+      delete u.pass;
+      if (!await App.saveUsers(users) || !await Auth.revokeSessions(u.email, s.token)) return;
+    }
+    $("#passwordForm")[0].reset();
+    Auth.message($msg, "success", "Contraseña actualizada. Se cerraron tus sesiones en otros dispositivos.");
+  },
+
+  // Pide recuperar la clave: guarda en el usuario el hash de un token de un solo uso que vence en
+  // CONFIG.RESET_MINUTES. La respuesta es la misma exista o no el correo.
+  // No hay servidor de correo: en modo demo el enlace se muestra en pantalla (con la API, el token lo
+  // crea el servidor y el enlace queda en su consola).
+  async requestReset(e) {
+    e.preventDefault();
+    const $msg = $("#recoverMsg");
+    const email = $("#recoverEmail").val().trim();
+    if (!email) { Auth.message($msg, "danger", "Ingresa tu correo."); return; }
+
+    if (Store.backend === RestBackend) {
+      const res = await RestBackend.call("POST", "/reset-request", { email });
+      if (!res.ok) { Auth.message($msg, "danger", Html.escape(res.body.error || "No se pudo pedir el enlace.")); return; }
+      Auth.message($msg, "info", `Si el correo está registrado, te enviamos un enlace para crear una nueva contraseña (vale ${CONFIG.RESET_MINUTES} minutos).`
+        + (CONFIG.DEMO ? `<div class="small mt-2">Modo demo: el enlace quedó en la consola del servidor.</div>` : ""));
+      return;
+    }
+
+    const users = App.getUsers();
+    const u = Auth.findUser(users, email);
+    let link = "";
+    if (u) {
+      const token = Passwords.random(32);
+      u.reset = { hash: await Passwords.sha256(token), expires: Date.now() + CONFIG.RESET_MINUTES * 60000 };
+      if (!await App.saveUsers(users)) return;
+      const url = new URL("recuperar.html", window.location.href);
+      url.searchParams.set("email", u.email);
+      url.searchParams.set("token", token);
+      link = url.toString();
+    }
+
+    Auth.message($msg, "info", `Si el correo está registrado, te enviamos un enlace para crear una nueva contraseña (vale ${CONFIG.RESET_MINUTES} minutos).`
+      + (CONFIG.DEMO && link ? `<div class="small mt-2">Modo demo: <a href="${link}">abrir el enlace</a></div>` : ""));
+  },
+
+  // Nueva clave desde el enlace de recuperación: valida token y vencimiento, desbloquea la cuenta
+  // y cierra todas sus sesiones (con la API, todo eso lo hace el servidor).
+  async resetPassword(e, email, token) {
+    e.preventDefault();
+    const $msg = $("#recoverMsg");
+    if (Store.backend === RestBackend) {
+      const pass = $("#resetPass").val();
+      const error = Auth.passwordError(pass, $("#resetPass2").val());
+      if (error) { Auth.message($msg, "danger", error); return; }
+      const res = await RestBackend.call("POST", "/reset", { email, token, password: pass });
+      if (!res.ok) { Auth.message($msg, "danger", Html.escape(res.body.error || "No se pudo cambiar la contraseña.") + ` <a href="recuperar.html">Pide un enlace nuevo</a>.`); return; }
+      $("#resetForm").addClass("d-none");
+      Auth.message($msg, "success", `Contraseña actualizada. <a href="login.html">Inicia sesión</a>.`);
+      return;
+    }
+
+    const users = App.getUsers();
+    const u = Auth.findUser(users, email);
+    const valid = u && u.reset && u.reset.expires > Date.now() && Passwords.equal(await Passwords.sha256(token), u.reset.hash);
+    if (!valid) {
+      Auth.message($msg, "danger", `El enlace no es válido o ya venció. <a href="recuperar.html">Pide uno nuevo</a>.`);
+      return;
+    }
+
+    const pass = $("#resetPass").val();
+    const error = Auth.passwordError(pass, $("#resetPass2").val());
+    if (error) { Auth.message($msg, "danger", error); return; }
+
+    u.password = await Passwords.hash(pass);
+    delete u.pass;
+    delete u.reset;
+    u.failedLogins = 0;
+    u.lockedUntil = null;
+    if (!await App.saveUsers(users) || !await Auth.revokeSessions(u.email)) return;
+    $("#resetForm").addClass("d-none");
+    Auth.message($msg, "success", `Contraseña actualizada. <a href="login.html">Inicia sesión</a>.`);
+  }
+};
 
 // Inicializa todo cuando el DOM esté listo.
 $(document).ready(() => App.init());
@@ -0,0 +1,863 @@
+// MiniTienda - Servidor de prueba para el backend REST (sin dependencias, solo Node).
+// Sirve los archivos estáticos de la tienda y una API JSON genérica en /api, la misma que
+// usa RestBackend en assets/js/app.js. Los datos quedan en server/db.json.
+//
+// Uso:   node server/mock-server.js            → http://localhost:3000
+// Variables de entorno:
+// PORT  → puerto (3000 por defecto)
+// DB    → archivo donde se guardan los datos (server/db.json por defecto)
+// DELAY → milisegundos de espera artificial por request, para probar los estados de carga
+// ADMIN_EMAIL / ADMIN_PASSWORD → cuenta de administrador inicial: se crea al arrancar si no existe
+//         (si ya existe, solo se le da el rol admin). El registro público nunca crea admins.
+//
+// Al servir los .html inyecta window.MT_CONFIG = { BACKEND: "rest", DEMO: true }, así las páginas
+// usan la API sin tocar el HTML y, como servidor de prueba, muestran los avisos del modo demo.
+//
+// Cuentas: la sesión es un token (Authorization: Bearer ...) que solo entrega el login; el servidor
+// decide quién es cada request, nunca lo que diga el navegador.
+// POST   /api/signup          → crea una cuenta rol "user" { email, name, last, password, addresses }
+// POST   /api/login           → { email, password } → { token, expires, user } (bloquea tras claves erradas)
+// GET    /api/session         → { email, expires, user } de la sesión del token (401 si no hay)
+// DELETE /api/session         → cierra la sesión del token
+// POST   /api/password        → { current, password }: cambia la clave y cierra las demás sesiones
+// POST   /api/email           → { email, password }: cambia el correo de la cuenta
+// POST   /api/reset-request   → { email }: enlace de recuperación (se escribe en la consola)
+// POST   /api/reset           → { email, token, password }: clave nueva y cierra todas las sesiones
+// /api/sessions no se expone, y /api/users nunca entrega claves ni tokens de recuperación: un admin
+// ve y edita (rol, bloqueo, bajas) todas las cuentas; los demás, solo la suya y sin tocar correo,
+// rol ni bloqueo.
+//
+// Pedidos: POST /api/orders revisa el stock de cada línea (lo que no esté apartado por otros carritos
+// en /api/reservations) y, si alcanza, descuenta el stock, lo anota en /api/stockMovements y guarda el
+// pedido en una sola escritura; si no, responde 409 { error, issues: [{ pid, name, wanted, available }] }
+// sin cambiar nada. El carrito del request es el de su sesión o, sin sesión, el de la cabecera
+// X-MT-Guest (id de invitado del navegador). Precios, descuentos, envío e IVA los vuelve a calcular
+// el servidor (ver priceOrder): si un cupón ya no aplica o el total no es el que mandó el navegador,
+// responde 409 { error }.
+//
+// El resto de la API es genérica (cada recurso es una colección o un documento JSON). Un admin lee y
+// escribe todo; los demás, según RESOURCES: el catálogo lo leen todos, cada cliente (o invitado) ve y
+// cambia solo lo suyo (carrito, pedidos, lista de deseos...) y lo que no aparece ahí (ej: el libro de
+// inventario) es solo de admin. Lo que un cliente no puede leer responde 404; escribirlo, 401/403.
+// Las reservas que guarda un cliente las rehace el servidor (ver ownReservations).
+// GET    /api/:recurso        → contenido completo (404 si no existe)
+// PUT    /api/:recurso        → reemplaza el contenido completo
+// DELETE /api/:recurso        → lo borra
+// POST   /api/:recurso        → agrega un elemento a una colección (asigna id si no trae)
+// GET    /api/:recurso/:id    → un elemento de la colección
+// PUT    /api/:recurso/:id    → reemplaza ese elemento
+// DELETE /api/:recurso/:id    → lo quita de la colección
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = parseInt(process.env.PORT || "3000", 10);
+const ROOT = path.resolve(__dirname, "..");
+const DB_FILE = path.resolve(process.env.DB || path.join(__dirname, "db.json"));
+const DELAY = parseInt(process.env.DELAY || "0", 10);
+
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ico": "image/x-icon"
+};
+
+const CONFIG_SCRIPT = `<script>window.MT_CONFIG = Object.assign({ BACKEND: "rest", API_URL: "/api", DEMO: true }, window.MT_CONFIG);</script>`;
+
+// ----- Base de datos en un archivo JSON -----
+let db = {};
+try { db = JSON.parse(fs.readFileSync(DB_FILE, "utf8")); }
+catch { db = {}; }
+
+function persist() {
+  fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
+}
+
+// ----- Administrador inicial -----
+// La clave queda en el mismo formato que Passwords.hash() de app.js (PBKDF2-SHA256, sal en hex).
+const PASSWORD_MIN = 8;
+const PASSWORD_ITERATIONS = 100000;
+
+function hashPassword(pass) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.pbkdf2Sync(pass, Buffer.from(salt, "hex"), PASSWORD_ITERATIONS, 32, "sha256").toString("hex");
+  return { algo: "PBKDF2-SHA256", iterations: PASSWORD_ITERATIONS, salt, hash };
+}
+
+// ¿pass corresponde a la cuenta u? Las claves en texto plano de cuentas antiguas (u.pass) pasan a
+// hash en el primer login correcto, como Auth.checkPassword en app.js (el llamador guarda).
+function checkPassword(u, pass) {
+  if (typeof pass !== "string") return false;
+  if (u.password) {
+    const { salt, iterations, hash } = u.password;
+    const derived = crypto.pbkdf2Sync(pass, Buffer.from(salt, "hex"), iterations, 32, "sha256");
+    const stored = Buffer.from(String(hash), "hex");
+    return stored.length === derived.length && crypto.timingSafeEqual(stored, derived);
+  }
+  if (typeof u.pass === "string" && u.pass === pass) {
+    u.password = hashPassword(pass);
+    delete u.pass;
+    return true;
+  }
+  return false;
+}
+
+function seedAdmin(email, pass) {
+  const users = Array.isArray(db.users) ? db.users : [];
+  const user = users.find(u => String(u.email).toLowerCase() === email.toLowerCase());
+  if (user) {
+    if (user.role === "admin") return;
+    user.role = "admin";
+  } else {
+    if (String(pass || "").length < PASSWORD_MIN) {
+      console.error(`ADMIN_PASSWORD debe tener al menos ${PASSWORD_MIN} caracteres: no se creó ${email}.`);
+      return;
+    }
+    users.push({ email, name: "Admin", role: "admin", addresses: [], password: hashPassword(pass) });
+  }
+  db.users = users;
+  persist();
+  console.log(`Administrador inicial: ${email}`);
+}
+
+if (process.env.ADMIN_EMAIL) seedAdmin(process.env.ADMIN_EMAIL.trim(), process.env.ADMIN_PASSWORD);
+
+// ----- Helpers HTTP -----
+// Vary: las respuestas dependen de la sesión y del invitado (sw.js guarda una copia por cada uno).
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": MIME[".json"],
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Accept, Authorization, X-MT-Guest",
+    "Vary": "Authorization, X-MT-Guest"
+  });
+  res.end(body === undefined ? "" : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", chunk => { data += chunk; });
+    req.on("end", () => {
+      try { resolve(data ? JSON.parse(data) : null); }
+      catch (err) { reject(err); }
+    });
+    req.on("error", reject);
+  });
+}
+
+// ----- Cuentas y sesiones -----
+// Mismos valores por defecto que CONFIG en app.js.
+const SESSION_HOURS = 12;
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCK_MINUTES = 15;
+const RESET_MINUTES = 30;
+// Campos que nunca salen de /api/users; los de OWN_FIELDS tampoco los cambia un cliente en su cuenta.
+const SECRET_FIELDS = ["password", "pass", "reset"];
+const OWN_FIELDS = SECRET_FIELDS.concat("email", "role", "failedLogins", "lockedUntil");
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(String(text)).digest("hex");
+}
+
+function userList() {
+  return Array.isArray(db.users) ? db.users : [];
+}
+
+// Busca una cuenta por correo (sin distinguir mayúsculas), como Auth.findUser en app.js.
+function findUser(email, list = userList()) {
+  const e = String(email || "").trim().toLowerCase();
+  return list.find(u => String(u.email).toLowerCase() === e) || null;
+}
+
+// Cuenta sin claves ni token de recuperación (lo único que entrega la API).
+function publicUser(u) {
+  const out = Object.assign({}, u);
+  SECRET_FIELDS.forEach(f => delete out[f]);
+  return out;
+}
+
+// Copia en to los campos fields tal como están en from (los que from no tiene se quitan).
+function keepFields(to, from, fields) {
+  const out = Object.assign({}, to);
+  fields.forEach(f => { if (f in from) out[f] = from[f]; else delete out[f]; });
+  return out;
+}
+
+function lockedMinutes(u) {
+  const left = (u.lockedUntil || 0) - Date.now();
+  return left > 0 ? Math.ceil(left / 60000) : 0;
+}
+
+// Sesiones vigentes: [{ token, email, createdAt, expires }]. Las vencidas se descartan al leer.
+function sessionList() {
+  const now = Date.now();
+  return (Array.isArray(db.sessions) ? db.sessions : []).filter(s => s.expires > now);
+}
+
+function openSession(email) {
+  const now = Date.now();
+  const session = { token: crypto.randomBytes(32).toString("hex"), email, createdAt: new Date(now).toISOString(), expires: now + SESSION_HOURS * 3600000 };
+  db.sessions = sessionList().concat(session);
+  return session;
+}
+
+// Cierra las sesiones de email (todas, o todas menos keepToken).
+function revokeSessions(email, keepToken) {
+  const e = email.toLowerCase();
+  db.sessions = sessionList().filter(s => s.email.toLowerCase() !== e || s.token === keepToken);
+}
+
+// Sesión del token de la cabecera Authorization (o null).
+function currentSession(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return m ? sessionList().find(s => s.token === m[1]) || null : null;
+}
+
+// Cuenta dueña de la sesión del request (o null).
+function currentUser(req) {
+  const s = currentSession(req);
+  return s ? findUser(s.email) : null;
+}
+
+// Dueño del carrito del request, como App.cartOwner en app.js: el correo de la sesión o el id de
+// invitado de la cabecera X-MT-Guest (null si no hay ninguno).
+function cartOwner(req) {
+  const u = currentUser(req);
+  if (u) return u.email;
+  const guest = String(req.headers["x-mt-guest"] || "");
+  return /^guest-[\w-]+$/.test(guest) ? guest : null;
+}
+
+function passwordError(pass) {
+  return typeof pass !== "string" || pass.length < PASSWORD_MIN ? `La contraseña debe tener al menos ${PASSWORD_MIN} caracteres.` : "";
+}
+
+async function signup(req, res) {
+  const { email, name, last, password, addresses } = (await readBody(req)) || {};
+  if (!String(name || "").trim() || !EMAIL_RE.test(String(email || "").trim())) return send(res, 400, { error: "Complete nombre y correo." });
+  const error = passwordError(password);
+  if (error) return send(res, 400, { error });
+  if (findUser(email)) return send(res, 409, { error: "Ese correo ya existe." });
+  const user = {
+    email: email.trim(), password: hashPassword(password), name: name.trim(), last: String(last || "").trim(),
+    addresses: Array.isArray(addresses) ? addresses : [], role: "user"
+  };
+  db.users = userList().concat(user);
+  persist();
+  return send(res, 201, { user: publicUser(user) });
+}
+
+async function login(req, res) {
+  const { email, password } = (await readBody(req)) || {};
+  const u = findUser(email);
+  if (!u) return send(res, 401, { error: "Credenciales inválidas." });
+  const wait = lockedMinutes(u);
+  if (wait) return send(res, 423, { error: `Cuenta bloqueada por intentos fallidos. Intenta de nuevo en ${wait} min.` });
+
+  if (!checkPassword(u, password)) {
+    u.failedLogins = (u.failedLogins || 0) + 1;
+    const locked = u.failedLogins >= LOGIN_MAX_ATTEMPTS;
+    if (locked) {
+      u.failedLogins = 0;
+      u.lockedUntil = Date.now() + LOGIN_LOCK_MINUTES * 60000;
+    }
+    persist();
+    return locked
+      ? send(res, 423, { error: `Demasiados intentos fallidos: la cuenta quedó bloqueada por ${LOGIN_LOCK_MINUTES} min.` })
+      : send(res, 401, { error: "Credenciales inválidas." });
+  }
+
+  u.failedLogins = 0;
+  u.lockedUntil = null;
+  const session = openSession(u.email);
+  persist();
+  return send(res, 200, { token: session.token, expires: session.expires, user: publicUser(u) });
+}
+
+function session(req, res) {
+  const s = currentSession(req);
+  const u = s && findUser(s.email);
+  if (!u) return send(res, 401, { error: "No hay sesión." });
+  return send(res, 200, { email: u.email, expires: s.expires, user: publicUser(u) });
+}
+
+function logout(req, res) {
+  const s = currentSession(req);
+  if (s) {
+    db.sessions = sessionList().filter(x => x.token !== s.token);
+    persist();
+  }
+  return send(res, 204);
+}
+
+async function changePassword(req, res) {
+  const s = currentSession(req);
+  const u = s && findUser(s.email);
+  if (!u) return send(res, 401, { error: "Inicia sesión." });
+  const { current, password } = (await readBody(req)) || {};
+  const error = passwordError(password);
+  if (error) return send(res, 400, { error });
+  if (!checkPassword(u, current)) return send(res, 400, { error: "La contraseña actual no es correcta." });
+  u.password = hashPassword(password);
+  delete u.pass;
+  revokeSessions(u.email, s.token);
+  persist();
+  return send(res, 204);
+}
+
+async function changeEmail(req, res) {
+  const u = currentUser(req);
+  if (!u) return send(res, 401, { error: "Inicia sesión." });
+  const { email, password } = (await readBody(req)) || {};
+  const next = String(email || "").trim();
+  if (!EMAIL_RE.test(next)) return send(res, 400, { error: "Ingresa un correo válido." });
+  const other = findUser(next);
+  if (other && other !== u) return send(res, 409, { error: "Ese correo ya está registrado." });
+  if (!checkPassword(u, password)) return send(res, 400, { error: "Para cambiar el correo ingresa tu contraseña actual." });
+  const old = u.email.toLowerCase();
+  moveOwner(u.email, next);
+  u.email = next;
+  db.sessions = sessionList().map(x => x.email.toLowerCase() === old ? Object.assign({}, x, { email: next }) : x);
+  persist();
+  return send(res, 200, { user: publicUser(u) });
+}
+
+// Lleva al correo nuevo lo que es de la cuenta: carrito, lista de deseos, reservas, suscripciones,
+// avisos y pedidos (como Account.saveProfile en app.js con localStorage).
+function moveOwner(from, to) {
+  const same = v => String(v || "").toLowerCase() === from.toLowerCase();
+  ["carts", "wishlists"].forEach(name => {
+    const map = db[name];
+    if (!isObject(map)) return;
+    Object.keys(map).filter(same).forEach(k => { map[to] = map[k]; delete map[k]; });
+  });
+  Object.keys(RESOURCES).forEach(name => {
+    const field = RESOURCES[name].own;
+    if (field && field !== "key" && Array.isArray(db[name])) db[name].forEach(x => { if (x && same(x[field])) x[field] = to; });
+  });
+  (Array.isArray(db.orders) ? db.orders : []).forEach(o => {
+    if (o.customer && !o.customer.guest && same(o.customer.email)) o.customer.email = to;
+    if (same(o.owner)) o.owner = to;
+  });
+}
+
+// Token de un solo uso (se guarda su hash). No hay servidor de correo: el enlace va a la consola.
+// La respuesta es la misma exista o no el correo.
+async function requestReset(req, res) {
+  const { email } = (await readBody(req)) || {};
+  const u = findUser(email);
+  if (u) {
+    const token = crypto.randomBytes(32).toString("hex");
+    u.reset = { hash: sha256(token), expires: Date.now() + RESET_MINUTES * 60000 };
+    persist();
+    const url = new URL("/recuperar.html", `http://${req.headers.host || "localhost"}`);
+    url.searchParams.set("email", u.email);
+    url.searchParams.set("token", token);
+    console.log(`Recuperación de clave para ${u.email}: ${url}`);
+  }
+  return send(res, 202, { minutes: RESET_MINUTES });
+}
+
+async function resetPassword(req, res) {
+  const { email, token, password } = (await readBody(req)) || {};
+  const u = findUser(email);
+  const hash = Buffer.from(sha256(token), "hex");
+  const stored = u && u.reset && u.reset.expires > Date.now() ? Buffer.from(String(u.reset.hash), "hex") : null;
+  if (!stored || stored.length !== hash.length || !crypto.timingSafeEqual(stored, hash)) {
+    return send(res, 400, { error: "El enlace no es válido o ya venció." });
+  }
+  const error = passwordError(password);
+  if (error) return send(res, 400, { error });
+  u.password = hashPassword(password);
+  delete u.pass;
+  delete u.reset;
+  u.failedLogins = 0;
+  u.lockedUntil = null;
+  revokeSessions(u.email);
+  persist();
+  return send(res, 204);
+}
+
+const ACCOUNT_ROUTES = {
+  "POST signup": signup,
+  "POST login": login,
+  "GET session": session,
+  "DELETE session": logout,
+  "POST password": changePassword,
+  "POST email": changeEmail,
+  "POST reset-request": requestReset,
+  "POST reset": resetPassword
+};
+
+// /api/users: GET entrega la lista que le corresponde a la sesión (todas para un admin, la propia
+// para un cliente, ninguna sin sesión). PUT recibe esa misma lista: un admin puede cambiar roles,
+// desbloquear y dar de baja (las cuentas nuevas entran por /api/signup y siempre queda un admin);
+// un cliente solo cambia los datos de su cuenta. Claves, tokens y correos no cambian por aquí.
+async function users(req, res, id) {
+  const me = currentUser(req);
+  const admin = !!me && me.role === "admin";
+  const view = who => (who && who.role === "admin" ? userList() : userList().filter(u => u === who)).map(publicUser);
+  if (id !== undefined) return send(res, 405, { error: "Método no permitido" });
+  if (req.method === "GET") return send(res, 200, view(me));
+  if (req.method !== "PUT") return send(res, 405, { error: "Método no permitido" });
+  if (!me) return send(res, 401, { error: "Inicia sesión." });
+
+  const incoming = await readBody(req);
+  if (!Array.isArray(incoming)) return send(res, 400, { error: "Se esperaba la lista de cuentas." });
+  const stored = userList();
+  let next;
+  if (admin) {
+    if (incoming.some(u => !findUser(u && u.email, stored))) {
+      return send(res, 400, { error: "Las cuentas nuevas se crean con el registro." });
+    }
+    next = incoming.map(u => keepFields(u, findUser(u.email, stored), SECRET_FIELDS.concat("email")));
+    if (!next.some(u => u.role === "admin")) return send(res, 400, { error: "Debe quedar al menos un administrador." });
+    const kept = new Set(next.map(u => u.email.toLowerCase()));
+    db.sessions = sessionList().filter(s => kept.has(s.email.toLowerCase()));
+  } else {
+    const mine = findUser(me.email, incoming.filter(Boolean));
+    if (!mine) return send(res, 403, { error: "Solo puedes cambiar tu cuenta." });
+    next = stored.map(u => u === me ? keepFields(mine, me, OWN_FIELDS) : u);
+  }
+  db.users = next;
+  persist();
+  return send(res, 200, view(currentUser(req)));
+}
+
+// ----- Pedidos -----
+// Número visible del pedido, como Orders.number en app.js.
+function orderNumber(id) {
+  return "MT-" + String(id).padStart(6, "0");
+}
+
+// Nombre del título, como Books.title en app.js.
+function bookTitle(p) {
+  return p.category === "manga" && p.volume ? p.name + " Vol. " + p.volume : p.name;
+}
+
+// Unidades de pid apartadas por carritos que no son owner (reservas vigentes).
+function heldByOthers(pid, owner) {
+  const now = Date.now();
+  return (Array.isArray(db.reservations) ? db.reservations : [])
+    .filter(r => r.pid === pid && r.owner !== owner && r.expires > now).reduce((a, r) => a + r.qty, 0);
+}
+
+// ----- Montos del pedido -----
+// Mismas reglas (y valores por defecto) que Shipping, Tax y Promotions en app.js: el servidor no
+// confía en los precios, descuentos ni totales que manda el navegador y los vuelve a calcular con el
+// catálogo, los cupones y los pedidos guardados.
+const IVA_RATE = 0.19;
+const FREE_SHIPPING_OVER = 30000;
+const SHIPPING_METHODS = {
+  retiro: { label: "Retiro en tienda", cost: 0 },
+  estandar: { label: "Despacho estándar", cost: 3990 },
+  express: { label: "Despacho express", cost: 6990 }
+};
+const REMOTE_SURCHARGE = 2000;
+const REMOTE_REGIONS = ["Arica y Parinacota", "Tarapacá", "Aysén del General Carlos Ibáñez del Campo", "Magallanes y de la Antártica Chilena"];
+// Estados que devuelven el uso de un cupón (Orders.VOID en app.js).
+const VOID_STATUSES = ["cancelado", "reembolsado"];
+
+// Neto e IVA de un monto bruto (Tax.split).
+function taxSplit(gross) {
+  const amount = Math.round(gross);
+  const net = Math.round(amount / (1 + IVA_RATE));
+  return { gross: amount, net, iva: amount - net };
+}
+
+// Costo del despacho, o null si el método no está disponible en la región (Shipping.cost).
+function shippingCost(method, subtotal, region) {
+  const m = SHIPPING_METHODS[method];
+  if (!m) return null;
+  if (method === "estandar") {
+    if (subtotal >= FREE_SHIPPING_OVER) return 0;
+    return m.cost + (REMOTE_REGIONS.includes(region) ? REMOTE_SURCHARGE : 0);
+  }
+  if (method === "express" && region && region !== "Metropolitana de Santiago") return null;
+  return m.cost;
+}
+
+// Motivo por el que el cupón c no aplica al pedido ("" si aplica), como Promotions.rejectReason.
+function couponReject(c, { eligible, base, email, usedTypes }) {
+  if (!c || !c.active) return "no existe o no está activo";
+  if (c.expires && new Date(c.expires + "T23:59:59") < new Date()) return "venció";
+  if (usedTypes[c.type]) return "no se puede combinar con " + usedTypes[c.type];
+  if (!eligible.length) return "no hay productos de su categoría en el pedido";
+  if (c.minSpend && base < c.minSpend) return "no se alcanza la compra mínima";
+  if (c.type === "lleva_n" && eligible.reduce((a, l) => a + l.qty, 0) < c.value + 1) return "faltan unidades para la promoción";
+  if (c.perUserLimit) {
+    if (!email) return "requiere iniciar sesión";
+    const uses = (Array.isArray(db.orders) ? db.orders : []).filter(o => o.customer && String(o.customer.email).toLowerCase() === email.toLowerCase() &&
+      !VOID_STATUSES.includes(o.status) && (o.discounts || []).some(d => d.code === c.code)).length;
+    if (uses >= c.perUserLimit) return "ya se usó el máximo de veces por cliente";
+  }
+  return "";
+}
+
+// Rehace líneas, descuentos, envío y totales del pedido (wanted: Map pid → unidades) como
+// Orders.create y Checkout.totals en app.js. Devuelve { error } si un cupón ya no aplica.
+function priceOrder(order, wanted, email) {
+  const products = Array.isArray(db.products) ? db.products : [];
+  const coupons = Array.isArray(db.coupons) ? db.coupons : [];
+  const lines = Array.from(wanted, ([pid, qty]) => ({ p: products.find(x => x.id === pid), qty }));
+  const items = lines.map(({ p, qty }) => {
+    const line = taxSplit(p.price * qty);
+    return { pid: p.id, name: bookTitle(p), isbn: p.isbn || "", format: p.format || "", price: p.price, qty, subtotal: line.gross, net: line.net, iva: line.iva };
+  });
+  const subtotal = items.reduce((a, it) => a + it.subtotal, 0);
+
+  const discounts = [];
+  const usedTypes = {};
+  let discount = 0;
+  let freeShipping = false;
+  for (const d of (Array.isArray(order.discounts) ? order.discounts : []).filter(isObject)) {
+    const c = coupons.find(x => x.code === d.code);
+    const eligible = c ? lines.filter(l => !c.category || l.p.category === c.category) : [];
+    const base = eligible.reduce((a, l) => a + l.p.price * l.qty, 0);
+    const reason = couponReject(c, { eligible, base, email, usedTypes });
+    if (reason) return { error: `El cupón ${d.code} ya no aplica: ${reason}.` };
+    usedTypes[c.type] = c.code;
+
+    let amount = 0;
+    if (c.type === "porcentaje") amount = Math.round(base * c.value / 100);
+    if (c.type === "monto") amount = Math.min(c.value, base);
+    if (c.type === "lleva_n") {
+      const units = [];
+      eligible.forEach(l => { for (let i = 0; i < l.qty; i++) units.push(l.p.price); });
+      units.sort((a, b) => a - b);
+      amount = units.slice(0, Math.floor(units.length / (c.value + 1))).reduce((a, v) => a + v, 0);
+    }
+    if (c.type === "envio_gratis") freeShipping = true;
+    amount = Math.min(amount, subtotal - discount);
+    discount += amount;
+    discounts.push({ code: c.code, label: String(d.label || c.code), amount, freeShipping: c.type === "envio_gratis" });
+  }
+
+  const merchandise = subtotal - discount;
+  const shipping = Object.assign({}, order.shipping);
+  const region = shipping.details && shipping.details.region;
+  let method = shipping.method;
+  let cost = shippingCost(method, merchandise, region);
+  if (cost === null) {
+    method = "estandar";
+    cost = shippingCost(method, merchandise, region);
+  }
+  if (freeShipping && method !== "retiro") cost = 0;
+  const total = merchandise + cost;
+  return {
+    items, discounts,
+    shipping: Object.assign(shipping, { method, methodLabel: SHIPPING_METHODS[method].label }),
+    totals: { items: items.reduce((a, it) => a + it.qty, 0), subtotal, discount, shipping: cost, total, tax: taxSplit(total) }
+  };
+}
+
+// POST /api/orders: el stock se revisa y se descuenta aquí, así dos compras al mismo tiempo (desde
+// navegadores distintos) no venden más de lo que hay. El id lo asigna siempre el servidor.
+async function createOrder(req, res) {
+  const order = await readBody(req);
+  if (!order || !Array.isArray(order.items) || !order.items.length) return send(res, 400, { error: "El pedido no tiene productos." });
+  const owner = cartOwner(req);
+  const products = Array.isArray(db.products) ? db.products : [];
+  const wanted = new Map();
+  order.items.forEach(it => wanted.set(it.pid, (wanted.get(it.pid) || 0) + (parseInt(it.qty, 10) || 0)));
+
+  const issues = [];
+  wanted.forEach((qty, pid) => {
+    const p = products.find(x => x.id === pid);
+    const available = p ? Math.max(0, p.stock - heldByOthers(pid, owner)) : 0;
+    if (!p || qty < 1 || qty > available) issues.push({ pid, name: p ? bookTitle(p) : "Producto retirado del catálogo", wanted: qty, available });
+  });
+  if (issues.length) return send(res, 409, { error: "No hay stock suficiente para algunos títulos.", issues });
+
+  // Los montos salen del catálogo y los cupones; si no coinciden con lo que vio el cliente, el
+  // pedido no se crea (así no paga algo distinto de lo que aceptó)
+  const me = currentUser(req);
+  const priced = priceOrder(order, wanted, me && me.email);
+  if (priced.error) return send(res, 409, { error: priced.error });
+  if (order.totals && Number(order.totals.total) !== priced.totals.total) {
+    return send(res, 409, { error: "Los precios o descuentos cambiaron desde que armaste el pedido. Revisa tu carrito e inténtalo de nuevo." });
+  }
+  Object.assign(order, priced);
+
+  // El servidor decide de quién es y en qué estado parte (el estado lo cambia después un admin)
+  const orders = Array.isArray(db.orders) ? db.orders : [];
+  const at = new Date().toISOString();
+  order.id = orders.reduce((max, x) => Math.max(max, Number(x.id) || 0), 0) + 1;
+  order.owner = owner;
+  order.customer = Object.assign({}, order.customer, me ? { email: me.email, guest: false } : { guest: true });
+  order.status = "pendiente";
+  order.history = [{ status: "pendiente", at, user: me ? me.email : "" }];
+  const moves = [];
+  wanted.forEach((qty, pid) => {
+    const p = products.find(x => x.id === pid);
+    p.stock -= qty;
+    moves.push({
+      id: Date.now().toString(36) + crypto.randomBytes(3).toString("hex"),
+      pid, type: "venta", qty: -qty, stock: p.stock, reason: "Pedido " + orderNumber(order.id),
+      user: me ? me.email : "", ref: order.id, at
+    });
+  });
+  db.stockMovements = (Array.isArray(db.stockMovements) ? db.stockMovements : []).concat(moves);
+  db.orders = orders.concat(order);
+  persist();
+  return send(res, 201, order);
+}
+
+// ----- Permisos de la API genérica -----
+// Mismos valores por defecto que CONFIG en app.js.
+const RESERVATION_MINUTES = 15;
+
+// Qué puede hacer con cada recurso quien no es admin (lo que no está aquí es solo de admin):
+// public → lo leen todos; lo escribe solo un admin.
+// own: "key" → objeto por dueño (correo o id de invitado, ver owners): cada quien lee y cambia solo
+//        su clave.
+// own: campo → lista: cada quien lee y cambia solo los elementos con su correo o id en ese campo. Con
+//        mask, los de los demás también se leen, con ese campo cambiado por un alias.
+// Los pedidos tienen su propia regla (ver visible y createOrder).
+const RESOURCES = {
+  products: { public: true },
+  coupons: { public: true },
+  schema: { public: true },
+  sequences: { public: true },
+  carts: { own: "key" },
+  wishlists: { own: "key" },
+  reservations: { own: "owner", mask: true },
+  reviews: { own: "email", mask: true },
+  notifications: { own: "email" },
+  stockAlerts: { own: "email" }
+};
+
+function isObject(v) {
+  return !!v && typeof v === "object" && !Array.isArray(v);
+}
+
+// Dueños que representa el request (en minúsculas): el correo de la sesión y el invitado de X-MT-Guest.
+function owners(req) {
+  const u = currentUser(req);
+  const guest = String(req.headers["x-mt-guest"] || "");
+  return [u && u.email, /^guest-[\w-]+$/.test(guest) && guest].filter(Boolean).map(x => x.toLowerCase());
+}
+
+// ¿El pedido es de quien hace el request? Con sesión, los pedidos a nombre de la cuenta; además, los
+// que se hicieron como invitado desde ese mismo navegador.
+function ownsOrder(o, req, mine) {
+  const u = currentUser(req);
+  if (u && o.customer && !o.customer.guest && String(o.customer.email).toLowerCase() === u.email.toLowerCase()) return true;
+  return mine.includes(String(o.owner || "").toLowerCase());
+}
+
+// Alias estable de un dueño ajeno (así una reserva o reseña de otro no muestra su correo).
+function alias(value) {
+  return "otro-" + sha256(String(value).toLowerCase()).slice(0, 12);
+}
+
+// Lo que un cliente puede leer de name (undefined si nada).
+function visible(name, req) {
+  const current = db[name];
+  const rule = RESOURCES[name];
+  const mine = owners(req);
+  if (current === undefined) return undefined;
+  if (name === "orders") return (Array.isArray(current) ? current : []).filter(o => o && ownsOrder(o, req, mine));
+  if (!rule) return undefined;
+  if (rule.public) return current;
+  if (rule.own === "key") {
+    const out = {};
+    if (isObject(current)) Object.keys(current).filter(k => mine.includes(k.toLowerCase())).forEach(k => { out[k] = current[k]; });
+    return out;
+  }
+  const own = x => x && mine.includes(String(x[rule.own] || "").toLowerCase());
+  const list = Array.isArray(current) ? current : [];
+  return rule.mask ? list.map(x => own(x) || !x ? x : Object.assign({}, x, { [rule.own]: alias(x[rule.own]) })) : list.filter(own);
+}
+
+// Reservas vencidas que se descartan al guardar: quedan en el libro de inventario como
+// "reserva_expirada" (solo informa; el mismo ref que usa Stock.sweep en app.js, sin repetir).
+function recordExpired(dropped) {
+  const ledger = Array.isArray(db.stockMovements) ? db.stockMovements : [];
+  const products = Array.isArray(db.products) ? db.products : [];
+  const at = new Date().toISOString();
+  dropped.forEach(r => {
+    const p = products.find(x => x.id === r.pid);
+    const ref = `${r.owner}:${r.pid}:${r.expires}`;
+    if (!p || ledger.some(m => m.type === "reserva_expirada" && m.pid === r.pid && m.ref === ref)) return;
+    ledger.push({
+      id: Date.now().toString(36) + crypto.randomBytes(3).toString("hex"), pid: r.pid, type: "reserva_expirada", qty: r.qty,
+      stock: p.stock, reason: `Carrito sin actividad por ${RESERVATION_MINUTES} min`, user: "", ref, at
+    });
+  });
+  db.stockMovements = ledger;
+}
+
+// Reservas que manda un cliente, rehechas por el servidor (así una sola no puede apartar todo el
+// stock): solo títulos del catálogo, a lo más RESERVATION_MINUTES desde ahora y a lo más las
+// unidades que no aparta otro carrito. Las repetidas (mismo dueño y título) se suman. Devuelve
+// null si alguna es de un título que no existe.
+function ownReservations(list, now) {
+  const products = Array.isArray(db.products) ? db.products : [];
+  const limit = now + RESERVATION_MINUTES * 60000;
+  const out = [];
+  for (const r of list) {
+    const p = products.find(x => x.id === r.pid);
+    if (!p) return null;
+    const expires = Math.min(Number(r.expires) || 0, limit);
+    const qty = parseInt(r.qty, 10) || 0;
+    if (expires <= now || qty < 1) continue;
+    const same = out.find(x => x.pid === r.pid && x.owner === r.owner);
+    if (same) Object.assign(same, { qty: same.qty + qty, expires: Math.max(same.expires, expires) });
+    else out.push({ pid: p.id, owner: r.owner, qty, expires });
+  }
+  return out.map(r => Object.assign(r, { qty: Math.min(r.qty, Math.max(0, products.find(x => x.id === r.pid).stock - heldByOthers(r.pid, r.owner))) }))
+    .filter(r => r.qty > 0);
+}
+
+// Request de quien no es admin: lee lo visible y solo reemplaza (PUT) lo suyo en los recursos "own".
+async function guarded(req, res, name, id) {
+  const view = visible(name, req);
+  if (req.method === "GET") {
+    if (view === undefined) return send(res, 404, { error: "No existe" });
+    if (id === undefined) return send(res, 200, view);
+    const item = Array.isArray(view) ? view.find(x => x && String(x.id) === id) : undefined;
+    return item ? send(res, 200, item) : send(res, 404, { error: "No existe" });
+  }
+
+  const rule = RESOURCES[name] || {};
+  const mine = owners(req);
+  if (req.method !== "PUT" || id !== undefined || !rule.own || !mine.length) {
+    return currentUser(req) ? send(res, 403, { error: "Solo un administrador puede hacer ese cambio." }) : send(res, 401, { error: "Inicia sesión." });
+  }
+
+  const incoming = await readBody(req);
+  const stored = db[name];
+  if (rule.own === "key") {
+    if (!isObject(incoming)) return send(res, 400, { error: "Se esperaba un objeto." });
+    const next = {};
+    if (isObject(stored)) Object.keys(stored).filter(k => !mine.includes(k.toLowerCase())).forEach(k => { next[k] = stored[k]; });
+    Object.keys(incoming).filter(k => mine.includes(k.toLowerCase())).forEach(k => { next[k] = incoming[k]; });
+    db[name] = next;
+  } else {
+    if (!Array.isArray(incoming)) return send(res, 400, { error: "Se esperaba una lista." });
+    const own = x => x && mine.includes(String(x[rule.own] || "").toLowerCase());
+    const now = Date.now();
+    const expired = r => name === "reservations" && !(r.expires > now);
+    const before = Array.isArray(stored) ? stored : [];
+    const others = before.filter(x => !own(x));
+    const fromCaller = name === "reservations" ? ownReservations(incoming.filter(own), now) : incoming.filter(own);
+    if (!fromCaller) return send(res, 400, { error: "La reserva es de un título que no existe." });
+    const next = others.filter(x => !expired(x)).concat(fromCaller);
+    if (name === "reservations") recordExpired(before.filter(r => expired(r) && !next.includes(r)));
+    db[name] = next;
+  }
+  persist();
+  return send(res, 200, visible(name, req));
+}
+
+// ----- API /api/:recurso[/:id] -----
+async function api(req, res, name, id) {
+  if (req.method === "OPTIONS") return send(res, 204);
+  const route = ACCOUNT_ROUTES[`${req.method} ${name}`];
+  if (route && id === undefined) return route(req, res);
+  if (name === "sessions") return send(res, 403, { error: "Las sesiones se abren con /api/login." });
+  if (name === "users") return users(req, res, id);
+  if (name === "orders" && id === undefined && req.method === "POST") return createOrder(req, res);
+  const me = currentUser(req);
+  if (!me || me.role !== "admin") return guarded(req, res, name, id);
+  const current = db[name];
+
+  if (id === undefined) {
+    if (req.method === "GET") return current === undefined ? send(res, 404, { error: "No existe" }) : send(res, 200, current);
+    if (req.method === "PUT") {
+      db[name] = await readBody(req);
+      persist();
+      return send(res, 200, db[name]);
+    }
+    if (req.method === "DELETE") {
+      delete db[name];
+      persist();
+      return send(res, 204);
+    }
+    if (req.method === "POST") {
+      const item = await readBody(req);
+      const list = Array.isArray(current) ? current : [];
+      if (item.id === undefined) item.id = list.reduce((max, x) => Math.max(max, Number(x.id) || 0), 0) + 1;
+      list.push(item);
+      db[name] = list;
+      persist();
+      return send(res, 201, item);
+    }
+    return send(res, 405, { error: "Método no permitido" });
+  }
+
+  // Elemento de una colección (el id se compara como texto: sirve para ids numéricos y strings)
+  const list = Array.isArray(current) ? current : [];
+  const idx = list.findIndex(x => String(x.id) === id);
+  if (req.method === "GET") return idx < 0 ? send(res, 404, { error: "No existe" }) : send(res, 200, list[idx]);
+  if (req.method === "PUT") {
+    const item = Object.assign(await readBody(req), { id: idx < 0 ? id : list[idx].id });
+    if (idx < 0) list.push(item); else list[idx] = item;
+    db[name] = list;
+    persist();
+    return send(res, 200, item);
+  }
+  if (req.method === "DELETE") {
+    if (idx < 0) return send(res, 404, { error: "No existe" });
+    list.splice(idx, 1);
+    db[name] = list;
+    persist();
+    return send(res, 204);
+  }
+  return send(res, 405, { error: "Método no permitido" });
+}
+
+// ----- Archivos estáticos -----
+function serveStatic(req, res, pathname) {
+  const file = path.join(ROOT, decodeURIComponent(pathname === "/" ? "/index.html" : pathname));
+  // No sale de la carpeta del proyecto ni expone el servidor / la base de datos
+  if (!file.startsWith(ROOT + path.sep) || file.startsWith(__dirname + path.sep)) {
+    res.writeHead(403);
+    return res.end("Prohibido");
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+      return res.end("No encontrado");
+    }
+    const ext = path.extname(file).toLowerCase();
+    if (ext === ".html") data = Buffer.from(data.toString("utf8").replace("</head>", CONFIG_SCRIPT + "\n</head>"));
+    res.writeHead(200, { "Content-Type": MIME[ext] || "application/octet-stream" });
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  setTimeout(async () => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    const match = pathname.match(/^\/api\/([\w-]+)(?:\/([^/]+))?\/?$/);
+    try {
+      if (match) await api(req, res, match[1], match[2] === undefined ? undefined : decodeURIComponent(match[2]));
+      else if (pathname.startsWith("/api/")) send(res, 404, { error: "Ruta no encontrada" });
+      else serveStatic(req, res, pathname);
+    } catch (err) {
+      send(res, 400, { error: err.message });
+    }
+  }, DELAY);
+});
+
+// Los tests cargan el servidor con require() y lo abren en un puerto libre.
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`MiniTienda mock server en http://localhost:${PORT} (datos en ${DB_FILE})`);
+  });
+}
+
+module.exports = server;
@@ -0,0 +1,145 @@
+// MiniTienda - Service worker (PWA): la tienda se abre y se navega sin conexión.
+// Lo registra App.registerServiceWorker() en assets/js/app.js. Estrategias por tipo de request:
+// páginas (navegación) → red primero; sin red, la copia guardada o offline.html.
+// app shell (HTML, CSS, JS, íconos y las librerías de los CDN) → se precarga al instalar y luego
+//        se sirve desde caché mientras se actualiza por detrás (stale-while-revalidate).
+// imágenes de productos (picsum.photos, URLs externas) → caché primero, con tope de MAX_IMAGES
+//        entradas (se descartan las más antiguas). Se piden con CORS para poder medirlas: solo se
+//        guardan las que el servidor entrega así y pesan hasta MAX_IMAGE_BYTES (las demás se muestran
+//        sin guardarlas); sin red y sin copia se responde assets/img/no-image.jpg.
+// datos de la API REST (GET con Accept: application/json) → red primero; sin red, la última
+//        respuesta marcada con la cabecera X-MT-Cache (la app la muestra, pero no la toma como lo
+//        último que confirmó la API). Los cambios hechos sin conexión los guarda la app en mt.outbox.
+// Al cambiar los archivos del shell hay que subir VERSION: las cachés antiguas se borran al activar.
+const VERSION = "mt-v4";
+const SHELL_CACHE = `${VERSION}-shell`;
+const IMAGE_CACHE = `${VERSION}-images`;
+const DATA_CACHE = `${VERSION}-data`;
+const MAX_IMAGES = 60;
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const OFFLINE_PAGE = "offline.html";
+const NO_IMAGE = "assets/img/no-image.jpg";
+
+// Páginas y archivos locales. Si alguno no existe en el servidor se omite (no frena la instalación).
+const SHELL = [
+  "index.html", "catalogo.html", "producto.html", "carrito.html", "login.html",
+  "cuenta.html", "deseos.html", "mis-pedidos.html", "pedido.html", "recuperar.html", "clave.html",
+  OFFLINE_PAGE, "manifest.webmanifest",
+  "assets/css/styles.css", "assets/js/app.js", NO_IMAGE,
+  "styles/styles.css", "images/imgfondo2.jpg", "images/logo_momentaneo.jpg",
+  "assets/img/icons/icon-192.png", "assets/img/icons/icon-512.png"
+];
+
+// Librerías de los CDN (se guardan como respuestas opacas, igual que las pide el navegador).
+const CDN = [
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/css/bootstrap.min.css",
+  "https://cdn.jsdelivr.net/npm/bootstrap@5.3.3/dist/js/bootstrap.bundle.min.js",
+  "https://code.jquery.com/jquery-3.7.1.min.js",
+  "https://cdnjs.cloudflare.com/ajax/libs/font-awesome/7.0.0/css/all.min.css",
+  "https://cdn.jsdelivr.net/npm/chart.js@4.4.1/dist/chart.umd.min.js"
+];
+const CDN_HOSTS = CDN.map(url => new URL(url).host);
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await Promise.all([
+      ...SHELL.map(url => cache.add(url).catch(() => null)),
+      ...CDN.map(url => fetch(url, { mode: "no-cors" }).then(res => cache.put(url, res)).catch(() => null))
+    ]);
+    await self.skipWaiting();
+  })());
+});
+
+// Borra las cachés de versiones anteriores y toma el control de las pestañas abiertas.
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith("mt-") && !n.startsWith(VERSION + "-")).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener("fetch", event => {
+  const req = event.request;
+  // PUT/POST/DELETE van directo a la red: si fallan, la app los deja en su bandeja de salida
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+
+  if (req.mode === "navigate") return event.respondWith(page(req));
+  if ((req.headers.get("Accept") || "").includes("application/json")) return event.respondWith(data(req));
+  if (req.destination === "image") return event.respondWith(image(req));
+  if (url.origin === self.location.origin || CDN_HOSTS.includes(url.host)) return event.respondWith(shell(req, event));
+});
+
+// Navegación: red primero (guarda la copia), luego caché (sin mirar ?id=...) y por último offline.html.
+async function page(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok && !res.redirected) cache.put(req, res.clone()); // una redirección no sirve como respuesta de navegación
+    return res;
+  } catch {
+    return (await cache.match(req)) || (await cache.match(req, { ignoreSearch: true })) ||
+      (await cache.match(OFFLINE_PAGE)) || Response.error();
+  }
+}
+
+// API REST: red primero; sin red, la última respuesta guardada con X-MT-Cache: offline.
+async function data(req) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(req);
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(req);
+    if (!cached) throw err;
+    const headers = new Headers(cached.headers);
+    headers.set("X-MT-Cache", "offline");
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+  }
+}
+
+// Imágenes: caché primero. Una respuesta opaca (otro dominio sin CORS) no deja leer ni su tamaño ni
+// su estado, así que se pide con CORS y se mide el archivo; si el servidor no acepta CORS, se vuelve
+// a pedir como la pidió la página y se entrega sin guardarla.
+async function image(req) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(req) || await caches.match(req);
+  if (cached) return cached;
+  try {
+    const res = await fetch(req.url, { mode: "cors", credentials: "omit" }).catch(() => fetch(req));
+    if (res.ok && res.type !== "opaque") {
+      const blob = await res.clone().blob();
+      if (blob.size <= MAX_IMAGE_BYTES) {
+        await cache.put(req, new Response(blob, { status: res.status, statusText: res.statusText, headers: res.headers }));
+        trim(cache, MAX_IMAGES);
+      }
+    }
+    return res;
+  } catch {
+    return (await caches.match(NO_IMAGE)) || Response.error();
+  }
+}
+
+// Deja en cache como máximo max entradas (keys() viene en orden de inserción).
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)));
+}
+
+// Archivos del shell y de los CDN: desde caché y se actualizan por detrás.
+async function shell(req, event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(req);
+  const update = fetch(req).then(res => {
+    if (res.ok || res.type === "opaque") cache.put(req, res.clone());
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(update.catch(() => null));
+    return cached;
+  }
+  return update;
+}
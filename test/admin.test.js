@@ -0,0 +1,235 @@
+// Paneles del admin: un guardado que falla no deja cambios a medias en la memoria ni en la tabla.
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain, settle } = require("./helpers");
+
+const EMAIL = "admin@correo.cl";
+const TOKEN = "t0k3n";
+
+function storage(extra) {
+  return Object.assign({
+    "mt.products": [{ id: 1, name: "Uno", price: 1000, stock: 5 }, { id: 2, name: "Dos", price: 2000, stock: 3 }],
+    "mt.users": [{ email: EMAIL, name: "Admin", role: "admin" }],
+    "mt.sessions": [{ token: TOKEN, email: EMAIL, createdAt: new Date().toISOString(), expires: Date.now() + 3600000 }],
+    "mt.session": { token: TOKEN },
+    "mt.stockMovements": []
+  }, extra);
+}
+
+// Hace fallar los guardados de key (los demás siguen igual)
+function failSaves(mt, key) {
+  const save = mt.Store.backend.save;
+  mt.Store.backend.save = (k, value) => k === key ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, k, value);
+}
+
+describe("AdminProducts", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function load(extra) {
+    mt = await loadApp({
+      body: `<body id="page-productos">
+        <form id="productForm"><span id="formTitle"></span><input id="prodId"><input id="prodName"><input id="prodFormat">
+          <textarea id="prodDesc"></textarea><input id="prodPrice"><input id="prodStock">
+          <input type="radio" name="imgSource" value="url" checked><input id="prodImgUrl"><input id="prodImgLocal"></form>
+        <input id="adminSearch"><table><tbody id="adminTableBody"></tbody></table></body>`,
+      url: "http://localhost/productos.html",
+      storage: storage(extra)
+    });
+  }
+
+  function edit(id, fields) {
+    mt.$("#prodId").val(String(id));
+    Object.keys(fields).forEach(sel => mt.$(sel).val(fields[sel]));
+    return mt.AdminProducts.submit({ preventDefault() {} });
+  }
+
+  it("si falla el guardado de una edición, la memoria y el formulario quedan como estaban", async () => {
+    await load();
+    failSaves(mt, "mt.products");
+    await edit(1, { "#prodName": "Otro", "#prodPrice": "1500", "#prodStock": "9" });
+    const p = mt.App.getProducts()[0];
+    assert.deepEqual(plain([p.name, p.price, p.stock]), ["Uno", 1000, 5]);
+    assert.equal(mt.$("#prodName").val(), "Otro");
+    assert.match(mt.$("body").text(), /No se pudieron guardar los cambios/);
+  });
+
+  it("si falla el libro de inventario, no limpia el formulario", async () => {
+    await load();
+    failSaves(mt, "mt.stockMovements");
+    await edit(1, { "#prodName": "Uno", "#prodPrice": "1000", "#prodStock": "9" });
+    assert.equal(mt.$("#prodStock").val(), "9");
+    assert.equal(mt.$("#prodId").val(), "1");
+  });
+
+  it("una edición guardada limpia el formulario y se ve en la tabla", async () => {
+    await load();
+    await edit(1, { "#prodName": "Otro", "#prodPrice": "1500", "#prodStock": "9" });
+    assert.equal(mt.App.getProducts()[0].stock, 9);
+    assert.equal(mt.$("#prodId").val(), "");
+    assert.match(mt.$("#adminTableBody").text(), /Otro/);
+  });
+
+  it("si no se guarda la reposición, no avisa a quienes esperan el título", async () => {
+    await load({
+      "mt.products": [{ id: 1, name: "Uno", price: 1000, stock: 0 }],
+      "mt.stockAlerts": [{ pid: 1, email: "ana@correo.cl" }],
+      "mt.notifications": []
+    });
+    failSaves(mt, "mt.products");
+    await edit(1, { "#prodName": "Uno", "#prodPrice": "1000", "#prodStock": "4" });
+    await settle();
+    assert.equal(mt.App.getNotifications().length, 0);
+    assert.equal(mt.App.getStockAlerts().length, 1);
+  });
+
+  it("si falla el guardado al eliminar, el producto sigue en la tabla", async () => {
+    await load();
+    failSaves(mt, "mt.products");
+    await mt.AdminProducts.remove(2);
+    await settle();
+    assert.equal(mt.App.getProducts().length, 2);
+    assert.match(mt.$("#adminTableBody").text(), /Dos/);
+  });
+});
+
+describe("AdminOrders.setStatus", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  const NOW = new Date().toISOString();
+  const order = {
+    id: 7, number: "MT-000007", items: [{ pid: 1, name: "Uno", price: 1000, qty: 2, subtotal: 2000 }],
+    totals: { items: 2, subtotal: 2000, discount: 0, shipping: 0, total: 2000 },
+    customer: { email: "ana@correo.cl", name: "Ana", guest: false },
+    status: "pagado", history: [{ status: "pagado", at: NOW, user: "" }], createdAt: NOW, updatedAt: NOW
+  };
+
+  async function load() {
+    mt = await loadApp({
+      body: `<body id="page-pedidos"><table><tbody id="ordersTableBody"></tbody></table></body>`,
+      url: "http://localhost/pedidos.html",
+      storage: storage({ "mt.orders": [order] })
+    });
+  }
+
+  it("si no se guarda el pedido, sigue con su estado y no devuelve stock", async () => {
+    await load();
+    failSaves(mt, "mt.orders");
+    await mt.AdminOrders.setStatus(7, "reembolsado");
+    assert.equal(mt.App.getOrders()[0].status, "pagado");
+    assert.equal(mt.App.getProducts()[0].stock, 5);
+    assert.match(mt.$("body").text(), /El pedido MT-000007 no pasó a reembolsado/);
+    assert.ok(mt.$("#ordersTableBody [data-order-status=preparando]").length, "la tabla no muestra el pedido como pagado");
+  });
+
+  it("si no se devuelve el stock, avisa al admin", async () => {
+    await load();
+    failSaves(mt, "mt.products");
+    await mt.AdminOrders.setStatus(7, "reembolsado");
+    assert.equal(mt.App.getOrders()[0].status, "reembolsado");
+    assert.equal(mt.App.getProducts()[0].stock, 5);
+    assert.match(mt.$("body").text(), /quedó reembolsado, pero no se pudo registrar la devolución/);
+  });
+
+  it("al reembolsar con todo guardado, devuelve las unidades", async () => {
+    await load();
+    await mt.AdminOrders.setStatus(7, "reembolsado");
+    assert.equal(mt.App.getOrders()[0].status, "reembolsado");
+    assert.equal(mt.App.getProducts()[0].stock, 7);
+  });
+});
+
+describe("Transfer.run", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  // Revisión de un archivo que cambia el precio de los dos productos
+  async function preview() {
+    mt = await loadApp({
+      body: `<body><div id="importProgress"><div class="progress-bar"></div></div>
+        <button id="importPreview"></button><button id="importRun"></button><div id="importSummary"></div></body>`,
+      storage: storage()
+    });
+    mt.Transfer.fileName = "precios.json";
+    mt.Transfer.read([{ id: 1, price: 1500 }, { id: 2, price: 2500 }], true);
+    mt.Transfer.plan = await mt.Transfer.buildPlan({ id: "id", price: "price" });
+  }
+
+  it("aplica las filas sobre el catálogo de ahora, no sobre el de la revisión", async () => {
+    await preview();
+    // Entretanto otra pestaña vendió 3 unidades de Uno y borró Dos
+    mt.window.localStorage.setItem("mt.products", JSON.stringify([{ id: 1, name: "Uno", price: 1000, stock: 2 }]));
+
+    await mt.Transfer.run();
+    assert.deepEqual(plain(mt.App.getProducts()).map(p => [p.id, p.price, p.stock]), [[1, 1500, 2]]);
+    assert.deepEqual(plain(mt.App.getStockMovements()), []);
+    assert.match(mt.$("#importSummary").text(), /No se importaron las filas 3/);
+  });
+
+  it("si el guardado falla, deja otra vez disponibles la revisión y la importación", async () => {
+    await preview();
+    failSaves(mt, "mt.products");
+
+    await mt.Transfer.run();
+    await settle();
+    assert.equal(mt.App.getProducts()[0].price, 1000);
+    assert.equal(mt.$("#importRun").prop("disabled"), false);
+    assert.equal(mt.$("#importPreview").prop("disabled"), false);
+    assert.notEqual(mt.$("#importProgress .progress-bar").text(), "Guardando…");
+    assert.ok(mt.Transfer.plan);
+  });
+});
+
+describe("AdminUsers", () => {
+  const ANA = "ana@correo.cl";
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function load() {
+    mt = await loadApp({
+      body: `<body id="page-usuarios"><table><tbody id="usersTableBody"></tbody></table></body>`,
+      url: "http://localhost/usuarios.html",
+      storage: storage({
+        "mt.users": [{ email: EMAIL, name: "Admin", role: "admin" }, { email: ANA, name: "Ana", role: "user", failedLogins: 5, lockedUntil: Date.now() + 600000 }],
+        "mt.carts": { [ANA]: { items: [{ pid: 1, qty: 1 }], coupons: [] } },
+        "mt.products": [{ id: 1, name: "Uno", price: 1000, stock: 5 }, { id: 2, name: "Dos", price: 2000, stock: 0 }],
+        "mt.stockAlerts": [{ pid: 2, email: ANA }]
+      })
+    });
+  }
+
+  const errors = () => mt.$(".alert-danger").text();
+
+  it("si no se guarda el rol o el desbloqueo, la tabla vuelve a lo guardado y se avisa", async () => {
+    await load();
+    failSaves(mt, "mt.users");
+    await mt.AdminUsers.setRole(ANA, "admin");
+    await mt.AdminUsers.unlock(ANA);
+    const ana = mt.Auth.findUser(mt.App.getUsers(), ANA);
+    assert.deepEqual([ana.role, ana.failedLogins], ["user", 5]);
+    assert.equal(mt.$(`[data-user-role="${ANA}"]`).val(), "user");
+    assert.match(errors(), /sigue con el rol anterior/);
+    assert.match(errors(), /sigue bloqueada/);
+  });
+
+  it("si no se borra la cuenta, sus datos quedan como estaban", async () => {
+    await load();
+    failSaves(mt, "mt.users");
+    await mt.AdminUsers.remove(ANA);
+    assert.ok(mt.Auth.findUser(mt.App.getUsers(), ANA));
+    assert.deepEqual(Object.keys(mt.App.getCarts()), [ANA]);
+    assert.equal(mt.App.getStockAlerts().length, 1);
+    assert.match(errors(), /No se eliminó la cuenta/);
+  });
+
+  it("borrada la cuenta, se avisa si parte de sus datos no se pudo borrar", async () => {
+    await load();
+    failSaves(mt, "mt.carts");
+    await mt.AdminUsers.remove(ANA);
+    assert.equal(mt.Auth.findUser(mt.App.getUsers(), ANA), null);
+    assert.equal(mt.$(`[data-user-remove="${ANA}"]`).length, 0);
+    assert.deepEqual(plain(mt.App.getStockAlerts()), []);
+    assert.match(errors(), /pero no se pudieron borrar/);
+  });
+});
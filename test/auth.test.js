@@ -0,0 +1,89 @@
+// Auth: formularios de login.html y registro público (que nunca crea administradores).
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, settle, waitFor } = require("./helpers");
+
+const page = `<body id="page-login">
+  <form id="loginForm"><input id="loginEmail"><input id="loginPass"></form>
+  <form id="signupForm">
+    <input id="suNombre"><input id="suApellido"><input id="suEmail"><input id="suPass"><input id="suDireccion">
+  </form>
+</body>`;
+
+describe("Auth", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function load(storage) {
+    mt = await loadApp({ body: page, url: "http://localhost/login.html", storage });
+  }
+
+  function fillSignup() {
+    const $ = mt.$;
+    $("#suNombre").val("Ana");
+    $("#suEmail").val("ana@correo.cl");
+    $("#suPass").val("clave-segura");
+  }
+
+  async function signup(storage) {
+    await load(storage);
+    fillSignup();
+    await mt.Auth.signup({ preventDefault() {} });
+    await settle();
+    return mt.Auth.findUser(mt.App.getUsers(), "ana@correo.cl");
+  }
+
+  it("la primera cuenta registrada es un cliente, no admin", async () => {
+    const user = await signup({ "mt.users": [] });
+    assert.equal(user.role, "user");
+    assert.ok(!mt.App.getUsers().some(u => u.role === "admin"));
+  });
+
+  it("con admins existentes también crea un cliente", async () => {
+    const user = await signup({ "mt.users": [{ email: "admin@correo.cl", name: "Admin", role: "admin" }] });
+    assert.equal(user.role, "user");
+  });
+
+  it("sin modo demo no siembra cuentas", async () => {
+    await load({});
+    assert.equal(mt.App.getUsers().length, 0);
+  });
+
+  it("las cuentas del modo demo tienen una clave del largo mínimo", async () => {
+    mt = await loadApp({ body: page, url: "http://localhost/login.html", config: { DEMO: true } });
+    const admin = mt.Auth.findUser(mt.App.getUsers(), "admin@correo.cl");
+    assert.ok(await mt.Auth.checkPassword(admin, "demo1234"));
+    assert.equal(mt.Auth.passwordError("demo1234"), "");
+  });
+
+  it("los formularios funcionan sin App, Auth ni AdminProducts en window", async () => {
+    await load({ "mt.users": [] });
+    ["App", "Auth", "AdminProducts"].forEach(name => assert.equal(mt.window[name], undefined, name));
+
+    fillSignup();
+    mt.$("#signupForm").trigger("submit");
+    await waitFor(() => mt.Auth.findUser(mt.App.getUsers(), "ana@correo.cl"));
+
+    mt.$("#loginEmail").val("ana@correo.cl");
+    mt.$("#loginPass").val("clave-segura");
+    mt.$("#loginForm").trigger("submit");
+    const session = await waitFor(() => mt.App.getSession());
+    assert.equal(session.email, "ana@correo.cl");
+  });
+
+  it("la clave se usa tal cual, con espacios al inicio o al final", async () => {
+    await load({ "mt.users": [] });
+    fillSignup();
+    mt.$("#suPass").val("  clave segura  ");
+    await mt.Auth.signup({ preventDefault() {} });
+
+    mt.$("#loginEmail").val("ana@correo.cl");
+    mt.$("#loginPass").val("clave segura");
+    await mt.Auth.login({ preventDefault() {} });
+    assert.equal(mt.App.getSession(), null);
+
+    mt.$("#loginPass").val("  clave segura  ");
+    await mt.Auth.login({ preventDefault() {} });
+    assert.equal(mt.App.getSession().email, "ana@correo.cl");
+  });
+});
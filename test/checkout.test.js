@@ -0,0 +1,115 @@
+// App.checkout: un guardado que falla no deja el stock descontado ni el pedido en memoria, el
+// pedido se crea después de vaciar el carrito (si no se crea, el carrito vuelve) y el backend vuelve
+// a revisar el stock al crear el pedido.
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./helpers");
+
+const products = [
+  { id: 1, name: "Uno", price: 1000, stock: 5 },
+  { id: 2, name: "Dos", price: 2000, stock: 3 }
+];
+
+describe("App.checkout", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function load(extra) {
+    mt = await loadApp({
+      body: `<body id="page-carrito"><div id="carritoContainer"></div><span id="cartTotal"></span></body>`,
+      url: "http://localhost/carrito.html",
+      storage: Object.assign({
+        "mt.products": products,
+        "mt.guest": "guest-a",
+        "mt.carts": { "guest-a": { items: [{ pid: 1, qty: 2 }, { pid: 2, qty: 1 }], coupons: [] } }
+      }, extra)
+    });
+  }
+
+  // Ana con sesión iniciada y el mismo carrito
+  function signedIn() {
+    return {
+      "mt.users": [{ email: "ana@correo.cl", name: "Ana", role: "cliente", phone: "+56 9 0000 0000" }],
+      "mt.sessions": [{ token: "t0k3n", email: "ana@correo.cl", createdAt: new Date().toISOString(), expires: Date.now() + 3600000 }],
+      "mt.session": { token: "t0k3n" },
+      "mt.carts": { "ana@correo.cl": { items: [{ pid: 1, qty: 2 }, { pid: 2, qty: 1 }], coupons: [] } }
+    };
+  }
+
+  function data() {
+    return Object.assign(mt.Checkout.initialData(), {
+      method: "retiro",
+      contact: { name: "Ana", last: "Pérez", email: "ana@correo.cl", phone: "+56 9 1234 5678" }
+    });
+  }
+
+  it("si falla un guardado, la memoria conserva el stock y los pedidos", async () => {
+    await load();
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (key, value) => key === "mt.products" ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, key, value);
+    await mt.App.checkout(data());
+    assert.deepEqual(plain(mt.App.getProducts().map(p => p.stock)), [5, 3]);
+  });
+
+  it("si el pedido no se guarda, el carrito y sus reservas vuelven a como estaban", async () => {
+    await load();
+    await mt.Stock.renew(mt.App.getCart(), mt.App.getProducts());
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (key, value) => key === "mt.orders" ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, key, value);
+    await mt.App.checkout(data());
+    assert.deepEqual(plain(mt.App.getOrders()), []);
+    assert.deepEqual(plain(mt.App.getProducts().map(p => p.stock)), [5, 3]);
+    assert.deepEqual(plain(JSON.parse(mt.window.localStorage.getItem("mt.products")).map(p => p.stock)), [5, 3]);
+    assert.deepEqual(plain(mt.App.getCart().map(it => [it.pid, it.qty])), [[1, 2], [2, 1]]);
+    assert.deepEqual(plain(mt.App.getReservations().map(r => [r.pid, r.qty])), [[1, 2], [2, 1]]);
+  });
+
+  it("si el pedido no se crea, la cuenta conserva su celular y direcciones", async () => {
+    await load(signedIn());
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (key, value) => key === "mt.orders" ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, key, value);
+    await mt.App.checkout(data());
+    const ana = JSON.parse(mt.window.localStorage.getItem("mt.users"))[0];
+    assert.equal(ana.phone, "+56 9 0000 0000");
+    assert.equal(ana.shipping, undefined);
+    assert.equal(mt.App.getUsers()[0].phone, "+56 9 0000 0000");
+  });
+
+  it("con el pedido creado, recuerda el celular para el próximo checkout", async () => {
+    await load(signedIn());
+    await mt.App.checkout(data());
+    assert.equal(mt.App.getOrders().length, 1);
+    assert.equal(JSON.parse(mt.window.localStorage.getItem("mt.users"))[0].phone, "+56 9 1234 5678");
+  });
+
+  it("si no se puede vaciar el carrito, no crea el pedido", async () => {
+    await load();
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (key, value) => key === "mt.carts" ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, key, value);
+    await mt.App.checkout(data());
+    assert.deepEqual(plain(mt.App.getOrders()), []);
+    assert.deepEqual(plain(mt.App.getProducts().map(p => p.stock)), [5, 3]);
+    assert.deepEqual(plain(mt.App.getCart().map(it => it.qty)), [2, 1]);
+  });
+
+  it("si todo se guarda, descuenta el stock y agrega el pedido", async () => {
+    await load();
+    await mt.App.checkout(data());
+    assert.deepEqual(plain(mt.App.getProducts().map(p => p.stock)), [3, 2]);
+    assert.equal(mt.App.getOrders().length, 1);
+    assert.deepEqual(plain(mt.App.getCart()), []);
+  });
+
+  it("si otra compra se llevó las unidades al crear el pedido, no lo crea ni vacía el carrito", async () => {
+    await load();
+    // Otra pestaña compró después de que este checkout leyó el stock
+    const reload = mt.Store.reload;
+    mt.Store.reload = async () => { mt.Store.reload = reload; };
+    mt.window.localStorage.setItem("mt.products", JSON.stringify([Object.assign({}, products[0], { stock: 1 }), products[1]]));
+    await mt.App.checkout(data());
+    assert.deepEqual(plain(mt.App.getOrders()), []);
+    assert.equal(mt.window.localStorage.getItem("mt.orders"), null);
+    assert.deepEqual(plain(mt.App.getProducts().map(p => p.stock)), [1, 3]);
+    assert.deepEqual(plain(mt.App.getCart().map(it => it.qty)), [2, 1]);
+  });
+});
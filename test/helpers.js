@@ -0,0 +1,80 @@
+// Carga assets/js/app.js en un DOM simulado (jsdom) y devuelve sus módulos internos una vez que
+// App.init() pintó la página.
+const fs = require("fs");
+const path = require("path");
+const { webcrypto } = require("crypto");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "..");
+const JQUERY_JS = fs.readFileSync(require.resolve("jquery/dist/jquery.js"), "utf8");
+
+// La tienda no expone nada en window: los tests cargan una copia de app.js en la que el arranque
+// también deja los módulos en window.MT_TEST, con ready (la promesa de App.init()).
+const START = "\n$(document).ready(() => App.init());\n";
+const MODULES = [
+  "CONFIG", "LS_KEYS", "App", "Html", "Books", "Search", "Shipping", "Tax", "Promotions", "Checkout", "Wishlist", "Reviews",
+  "Stock", "Orders", "Csv", "Transfer", "Store", "Outbox", "RestBackend", "Passwords", "Auth", "AdminProducts", "AdminOrders", "AdminUsers"
+];
+const APP_SOURCE = fs.readFileSync(path.join(ROOT, "assets/js/app.js"), "utf8");
+if (!APP_SOURCE.includes(START)) throw new Error(`test/helpers.js: app.js ya no arranca con ${START.trim()}`);
+const APP_JS = APP_SOURCE.replace(START, () =>
+  `\nwindow.MT_TEST = { ready: new Promise(resolve => $(document).ready(() => resolve(App.init()))), ${MODULES.join(", ")} };\n`);
+
+// body → HTML de la página (con el <body id="page-..."> que decide qué se pinta)
+// url → dirección de la página (para ?id=..., ?q=...)
+// storage → localStorage inicial, { clave: valor }; los objetos se guardan como JSON
+// config → window.MT_CONFIG extra
+// setup → recibe la ventana antes de cargar app.js (por ejemplo, para simular fetch)
+async function loadApp({ body = "<body></body>", url = "http://localhost/index.html", storage = {}, config = {}, setup } = {}) {
+  const dom = new JSDOM(`<!DOCTYPE html><html lang="es"><head></head>${body}</html>`, {
+    url, runScripts: "outside-only", pretendToBeVisual: true
+  });
+  const w = dom.window;
+  if (!w.crypto || !w.crypto.subtle) Object.defineProperty(w, "crypto", { value: webcrypto, configurable: true });
+  if (!w.TextEncoder) w.TextEncoder = TextEncoder;
+  w.alert = () => {};
+  w.confirm = () => true;
+  w.scrollTo = () => {};
+  w.HTMLElement.prototype.scrollIntoView = () => {};
+  if (setup) setup(w);
+  w.MT_CONFIG = Object.assign({ SERVICE_WORKER: false }, config);
+  Object.keys(storage).forEach(k => {
+    const v = storage[k];
+    w.localStorage.setItem(k, typeof v === "string" ? v : JSON.stringify(v));
+  });
+
+  w.eval(JQUERY_JS);
+  w.eval(APP_JS);
+  const mt = w.MT_TEST;
+  await mt.ready;
+  return Object.assign({ window: w, $: w.jQuery }, mt);
+}
+
+// <body> de una página del sitio (sin los <script>: loadApp carga jQuery y app.js).
+function pageBody(file) {
+  const html = fs.readFileSync(path.join(ROOT, file), "utf8");
+  return html.match(/<body[\s\S]*<\/body>/)[0].replace(/<script[\s\S]*?<\/script>/g, "");
+}
+
+// Espera a que terminen los guardados y renders pendientes (promesas y timers cortos).
+function settle(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Espera hasta que check() devuelva algo verdadero (por ejemplo, tras un submit asíncrono).
+async function waitFor(check, timeout = 5000) {
+  const until = Date.now() + timeout;
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() > until) throw new Error("waitFor: se agotó el tiempo de espera");
+    await settle();
+  }
+}
+
+// Copia un valor creado dentro de jsdom (otro "realm") para compararlo con assert.deepEqual.
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, pageBody, settle, waitFor, plain };
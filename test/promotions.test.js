@@ -0,0 +1,26 @@
+// Promotions.usesBy: los pedidos anulados no gastan los usos de un cupón.
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers");
+
+const order = (id, status, code) => ({
+  id, status, items: [], discounts: [{ code, label: code, amount: 1000 }],
+  customer: { email: "ana@correo.cl", name: "Ana", guest: false }
+});
+
+describe("Promotions.usesBy", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  it("cuenta los pedidos vigentes con el código", async () => {
+    mt = await loadApp();
+    const orders = [order(1, "pendiente", "BIENVENIDA10"), order(2, "entregado", "BIENVENIDA10"), order(3, "pagado", "OTRO")];
+    assert.equal(mt.Promotions.usesBy("BIENVENIDA10", "Ana@correo.cl", orders), 2);
+  });
+
+  it("no cuenta los pedidos cancelados ni reembolsados", async () => {
+    mt = await loadApp();
+    const orders = [order(1, "cancelado", "BIENVENIDA10"), order(2, "reembolsado", "BIENVENIDA10")];
+    assert.equal(mt.Promotions.usesBy("BIENVENIDA10", "ana@correo.cl", orders), 0);
+  });
+});
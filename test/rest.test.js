@@ -0,0 +1,269 @@
+// RestBackend: la copia que entrega sw.js sin red no pasa por lo último confirmado por la API,
+// los pedidos nuevos se crean con POST (el id lo asigna la API; sin red esperan con un id temporal)
+// y la sesión la confirma la API.
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, settle, plain } = require("./helpers");
+
+const KEY = "mt.carts";
+
+// API simulada: db guarda los recursos; con offline las lecturas salen de la copia del service
+// worker (stale, con X-MT-Cache) y las escrituras fallan como fetch sin red (TypeError de la
+// ventana: es el que reconoce Outbox.isNetworkError). Con flaky solo las lecturas salen de la copia.
+// POST agrega a la colección con el id siguiente, como server/mock-server.js.
+function fakeApi(db) {
+  const api = { db, offline: false, flaky: false, stale: {}, puts: [], posts: [], window: null };
+  api.fetch = async (url, opts = {}) => {
+    const name = url.split("/").pop();
+    const json = (status, body, headers) => new Response(body === undefined ? null : JSON.stringify(body), { status, headers });
+    if (api.offline || (api.flaky && opts.method === "GET")) {
+      if (opts.method === "GET") return json(200, name in api.stale ? api.stale[name] : null, { "X-MT-Cache": "offline" });
+      throw new api.window.TypeError("Failed to fetch");
+    }
+    if (opts.method === "PUT") {
+      api.db[name] = JSON.parse(opts.body);
+      api.puts.push(name);
+      return json(200, api.db[name]);
+    }
+    if (opts.method === "POST") {
+      const list = api.db[name] || [];
+      const item = Object.assign(JSON.parse(opts.body), { id: list.reduce((max, x) => Math.max(max, x.id), 0) + 1 });
+      api.db[name] = list.concat(item);
+      api.posts.push(name);
+      return json(201, item);
+    }
+    return name in api.db ? json(200, api.db[name]) : json(404, { error: "No existe" });
+  };
+  return api;
+}
+
+describe("RestBackend con el service worker", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function load(api) {
+    mt = await loadApp({
+      config: { BACKEND: "rest", API_URL: "/api" },
+      setup: w => { api.window = w; w.fetch = api.fetch; }
+    });
+  }
+
+  it("una respuesta de la API pasa a ser la base (synced)", async () => {
+    const api = fakeApi({ carts: { "ana@correo.cl": { items: [{ pid: 1, qty: 1 }] } } });
+    await load(api);
+    assert.deepEqual(plain(mt.RestBackend.synced[KEY]), api.db.carts);
+  });
+
+  it("sin red, una copia más vieja de sw.js no reemplaza lo ya confirmado ni cambia synced", async () => {
+    const api = fakeApi({ carts: { "ana@correo.cl": { items: [{ pid: 1, qty: 1 }] } } });
+    await load(api);
+    const base = plain(mt.RestBackend.synced[KEY]);
+
+    api.offline = true;
+    api.stale.carts = {};
+    assert.deepEqual(plain(await mt.RestBackend.load(KEY)), base);
+    assert.deepEqual(plain(mt.RestBackend.synced[KEY]), base);
+  });
+
+  it("abierta sin red, muestra la copia de sw.js sin tomarla como confirmada", async () => {
+    const api = fakeApi({});
+    api.offline = true;
+    api.stale.carts = { "ana@correo.cl": { items: [{ pid: 1, qty: 1 }] } };
+    await load(api);
+    assert.deepEqual(plain(mt.Store.get(KEY)), api.stale.carts);
+    assert.ok(!(KEY in mt.RestBackend.synced));
+  });
+
+  it("un cambio sin red se fusiona sobre lo último confirmado, no sobre la copia vieja", async () => {
+    const api = fakeApi({ carts: { "ana@correo.cl": { items: [{ pid: 1, qty: 1 }] } } });
+    await load(api);
+
+    // Sin red: la tienda relee la copia vieja (vacía) y guarda el carrito de otra cuenta
+    api.puts = [];
+    api.offline = true;
+    api.stale.carts = {};
+    await mt.Store.reload([KEY]);
+    await mt.Store.set(KEY, Object.assign({}, mt.Store.get(KEY), { "beto@correo.cl": { items: [{ pid: 2, qty: 1 }] } }));
+    assert.ok(mt.Outbox.has(KEY));
+
+    // Si la lectura para fusionar sale de la copia, sigue pendiente (no se hace el PUT)
+    await settle();
+    api.offline = false;
+    api.flaky = true;
+    assert.equal(await mt.Outbox.flush(), false);
+    assert.ok(mt.Outbox.has(KEY));
+    assert.equal(api.puts.length, 0);
+
+    // Con red: el carrito de ana que ya tenía la API se conserva
+    api.flaky = false;
+    assert.equal(await mt.Outbox.flush(), true);
+    assert.ok(!mt.Outbox.has(KEY));
+    assert.deepEqual(Object.keys(api.db.carts).sort(), ["ana@correo.cl", "beto@correo.cl"]);
+  });
+
+  it("abierta sin red, un cambio sobre la copia no borra lo que otros guardaron después", async () => {
+    const api = fakeApi({});
+    api.offline = true;
+    api.stale.carts = { "ana@correo.cl": { items: [{ pid: 1, qty: 1 }] } };
+    await load(api);
+    assert.equal(mt.RestBackend.synced[KEY], undefined);
+
+    await mt.Store.set(KEY, Object.assign({}, mt.Store.get(KEY), { "beto@correo.cl": { items: [{ pid: 2, qty: 1 }] } }));
+    assert.ok(mt.Outbox.has(KEY));
+
+    // Entretanto otra cuenta guardó su carrito en la API (y termina el envío fallido de set)
+    await settle();
+    api.db.carts = Object.assign({}, api.stale.carts, { "caro@correo.cl": { items: [{ pid: 3, qty: 1 }] } });
+    api.offline = false;
+    assert.equal(await mt.Outbox.flush(), true);
+    assert.deepEqual(Object.keys(api.db.carts).sort(), ["ana@correo.cl", "beto@correo.cl", "caro@correo.cl"]);
+    assert.deepEqual(plain(mt.RestBackend.synced[KEY]), api.db.carts);
+  });
+});
+
+// La API rechaza cada POST como lo hace con un pedido sin stock suficiente.
+function rejectPosts(api) {
+  const resources = api.fetch;
+  api.fetch = (url, opts = {}) => opts.method === "POST"
+    ? Promise.resolve(new Response(JSON.stringify({ error: "No hay stock suficiente para algunos títulos.", issues: [] }), { status: 409 }))
+    : resources(url, opts);
+  api.window.fetch = api.fetch;
+}
+
+describe("RestBackend: pedidos nuevos", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function load(api) {
+    mt = await loadApp({
+      config: { BACKEND: "rest", API_URL: "/api" },
+      setup: w => { api.window = w; w.fetch = api.fetch; }
+    });
+  }
+
+  it("el id lo asigna la API y no se reemplaza la lista completa", async () => {
+    const api = fakeApi({ orders: [{ id: 1, status: "pagado" }] });
+    await load(api);
+    api.puts = [];
+
+    // Otra pestaña ya creó el pedido 2 en la API: este navegador no lo conoce
+    api.db.orders = api.db.orders.concat({ id: 2, status: "pendiente" });
+    const order = await mt.Store.append("mt.orders", { status: "pendiente" });
+    assert.equal(order.id, 3);
+    assert.deepEqual(api.posts, ["orders"]);
+    assert.deepEqual(api.puts, []);
+    assert.deepEqual(api.db.orders.map(o => o.id), [1, 2, 3]);
+    assert.deepEqual(plain(mt.App.getOrders().map(o => o.id)), [1, 3]);
+  });
+
+  it("sin red el pedido queda pendiente con un id temporal y al volver la red recibe el de la API", async () => {
+    const api = fakeApi({ orders: [{ id: 1, status: "pagado" }] });
+    await load(api);
+    api.offline = true;
+    const order = await mt.Store.append("mt.orders", { status: "pendiente" });
+    assert.match(String(order.id), /^tmp-/);
+    assert.deepEqual(plain(mt.App.getOrders().map(o => o.id)), [1, order.id]);
+    assert.equal(mt.Outbox.appends().length, 1);
+    assert.deepEqual(api.posts, []);
+    mt.window.sessionStorage.setItem("mt.lastOrder", order.id);
+
+    // Otros cambios de la colección no envían el pedido temporal con PUT
+    await mt.Store.set("mt.orders", mt.App.getOrders().map(o => Object.assign({}, o, { seen: true })));
+    assert.ok(mt.Outbox.get("mt.orders").every(o => !mt.Outbox.isTemporary(o.id)));
+
+    // Abierta de nuevo sin red, la tienda sigue mostrando el pedido pendiente
+    assert.deepEqual(plain((await mt.RestBackend.load("mt.orders")).map(o => o.id)), [1, order.id]);
+
+    api.offline = false;
+    assert.equal(await mt.Outbox.flush(), true);
+    assert.deepEqual(api.posts, ["orders"]);
+    assert.deepEqual(api.db.orders.map(o => o.id), [1, 2]);
+    assert.equal(api.db.orders[1].status, "pendiente");
+    assert.deepEqual(plain(mt.App.getOrders().map(o => o.id)), [1, 2]);
+    assert.equal(mt.window.sessionStorage.getItem("mt.lastOrder"), "2");
+    assert.deepEqual(plain(mt.Outbox.appends()), []);
+  });
+
+  it("si la API rechaza el pedido hecho sin red, lo avisa y lo descarta", async () => {
+    const api = fakeApi({ orders: [] });
+    await load(api);
+    api.offline = true;
+    const order = await mt.Store.append("mt.orders", { status: "pendiente" });
+    api.offline = false;
+    rejectPosts(api);
+    assert.equal(await mt.Outbox.flush(), true);
+    assert.ok(!mt.App.getOrders().some(o => o.id === order.id));
+    assert.deepEqual(plain(mt.Outbox.appends()), []);
+    assert.match(mt.$("body").text(), /No se pudo crear el pedido hecho sin conexión: No hay stock suficiente/);
+  });
+
+  it("los títulos de un pedido rechazado vuelven al carrito que se vació sin red", async () => {
+    const api = fakeApi({ orders: [], carts: {} });
+    await load(api);
+    await mt.App.saveCart([{ pid: 1, qty: 2 }]);
+    const guest = mt.App.cartOwner();
+
+    // Checkout sin red: vacía el carrito y deja el pedido pendiente
+    api.offline = true;
+    await mt.App.saveCart([]);
+    await mt.Store.append("mt.orders", { status: "pendiente", items: [{ pid: 1, qty: 2 }], customer: { email: "ana@correo.cl", guest: true } });
+    await settle();
+    api.offline = false;
+    rejectPosts(api);
+    assert.equal(await mt.Outbox.flush(), true);
+    assert.deepEqual(plain(api.db.carts[guest].items), [{ pid: 1, qty: 2 }]);
+    assert.deepEqual(plain(mt.App.getCart()), [{ pid: 1, qty: 2 }]);
+    assert.equal(mt.Outbox.has("mt.carts"), false);
+    assert.match(mt.$("body").text(), /sus títulos volvieron a tu carrito/);
+  });
+});
+
+describe("RestBackend: sesión confirmada por la API", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  const EMAIL = "ana@correo.cl";
+  const NOW = Date.now();
+
+  // La API solo reconoce el token "bueno"; guarda la cabecera Authorization de cada request.
+  function sessionApi() {
+    const api = fakeApi({ users: [{ email: EMAIL, name: "Ana", role: "user", addresses: [] }] });
+    const resources = api.fetch;
+    api.auth = [];
+    api.fetch = async (url, opts = {}) => {
+      const auth = (opts.headers || {}).Authorization;
+      api.auth.push(auth);
+      if (!url.endsWith("/session")) return resources(url, opts);
+      return auth === "Bearer bueno"
+        ? new Response(JSON.stringify({ email: EMAIL, expires: NOW + 3600000 }), { status: 200 })
+        : new Response(JSON.stringify({ error: "No hay sesión." }), { status: 401 });
+    };
+    return api;
+  }
+
+  async function load(api, storage) {
+    mt = await loadApp({
+      config: { BACKEND: "rest", API_URL: "/api" }, storage,
+      setup: w => { api.window = w; w.fetch = api.fetch; }
+    });
+  }
+
+  it("un token que la API no reconoce no abre sesión, aunque mt.sessions lo traiga", async () => {
+    const api = sessionApi();
+    await load(api, {
+      "mt.session": { token: "inventado" },
+      "mt.sessions": [{ token: "inventado", email: EMAIL, createdAt: new Date(NOW).toISOString(), expires: NOW + 3600000 }]
+    });
+    assert.equal(mt.App.getSession(), null);
+    assert.equal(mt.window.localStorage.getItem("mt.session"), null);
+    assert.ok(!("mt.sessions" in mt.Store.cache));
+  });
+
+  it("con un token válido la sesión es la que confirma la API, y cada request lo lleva", async () => {
+    const api = sessionApi();
+    await load(api, { "mt.session": { token: "bueno" } });
+    assert.equal(mt.App.getSession().email, EMAIL);
+    assert.ok(api.auth.length > 1);
+    api.auth.forEach(auth => assert.equal(auth, "Bearer bueno"));
+  });
+});
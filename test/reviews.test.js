@@ -0,0 +1,41 @@
+// Reviews.hasBought: solo cuentan las compras vigentes de la cuenta.
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers");
+
+const session = { email: "ana@correo.cl" };
+const order = (id, status, pid, guest) => ({
+  id, status, items: [{ pid, qty: 1, price: 1000 }], createdAt: `2026-01-0${id}T12:00:00.000Z`,
+  customer: { email: "ana@correo.cl", name: "Ana", guest: !!guest }
+});
+
+describe("Reviews.hasBought", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function load(orders) {
+    mt = await loadApp({ storage: { "mt.orders": orders } });
+  }
+
+  it("cuenta los pedidos pendientes, pagados y entregados", async () => {
+    await load([order(1, "pendiente", 1), order(2, "pagado", 2), order(3, "entregado", 3)]);
+    [1, 2, 3].forEach(pid => assert.equal(mt.Reviews.hasBought(pid, session), true, `pid ${pid}`));
+  });
+
+  it("no cuenta los pedidos cancelados ni reembolsados", async () => {
+    await load([order(1, "cancelado", 1), order(2, "reembolsado", 2)]);
+    assert.equal(mt.Reviews.hasBought(1, session), false);
+    assert.equal(mt.Reviews.hasBought(2, session), false);
+  });
+
+  it("basta un pedido vigente aunque haya otro anulado del mismo título", async () => {
+    await load([order(1, "cancelado", 1), order(2, "enviado", 1)]);
+    assert.equal(mt.Reviews.hasBought(1, session), true);
+  });
+
+  it("no cuenta compras como invitado ni sin sesión", async () => {
+    await load([order(1, "pagado", 1, true)]);
+    assert.equal(mt.Reviews.hasBought(1, session), false);
+    assert.equal(mt.Reviews.hasBought(1, null), false);
+  });
+});
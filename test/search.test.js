@@ -0,0 +1,37 @@
+// Search.highlight: marca las palabras buscadas sin romper el escape del HTML.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers");
+
+describe("Search.highlight", () => {
+  let mt;
+  let terms;
+  before(async () => {
+    mt = await loadApp();
+    terms = words => new mt.window.Set(words);
+  });
+  after(() => mt.window.close());
+
+  it("sin términos solo escapa", () => {
+    assert.equal(mt.Search.highlight(`<b>"Tom & Jerry"</b>`), "&lt;b&gt;&quot;Tom &amp; Jerry&quot;&lt;/b&gt;");
+    assert.equal(mt.Search.highlight(null, terms(["a"])), "");
+  });
+
+  it("marca las palabras cuya forma normalizada está en los términos", () => {
+    assert.equal(mt.Search.highlight("Cien años de soledad", terms(["anos"])), "Cien <mark>años</mark> de soledad");
+  });
+
+  it("no marca dentro de las entidades del escape", () => {
+    for (const entity of ["amp", "lt", "gt", "quot", "39"]) {
+      const out = mt.Search.highlight(`Tom & Jerry <"uno"> 'dos'`, terms([entity]));
+      assert.ok(!out.includes("<mark>"), `${entity}: ${out}`);
+      assert.equal(out, "Tom &amp; Jerry &lt;&quot;uno&quot;&gt; &#39;dos&#39;");
+    }
+  });
+
+  it("marca la palabra aunque esté pegada a caracteres escapados", () => {
+    assert.equal(mt.Search.highlight("amp&amp", terms(["amp"])), "<mark>amp</mark>&amp;<mark>amp</mark>");
+    assert.equal(mt.Search.highlight(`<img src=x onerror=alert(1)>`, terms(["img", "onerror"])),
+      "&lt;<mark>img</mark> src=x <mark>onerror</mark>=alert(1)&gt;");
+  });
+});
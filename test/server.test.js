@@ -0,0 +1,314 @@
+// server/mock-server.js: las cuentas y sesiones solo cambian con login, y /api/users no entrega
+// claves ni deja que un cliente se dé rol admin. POST /api/orders rehace los montos y descuenta el
+// stock, o rechaza el pedido.
+// El resto de la API: el catálogo lo cambia solo un admin y cada cliente ve y guarda solo lo suyo.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), "mt-server-"));
+process.env.DB = path.join(DIR, "db.json");
+process.env.ADMIN_EMAIL = "admin@correo.cl";
+process.env.ADMIN_PASSWORD = "admin-1234";
+const log = console.log;
+console.log = () => {};
+const server = require("../server/mock-server");
+console.log = log;
+
+let base;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(DIR, { recursive: true, force: true });
+});
+
+// Request a la API: { status, body } (body ya parseado). guest → cabecera X-MT-Guest.
+async function call(method, route, body, token, guest) {
+  const headers = { Accept: "application/json" };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = "Bearer " + token;
+  if (guest) headers["X-MT-Guest"] = guest;
+  const res = await fetch(base + "/api/" + route, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const text = await res.text();
+  return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+async function login(email, password) {
+  const res = await call("POST", "login", { email, password });
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body.token;
+}
+
+describe("mock-server: cuentas y sesiones", () => {
+  let admin, ana;
+
+  before(async () => {
+    const created = await call("POST", "signup", { email: "ana@correo.cl", name: "Ana", password: "clave-segura" });
+    assert.equal(created.status, 201);
+    admin = await login("admin@correo.cl", "admin-1234");
+    ana = await login("ana@correo.cl", "clave-segura");
+  });
+
+  it("/api/sessions no se puede leer ni escribir", async () => {
+    assert.equal((await call("GET", "sessions")).status, 403);
+    assert.equal((await call("GET", "sessions", undefined, admin)).status, 403);
+    assert.equal((await call("PUT", "sessions", [{ token: "x", email: "ana@correo.cl", expires: Date.now() + 1e9 }])).status, 403);
+  });
+
+  it("/api/users no entrega claves y cada quien ve lo que le corresponde", async () => {
+    assert.deepEqual((await call("GET", "users")).body, []);
+    const mine = (await call("GET", "users", undefined, ana)).body;
+    assert.deepEqual(mine.map(u => u.email), ["ana@correo.cl"]);
+    const all = (await call("GET", "users", undefined, admin)).body;
+    assert.deepEqual(all.map(u => u.email).sort(), ["admin@correo.cl", "ana@correo.cl"]);
+    all.concat(mine).forEach(u => assert.ok(!("password" in u) && !("pass" in u) && !("reset" in u)));
+  });
+
+  it("un cliente no puede darse rol admin ni cambiar su clave por /api/users", async () => {
+    assert.equal((await call("PUT", "users", [{ email: "ana@correo.cl", name: "Ana", role: "admin" }])).status, 401);
+
+    const res = await call("PUT", "users", [
+      { email: "ana@correo.cl", name: "Ana María", role: "admin", pass: "otra-clave" },
+      { email: "admin@correo.cl", role: "user" }
+    ], ana);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map(u => [u.name, u.role]), [["Ana María", "user"]]);
+    assert.equal((await call("POST", "login", { email: "ana@correo.cl", password: "otra-clave" })).status, 401);
+    const all = (await call("GET", "users", undefined, admin)).body;
+    assert.equal(all.find(u => u.email === "admin@correo.cl").role, "admin");
+  });
+
+  it("un admin cambia roles, pero no crea cuentas ni deja la tienda sin admin", async () => {
+    const all = (await call("GET", "users", undefined, admin)).body;
+    const promote = all.map(u => Object.assign({}, u, { role: "admin" }));
+    assert.equal((await call("PUT", "users", promote, admin)).status, 200);
+    assert.equal((await call("GET", "session", undefined, ana)).body.user.role, "admin");
+
+    const demote = all.map(u => Object.assign({}, u, { role: "user" }));
+    assert.equal((await call("PUT", "users", demote, admin)).status, 400);
+    const extra = all.concat({ email: "nuevo@correo.cl", role: "admin" });
+    assert.equal((await call("PUT", "users", extra, admin)).status, 400);
+    assert.equal((await call("PUT", "users", all, admin)).status, 200);
+  });
+
+  it("la sesión se verifica con el token, y logout la cierra", async () => {
+    assert.equal((await call("GET", "session")).status, 401);
+    assert.equal((await call("GET", "session", undefined, "inventado")).status, 401);
+    const token = await login("ana@correo.cl", "clave-segura");
+    const res = await call("GET", "session", undefined, token);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.email, "ana@correo.cl");
+    assert.equal((await call("DELETE", "session", undefined, token)).status, 204);
+    assert.equal((await call("GET", "session", undefined, token)).status, 401);
+  });
+
+  it("cambiar la clave cierra las demás sesiones de la cuenta", async () => {
+    const other = await login("ana@correo.cl", "clave-segura");
+    assert.equal((await call("POST", "password", { current: "mala-clave", password: "clave-nueva" }, ana)).status, 400);
+    assert.equal((await call("POST", "password", { current: "clave-segura", password: "clave-nueva" }, ana)).status, 204);
+    assert.equal((await call("GET", "session", undefined, ana)).status, 200);
+    assert.equal((await call("GET", "session", undefined, other)).status, 401);
+    await login("ana@correo.cl", "clave-nueva");
+  });
+});
+
+describe("mock-server: pedidos nuevos", () => {
+  const order = (...items) => ({ items: items.map(([pid, qty]) => ({ pid, qty, price: 1000 })), customer: { email: "x@correo.cl", guest: true } });
+  let admin;
+
+  before(async () => {
+    admin = await login("admin@correo.cl", "admin-1234");
+    const products = [{ id: 1, name: "Uno", price: 1000, stock: 3 }, { id: 2, name: "Dos", price: 1000, stock: 1 }];
+    assert.equal((await call("PUT", "products", products, admin)).status, 200);
+    assert.equal((await call("PUT", "stockMovements", [], admin)).status, 200);
+  });
+
+  it("descuenta el stock, lo anota en el libro y asigna el id", async () => {
+    const res = await call("POST", "orders", Object.assign(order([1, 2]), { id: 99 }), undefined, "guest-a");
+    assert.equal(res.status, 201);
+    const stock = (await call("GET", "products")).body.map(p => p.stock);
+    assert.deepEqual(stock, [1, 1]);
+    const moves = (await call("GET", "stockMovements", undefined, admin)).body;
+    assert.deepEqual(moves.map(m => [m.pid, m.type, m.qty, m.stock, m.ref]), [[1, "venta", -2, 1, res.body.id]]);
+    assert.notEqual(res.body.id, 99);
+  });
+
+  it("rechaza el pedido que no alcanza, sin cambiar nada", async () => {
+    const orders = (await call("GET", "orders", undefined, admin)).body.length;
+    const res = await call("POST", "orders", order([1, 1], [2, 2]), undefined, "guest-a");
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.issues.map(i => [i.pid, i.wanted, i.available]), [[2, 2, 1]]);
+    assert.deepEqual((await call("GET", "products")).body.map(p => p.stock), [1, 1]);
+    assert.equal((await call("GET", "orders", undefined, admin)).body.length, orders);
+  });
+
+  it("las unidades apartadas por otro carrito no se venden; las propias sí", async () => {
+    const reservations = [{ pid: 2, owner: "guest-b", qty: 1, expires: Date.now() + 600000 }];
+    assert.equal((await call("PUT", "reservations", reservations, undefined, "guest-b")).status, 200);
+    assert.equal((await call("POST", "orders", order([2, 1]), undefined, "guest-a")).status, 409);
+    assert.equal((await call("POST", "orders", order([2, 1]), undefined, "guest-b")).status, 201);
+  });
+
+  it("dos compras a la vez del último ejemplar: solo una se crea", async () => {
+    const [a, b] = await Promise.all([
+      call("POST", "orders", order([1, 1]), undefined, "guest-a"),
+      call("POST", "orders", order([1, 1]), undefined, "guest-c")
+    ]);
+    assert.deepEqual([a.status, b.status].sort(), [201, 409]);
+    assert.equal((await call("GET", "products")).body[0].stock, 0);
+  });
+});
+
+describe("mock-server: permisos por recurso", () => {
+  const order = (pid, email) => ({ items: [{ pid, qty: 1, price: 1000 }], customer: { email, guest: false } });
+  let admin, bea, caro;
+
+  before(async () => {
+    for (const email of ["bea@correo.cl", "caro@correo.cl"]) {
+      assert.equal((await call("POST", "signup", { email, name: "Cliente", password: "clave-segura" })).status, 201);
+    }
+    admin = await login("admin@correo.cl", "admin-1234");
+    bea = await login("bea@correo.cl", "clave-segura");
+    caro = await login("caro@correo.cl", "clave-segura");
+    const products = [{ id: 1, name: "Uno", price: 1000, stock: 10 }, { id: 2, name: "Dos", price: 1000, stock: 10 }];
+    assert.equal((await call("PUT", "products", products, admin)).status, 200);
+    assert.equal((await call("PUT", "orders", [], admin)).status, 200);
+  });
+
+  it("el catálogo lo leen todos, pero solo lo cambia un admin", async () => {
+    const products = (await call("GET", "products")).body;
+    const cheap = products.map(p => Object.assign({}, p, { price: 1 }));
+    assert.equal((await call("PUT", "products", cheap)).status, 401);
+    assert.equal((await call("PUT", "products", cheap, bea)).status, 403);
+    assert.equal((await call("DELETE", "products/1", undefined, bea)).status, 403);
+    assert.equal((await call("POST", "coupons", { code: "GRATIS", type: "porcentaje", value: 100 }, bea)).status, 403);
+    assert.deepEqual((await call("GET", "products", undefined, bea)).body, products);
+    assert.equal((await call("PUT", "products", products, admin)).status, 200);
+  });
+
+  it("lo que no es de clientes (libro de inventario) solo lo ve un admin", async () => {
+    assert.equal((await call("GET", "stockMovements")).status, 404);
+    assert.equal((await call("GET", "stockMovements", undefined, bea)).status, 404);
+    assert.equal((await call("PUT", "stockMovements", [], bea)).status, 403);
+    assert.equal((await call("GET", "stockMovements", undefined, admin)).status, 200);
+  });
+
+  it("cada quien ve solo sus pedidos, y el pedido queda a nombre de la sesión", async () => {
+    const mine = (await call("POST", "orders", order(1, "caro@correo.cl"), bea)).body;
+    const other = (await call("POST", "orders", order(1, "caro@correo.cl"), caro)).body;
+    const guest = (await call("POST", "orders", Object.assign(order(2, "bea@correo.cl"), { status: "entregado" }), undefined, "guest-z")).body;
+    assert.equal(mine.customer.email, "bea@correo.cl");
+    assert.deepEqual([guest.customer.guest, guest.status], [true, "pendiente"]);
+
+    assert.deepEqual((await call("GET", "orders", undefined, bea)).body.map(o => o.id), [mine.id]);
+    assert.deepEqual((await call("GET", "orders", undefined, undefined, "guest-z")).body.map(o => o.id), [guest.id]);
+    assert.deepEqual((await call("GET", "orders")).body, []);
+    assert.equal((await call("GET", "orders/" + other.id, undefined, bea)).status, 404);
+    assert.equal((await call("GET", "orders/" + mine.id, undefined, bea)).status, 200);
+    assert.equal((await call("PUT", "orders", [], bea)).status, 403);
+    assert.equal((await call("GET", "orders", undefined, admin)).body.length, 3);
+  });
+
+  it("cada sesión (o invitado) lee y guarda solo su carrito", async () => {
+    const cart = qty => ({ items: [{ pid: 1, qty }], coupons: [] });
+    assert.equal((await call("PUT", "carts", { "caro@correo.cl": cart(1) }, caro)).status, 200);
+    assert.equal((await call("PUT", "carts", { "guest-z": cart(3) }, undefined, "guest-z")).status, 200);
+
+    const res = await call("PUT", "carts", { "bea@correo.cl": cart(2), "caro@correo.cl": cart(9) }, bea);
+    assert.deepEqual(res.body, { "bea@correo.cl": cart(2) });
+    assert.deepEqual((await call("GET", "carts", undefined, caro)).body, { "caro@correo.cl": cart(1) });
+    assert.deepEqual((await call("GET", "carts", undefined, undefined, "guest-z")).body, { "guest-z": cart(3) });
+    assert.deepEqual(Object.keys((await call("GET", "carts", undefined, admin)).body).sort(), ["bea@correo.cl", "caro@correo.cl", "guest-z"]);
+  });
+
+  it("las reservas ajenas se ven sin su dueño y no se pueden cambiar; las vencidas quedan en el libro", async () => {
+    const later = Date.now() + 600000;
+    const past = Date.now() - 1000;
+    const theirs = [{ pid: 1, owner: "caro@correo.cl", qty: 1, expires: later }, { pid: 2, owner: "caro@correo.cl", qty: 1, expires: past }];
+    assert.equal((await call("PUT", "reservations", theirs, admin)).status, 200);
+
+    const res = await call("PUT", "reservations", [{ pid: 2, owner: "bea@correo.cl", qty: 1, expires: later }, { pid: 1, owner: "caro@correo.cl", qty: 5, expires: later }], bea);
+    assert.equal(res.status, 200);
+    const seen = res.body.map(r => [r.pid, r.owner, r.qty]);
+    assert.deepEqual(seen.slice(1), [[2, "bea@correo.cl", 1]]);
+    assert.match(seen[0][1], /^otro-/);
+    assert.equal(seen[0][2], 1);
+
+    const stored = (await call("GET", "reservations", undefined, caro)).body.filter(r => r.owner === "caro@correo.cl");
+    assert.deepEqual(stored.map(r => [r.pid, r.qty]), [[1, 1]]);
+    const moves = (await call("GET", "stockMovements", undefined, admin)).body.filter(m => m.type === "reserva_expirada");
+    assert.deepEqual(moves.map(m => [m.pid, m.qty, m.ref]), [[2, 1, `caro@correo.cl:2:${past}`]]);
+  });
+
+  it("una reserva no aparta más de lo que queda ni por más de RESERVATION_MINUTES", async () => {
+    const stock = (await call("GET", "products")).body.find(p => p.id === 1).stock;
+    const nextYear = Date.now() + 365 * 86400000;
+    const res = await call("PUT", "reservations", [{ pid: 1, owner: "guest-w", qty: 99999, expires: nextYear }], undefined, "guest-w");
+    assert.equal(res.status, 200);
+    const held = res.body.find(r => r.owner === "guest-w");
+    assert.equal(held.qty, stock - 1); // caro aparta 1
+    assert.ok(held.expires <= Date.now() + 15 * 60000);
+
+    const unknown = [{ pid: 999, owner: "guest-w", qty: 1, expires: nextYear }];
+    assert.equal((await call("PUT", "reservations", unknown, undefined, "guest-w")).status, 400);
+    assert.equal((await call("POST", "orders", order(1, "caro@correo.cl"), caro)).status, 201);
+  });
+
+  it("al cambiar el correo, el carrito y los pedidos siguen siendo de la cuenta", async () => {
+    assert.equal((await call("POST", "email", { email: "beatriz@correo.cl", password: "clave-segura" }, bea)).status, 200);
+    assert.deepEqual(Object.keys((await call("GET", "carts", undefined, bea)).body), ["beatriz@correo.cl"]);
+    const orders = (await call("GET", "orders", undefined, bea)).body;
+    assert.deepEqual(orders.map(o => o.customer.email), ["beatriz@correo.cl"]);
+    assert.deepEqual((await call("GET", "reservations", undefined, bea)).body.filter(r => r.owner === "beatriz@correo.cl").map(r => r.pid), [2]);
+  });
+});
+
+describe("mock-server: montos del pedido", () => {
+  const line = (pid, qty, price) => ({ pid, qty, price, subtotal: price * qty });
+  let admin, dani;
+
+  before(async () => {
+    assert.equal((await call("POST", "signup", { email: "dani@correo.cl", name: "Dani", password: "clave-segura" })).status, 201);
+    admin = await login("admin@correo.cl", "admin-1234");
+    dani = await login("dani@correo.cl", "clave-segura");
+    const products = [{ id: 1, name: "Uno", price: 10000, stock: 20, category: "libro" }];
+    const coupons = [{ code: "UNAVEZ", type: "porcentaje", value: 10, minSpend: 0, expires: "", perUserLimit: 1, category: "", active: true }];
+    assert.equal((await call("PUT", "products", products, admin)).status, 200);
+    assert.equal((await call("PUT", "coupons", coupons, admin)).status, 200);
+    assert.equal((await call("PUT", "reservations", [], admin)).status, 200);
+  });
+
+  it("precios y totales salen del catálogo, no de lo que manda el navegador", async () => {
+    const cheap = { items: [line(1, 2, 1)], shipping: { method: "retiro" }, totals: { subtotal: 2, total: 2 } };
+    assert.equal((await call("POST", "orders", cheap, dani)).status, 409);
+
+    const res = await call("POST", "orders", { items: [line(1, 2, 1)], shipping: { method: "retiro" } }, dani);
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.items.map(it => [it.price, it.subtotal]), [[10000, 20000]]);
+    assert.deepEqual([res.body.totals.subtotal, res.body.totals.shipping, res.body.totals.total], [20000, 0, 20000]);
+    assert.deepEqual(res.body.totals.tax, { gross: 20000, net: 16807, iva: 3193 });
+  });
+
+  it("recalcula el cupón y el envío, y respeta el máximo de usos por cliente", async () => {
+    const order = {
+      items: [line(1, 1, 10000)], discounts: [{ code: "UNAVEZ", label: "10% de descuento", amount: 9000 }],
+      shipping: { method: "estandar", details: { region: "Tarapacá" } }, totals: { total: 14990 }
+    };
+    const first = await call("POST", "orders", order, dani);
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.deepEqual(first.body.discounts.map(d => [d.code, d.amount]), [["UNAVEZ", 1000]]);
+    assert.deepEqual([first.body.totals.discount, first.body.totals.shipping], [1000, 5990]);
+
+    const again = await call("POST", "orders", order, dani);
+    assert.equal(again.status, 409);
+    assert.match(again.body.error, /UNAVEZ/);
+    assert.equal((await call("POST", "orders", order, undefined, "guest-q")).status, 409);
+  });
+});
@@ -0,0 +1,233 @@
+// Stock.renew: reservas del carrito sin guardados de más (dos pestañas con el carrito abierto).
+// Reservas vencidas: se descartan solo una vez anotadas en el libro de inventario.
+// App.addToCart / updateQty / removeFromCart: carrito y reserva se guardan juntos o ninguno.
+// Catálogo: "Solo con stock" descuenta lo reservado por otros carritos.
+// Página del carrito: pinta las reservas que quedaron guardadas y avisa si no se pudieron guardar.
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./helpers");
+
+const MINUTE = 60000;
+const products = [
+  { id: 1, name: "Uno", price: 1000, stock: 5 },
+  { id: 2, name: "Dos", price: 2000, stock: 5 }
+];
+
+describe("Stock.renew", () => {
+  let mt;
+  let saves;
+  beforeEach(async () => {
+    mt = await loadApp({ storage: { "mt.products": products, "mt.guest": "guest-a" } });
+    saves = 0;
+    const save = mt.App.saveReservations;
+    mt.App.saveReservations = function (list) { saves++; return save.call(this, list); };
+  });
+  afterEach(() => mt.window.close());
+
+  const cart = [{ pid: 1, qty: 2 }, { pid: 2, qty: 1 }];
+  const reservations = () => mt.App.getReservations().filter(r => r.owner === "guest-a");
+
+  it("reserva las líneas del carrito", async () => {
+    await mt.Stock.renew(cart, products);
+    assert.equal(saves, 1);
+    assert.deepEqual(plain(reservations().map(r => [r.pid, r.qty])), [[1, 2], [2, 1]]);
+  });
+
+  it("no vuelve a guardar si nada cambió (re-pintado por otra pestaña)", async () => {
+    await mt.Stock.renew(cart, products);
+    const before = JSON.stringify(mt.App.getReservations());
+    await mt.Stock.renew(cart, products);
+    await mt.Stock.renew(cart, products);
+    assert.equal(saves, 1);
+    assert.equal(JSON.stringify(mt.App.getReservations()), before);
+  });
+
+  it("guarda si cambió una cantidad", async () => {
+    await mt.Stock.renew(cart, products);
+    await mt.Stock.renew([{ pid: 1, qty: 3 }, { pid: 2, qty: 1 }], products);
+    assert.equal(saves, 2);
+    assert.deepEqual(plain(reservations().map(r => [r.pid, r.qty])), [[1, 3], [2, 1]]);
+  });
+
+  it("extiende el plazo cuando queda menos de la mitad", async () => {
+    const soon = Date.now() + 2 * MINUTE;
+    await mt.App.saveReservations(cart.map(it => ({ pid: it.pid, owner: "guest-a", qty: it.qty, expires: soon })));
+    saves = 0;
+    await mt.Stock.renew(cart, products);
+    assert.equal(saves, 1);
+    reservations().forEach(r => assert.ok(r.expires > Date.now() + (mt.CONFIG.RESERVATION_MINUTES - 1) * MINUTE));
+  });
+
+  it("descarta las reservas vencidas de otros carritos", async () => {
+    await mt.Stock.renew(cart, products);
+    await mt.App.saveReservations(mt.App.getReservations().concat({ pid: 1, owner: "guest-b", qty: 1, expires: Date.now() - 1 }));
+    saves = 0;
+    await mt.Stock.renew(cart, products);
+    assert.equal(saves, 1);
+    assert.ok(!mt.App.getReservations().some(r => r.owner === "guest-b"));
+  });
+});
+
+describe("Stock: reservas vencidas", () => {
+  let mt;
+  beforeEach(async () => {
+    mt = await loadApp({ storage: { "mt.products": products, "mt.guest": "guest-a", "mt.stockMovements": [] } });
+    // Vence con la tienda abierta (las vencidas al abrirla ya se anotan en App.seed)
+    await mt.App.saveReservations([{ pid: 2, owner: "guest-b", qty: 3, expires: Date.now() - MINUTE }]);
+  });
+  afterEach(() => mt.window.close());
+
+  it("al reservar, la vencida ya quedó anotada en el libro", async () => {
+    assert.equal(await mt.Stock.reserve(1, 1), true);
+    assert.deepEqual(plain(mt.App.getStockMovements().map(m => [m.pid, m.type])), [[2, "reserva_expirada"]]);
+    assert.deepEqual(plain(mt.App.getReservations().map(r => [r.pid, r.owner])), [[1, "guest-a"]]);
+  });
+
+  it("si el libro no se guarda, la vencida no se descarta", async () => {
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (k, value) => k === "mt.stockMovements" ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, k, value);
+    assert.equal(await mt.Stock.reserve(1, 1), false);
+    assert.equal(await mt.Stock.expire(), false);
+    assert.deepEqual(plain(mt.App.getReservations().map(r => [r.pid, r.owner])), [[2, "guest-b"]]);
+  });
+});
+
+describe("App.addToCart", () => {
+  let mt;
+  beforeEach(async () => {
+    mt = await loadApp({ storage: { "mt.products": products, "mt.guest": "guest-a",
+      "mt.carts": { "guest-a": { items: [{ pid: 1, qty: 1 }], coupons: [] } } } });
+    await mt.Stock.renew(mt.App.getCart(), products);
+  });
+  afterEach(() => mt.window.close());
+
+  const lines = () => plain(mt.App.getCart().map(it => [it.pid, it.qty]));
+  const reserved = () => plain(mt.App.getReservations().filter(r => r.owner === "guest-a").map(r => [r.pid, r.qty]));
+
+  function failSaves(key) {
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (k, value) => k === key ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, k, value);
+  }
+
+  it("suma la unidad al carrito y a la reserva", async () => {
+    assert.equal(await mt.App.addToCart(1), true);
+    assert.equal(await mt.App.addToCart(2), true);
+    assert.deepEqual(lines(), [[1, 2], [2, 1]]);
+    assert.deepEqual(reserved(), [[1, 2], [2, 1]]);
+  });
+
+  it("si no se guarda la reserva, el carrito vuelve a la cantidad anterior", async () => {
+    failSaves("mt.reservations");
+    assert.equal(await mt.App.addToCart(1), false);
+    assert.equal(await mt.App.addToCart(2), false);
+    assert.deepEqual(lines(), [[1, 1]]);
+    assert.deepEqual(plain(JSON.parse(mt.window.localStorage.getItem("mt.carts"))["guest-a"].items), [{ pid: 1, qty: 1 }]);
+  });
+
+  it("si no se guarda el carrito, la reserva vuelve a la cantidad anterior", async () => {
+    failSaves("mt.carts");
+    assert.equal(await mt.App.addToCart(1), false);
+    assert.equal(await mt.App.addToCart(2), false);
+    assert.deepEqual(lines(), [[1, 1]]);
+    assert.deepEqual(reserved(), [[1, 1]]);
+  });
+});
+
+describe("App.updateQty y App.removeFromCart", () => {
+  let mt;
+  beforeEach(async () => {
+    mt = await loadApp({ storage: { "mt.products": products, "mt.guest": "guest-a",
+      "mt.carts": { "guest-a": { items: [{ pid: 1, qty: 2 }], coupons: [] } } } });
+    await mt.Stock.renew(mt.App.getCart(), products);
+  });
+  afterEach(() => mt.window.close());
+
+  const lines = () => plain(mt.App.getCart().map(it => [it.pid, it.qty]));
+  const reserved = () => plain(mt.App.getReservations().filter(r => r.owner === "guest-a").map(r => [r.pid, r.qty]));
+
+  function failSaves(key) {
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (k, value) => k === key ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, k, value);
+  }
+
+  it("cambian la línea y su reserva", async () => {
+    assert.equal(await mt.App.updateQty(1, "4"), true);
+    assert.deepEqual(lines(), [[1, 4]]);
+    assert.deepEqual(reserved(), [[1, 4]]);
+    assert.equal(await mt.App.removeFromCart(1), true);
+    assert.deepEqual(lines(), []);
+    assert.deepEqual(reserved(), []);
+  });
+
+  it("si no se guarda la reserva, el carrito vuelve a como estaba", async () => {
+    failSaves("mt.reservations");
+    assert.equal(await mt.App.updateQty(1, "4"), false);
+    assert.equal(await mt.App.removeFromCart(1), false);
+    assert.deepEqual(lines(), [[1, 2]]);
+    assert.deepEqual(plain(JSON.parse(mt.window.localStorage.getItem("mt.carts"))["guest-a"].items), [{ pid: 1, qty: 2 }]);
+  });
+
+  it("si no se guarda el carrito, la reserva vuelve a la cantidad anterior", async () => {
+    failSaves("mt.carts");
+    assert.equal(await mt.App.updateQty(1, "4"), false);
+    assert.equal(await mt.App.removeFromCart(1), false);
+    assert.deepEqual(lines(), [[1, 2]]);
+    assert.deepEqual(reserved(), [[1, 2]]);
+  });
+});
+
+describe("Catálogo con el filtro \"Solo con stock\"", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  it("no muestra lo que está reservado entero por otros carritos", async () => {
+    mt = await loadApp({
+      body: `<body id="page-catalogo"><input id="catalogSearch"><select id="catalogSort"><option value="">Relevancia</option></select>
+        <div id="catalogGrid"></div></body>`,
+      url: "http://localhost/catalogo.html?stock=1",
+      storage: {
+        "mt.products": [{ id: 1, name: "Reservado", price: 1000, stock: 2 }, { id: 2, name: "Libre", price: 2000, stock: 2 }],
+        "mt.guest": "guest-a",
+        "mt.reservations": [{ pid: 1, owner: "guest-b", qty: 2, expires: Date.now() + 10 * MINUTE }]
+      }
+    });
+    const text = mt.$("#catalogGrid").text();
+    assert.match(text, /Libre/);
+    assert.doesNotMatch(text, /Reservado/);
+  });
+});
+
+describe("Página del carrito", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  async function open(setup) {
+    mt = await loadApp({
+      body: `<body id="page-carrito"><div id="carritoContainer"></div><span id="cartTotal"></span></body>`,
+      url: "http://localhost/carrito.html",
+      storage: { "mt.products": products, "mt.guest": "guest-a",
+        "mt.carts": { "guest-a": { items: [{ pid: 1, qty: 2 }], coupons: [] } } },
+      setup
+    });
+  }
+
+  it("reserva las líneas y muestra hasta cuándo", async () => {
+    await open();
+    assert.deepEqual(plain(mt.App.getReservations().map(r => [r.pid, r.qty])), [[1, 2]]);
+    assert.match(mt.$("#cartTableBody").text(), /reservado hasta/);
+    assert.doesNotMatch(mt.$("#carritoContainer").text(), /No se pudieron reservar/);
+  });
+
+  it("si no se guardan las reservas, lo avisa y no las muestra", async () => {
+    await open(w => {
+      const setItem = w.Storage.prototype.setItem;
+      w.Storage.prototype.setItem = function (key, value) {
+        if (key === "mt.reservations") throw new Error("sin espacio");
+        return setItem.call(this, key, value);
+      };
+    });
+    assert.deepEqual(plain(mt.App.getReservations()), []);
+    assert.match(mt.$("#carritoContainer").text(), /No se pudieron reservar las unidades/);
+    assert.doesNotMatch(mt.$("#cartTableBody").text(), /reservado hasta/);
+  });
+});
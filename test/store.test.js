@@ -0,0 +1,81 @@
+// Store: la memoria no queda con cambios que no se pudieron guardar.
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, plain } = require("./helpers");
+
+const users = [
+  { email: "ana@correo.cl", name: "Ana", role: "user", phone: "+56 9 1111 1111" },
+  { email: "admin@correo.cl", name: "Admin", role: "admin" }
+];
+
+describe("Store", () => {
+  let mt;
+  beforeEach(async () => { mt = await loadApp({ storage: { "mt.users": users } }); });
+  afterEach(() => mt.window.close());
+
+  function failSaves() {
+    mt.Store.backend.save = () => Promise.reject(new Error("sin espacio"));
+  }
+
+  it("getUsers entrega una copia: modificarla no toca la memoria", () => {
+    const list = mt.App.getUsers();
+    list[0].name = "Otra";
+    list[1].role = "user";
+    assert.deepEqual(plain(mt.App.getUsers()), users);
+  });
+
+  it("si el guardado falla, la memoria vuelve al valor anterior", async () => {
+    failSaves();
+    const list = mt.App.getUsers();
+    list[0].phone = "+56 9 2222 2222";
+    list[1].role = "user";
+    assert.equal(await mt.App.saveUsers(list), false);
+    assert.deepEqual(plain(mt.App.getUsers()), users);
+    assert.match(mt.$("body").text(), /No se pudieron guardar los cambios\. sin espacio/);
+  });
+
+  it("si el guardado funciona, la memoria queda con los cambios", async () => {
+    const list = mt.App.getUsers();
+    list[0].phone = "+56 9 2222 2222";
+    assert.equal(await mt.App.saveUsers(list), true);
+    assert.equal(mt.App.getUsers()[0].phone, "+56 9 2222 2222");
+    assert.equal(JSON.parse(mt.window.localStorage.getItem("mt.users"))[0].phone, "+56 9 2222 2222");
+  });
+});
+
+describe("Guardados al iniciar y al reservar ids", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  // localStorage que no acepta escribir las claves dadas (las de la carga inicial sí se escriben)
+  function refuse(keys) {
+    return w => {
+      const setItem = w.Storage.prototype.setItem;
+      w.Storage.prototype.setItem = function (key, value) {
+        if (keys.includes(key)) throw new Error("sin espacio");
+        return setItem.call(this, key, value);
+      };
+    };
+  }
+
+  it("si no se guarda el carrito migrado, conserva el carrito antiguo y no pinta la página", async () => {
+    mt = await loadApp({
+      body: `<body id="page-index"><span id="cartCount"></span></body>`,
+      storage: { "mt.users": users, "mt.products": [{ id: 1, name: "Uno", price: 1000, stock: 5 }], "mt.cart": [{ pid: 1, qty: 2 }] },
+      setup: refuse(["mt.carts"])
+    });
+    assert.deepEqual(JSON.parse(mt.window.localStorage.getItem("mt.cart")), [{ pid: 1, qty: 2 }]);
+    assert.match(mt.$("body").text(), /La tienda no pudo preparar sus datos/);
+    assert.equal(mt.$("#cartCount").text(), "");
+  });
+
+  it("reserveProductIds resuelve null si no se pudo guardar la secuencia", async () => {
+    mt = await loadApp({ storage: { "mt.users": users, "mt.products": [{ id: 4, name: "Cuatro", price: 1000, stock: 1 }] } });
+    const save = mt.Store.backend.save;
+    mt.Store.backend.save = (key, value) => key === "mt.sequences" ? Promise.reject(new Error("sin espacio")) : save.call(mt.Store.backend, key, value);
+    assert.equal(await mt.App.reserveProductIds(2), null);
+    mt.Store.backend.save = save;
+    assert.equal(await mt.App.reserveProductIds(2), 5);
+    assert.equal(await mt.App.reserveProductIds(1), 7);
+  });
+});
@@ -0,0 +1,77 @@
+// Tax: desglose de IVA en CLP y validación de RUT.
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp } = require("./helpers");
+
+describe("Tax", () => {
+  let mt;
+  before(async () => { mt = await loadApp(); });
+  after(() => mt.window.close());
+
+  describe("split", () => {
+    it("desglosa un bruto con IVA incluido en pesos enteros", () => {
+      assert.deepEqual({ ...mt.Tax.split(1190) }, { gross: 1190, net: 1000, iva: 190 });
+      assert.deepEqual({ ...mt.Tax.split(9990) }, { gross: 9990, net: 8395, iva: 1595 });
+    });
+
+    it("redondea montos con decimales al peso", () => {
+      assert.deepEqual({ ...mt.Tax.split(1000.4) }, { gross: 1000, net: 840, iva: 160 });
+      assert.deepEqual({ ...mt.Tax.split(1000.5) }, { gross: 1001, net: 841, iva: 160 });
+    });
+
+    it("neto + IVA es siempre el bruto", () => {
+      for (let gross = 0; gross <= 50000; gross += 7) {
+        const t = mt.Tax.split(gross);
+        assert.ok(Number.isInteger(t.net) && Number.isInteger(t.iva), `decimales en ${gross}`);
+        assert.equal(t.net + t.iva, gross, `neto + IVA ≠ bruto en ${gross}`);
+      }
+    });
+
+    it("redondea por línea y por total por separado", () => {
+      const products = [
+        { id: 1, name: "Uno", price: 1000, stock: 10 },
+        { id: 2, name: "Dos", price: 1000, stock: 10 }
+      ];
+      const cart = [{ pid: 1, qty: 1 }, { pid: 2, qty: 1 }];
+      const data = Object.assign(mt.Checkout.initialData(), { method: "retiro" });
+      const order = mt.Orders.create(cart, products, null, data);
+
+      // 1000 → 840 neto por línea, pero 2000 → 1681 en el total (no 840 + 840)
+      assert.deepEqual(order.items.map(it => [it.subtotal, it.net, it.iva]), [[1000, 840, 160], [1000, 840, 160]]);
+      assert.deepEqual({ ...order.totals.tax }, { gross: 2000, net: 1681, iva: 319 });
+      order.items.forEach(it => assert.equal(it.net + it.iva, it.subtotal));
+      assert.equal(order.totals.tax.gross, order.totals.total);
+    });
+  });
+
+  describe("RUT", () => {
+    it("calcula el dígito verificador, incluidos K y 0", () => {
+      assert.equal(mt.Tax.rutDV("12345678"), "5");
+      assert.equal(mt.Tax.rutDV("10000013"), "K");
+      assert.equal(mt.Tax.rutDV("1000005"), "K");
+      assert.equal(mt.Tax.rutDV("76123456"), "0");
+      assert.equal(mt.Tax.rutDV("10000004"), "0");
+    });
+
+    it("acepta RUT válidos con o sin puntos, guion y k minúscula", () => {
+      ["12.345.678-5", "12345678-5", "123456785", " 12.345.678-5 ", "10.000.013-K", "10000013-k",
+        "1.000.005-k", "76.123.456-0", "100000040"].forEach(rut => assert.equal(mt.Tax.validateRUT(rut), true, rut));
+    });
+
+    it("rechaza dígitos verificadores errados", () => {
+      ["12.345.678-4", "10.000.013-0", "76.123.456-K", "10000004-1"].forEach(rut => assert.equal(mt.Tax.validateRUT(rut), false, rut));
+    });
+
+    it("rechaza RUT mal formados", () => {
+      ["", null, undefined, "K", "5", "123456-0", "123.456.789-1", "12345678K5", "ab.cde.fgh-i", "12.345.678-", "-5"]
+        .forEach(rut => assert.equal(mt.Tax.validateRUT(rut), false, String(rut)));
+    });
+
+    it("limpia y da formato con puntos y guion", () => {
+      assert.equal(mt.Tax.cleanRUT("10.000.013-k"), "10000013K");
+      assert.equal(mt.Tax.formatRUT("123456785"), "12.345.678-5");
+      assert.equal(mt.Tax.formatRUT("1000005k"), "1.000.005-K");
+      assert.equal(mt.Tax.formatRUT("76123456-0"), "76.123.456-0");
+    });
+  });
+});
@@ -0,0 +1,217 @@
+// Datos hostiles en todas las vistas: nombres, descripciones, autores y series con HTML y comillas,
+// e imágenes javascript:/data:. Nada debe llegar al DOM sin escapar.
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, pageBody, settle, waitFor } = require("./helpers");
+
+const EVIL = `<img src=x onerror="window.PWN=1">`;
+const QUOTE = `"><svg onload="window.PWN=2"></svg><b x='`;
+const EMAIL = "ana@correo.cl";
+const TOKEN = "t0k3n";
+const NOW = new Date().toISOString();
+
+function storage() {
+  const product = {
+    id: 1, name: EVIL, format: QUOTE, desc: EVIL + QUOTE, price: 1000, stock: 5,
+    img: "javascript:window.PWN=3",
+    images: ["data:text/html,<script>window.PWN=4</script>", "javascript:window.PWN=5", "data:image/svg+xml,<svg onload=alert(1)>"],
+    isbn: "", authors: [QUOTE, EVIL], publisher: QUOTE, year: 2020, language: "es", pages: 100,
+    genres: [EVIL], category: "manga", series: QUOTE, volume: 1, featured: true, premium: true
+  };
+  const order = {
+    id: 1, number: "MT-000001",
+    items: [{ pid: 1, name: EVIL, isbn: "", format: QUOTE, price: 1000, qty: 2, subtotal: 2000, net: 1681, iva: 319 }],
+    totals: { items: 2, subtotal: 2000, discount: 0, shipping: 0, total: 2000, tax: { gross: 2000, net: 1681, iva: 319 } },
+    discounts: [{ code: "X", label: EVIL, amount: 0 }],
+    document: { type: "factura", rut: "76.123.456-0", razon: EVIL, giro: QUOTE, address: QUOTE },
+    customer: { email: EMAIL, name: EVIL, phone: QUOTE, guest: false },
+    shipping: { method: "estandar", methodLabel: "Despacho estándar", address: EVIL,
+      details: { region: QUOTE, comuna: EVIL, street: EVIL, number: QUOTE, apt: "", notes: EVIL } },
+    status: "pagado",
+    history: [{ status: "pendiente", at: NOW, user: EVIL }, { status: "pagado", at: NOW, user: EMAIL, note: EVIL }],
+    createdAt: NOW, updatedAt: NOW
+  };
+  return {
+    "mt.schema": 99,
+    "mt.products": [product],
+    "mt.users": [{ email: EMAIL, name: EVIL, last: QUOTE, role: "admin", phone: QUOTE, addresses: [] }],
+    "mt.sessions": [{ token: TOKEN, email: EMAIL, createdAt: NOW, expires: Date.now() + 3600000 }],
+    "mt.session": { token: TOKEN },
+    "mt.carts": { [EMAIL]: { items: [{ pid: 1, qty: 1 }], coupons: [], updatedAt: NOW } },
+    "mt.wishlists": { [EMAIL]: [1] },
+    "mt.orders": [order],
+    "mt.reviews": [{ id: "r1", pid: 1, email: "otro@correo.cl", name: EVIL, rating: 5, text: EVIL + QUOTE, createdAt: NOW, updatedAt: NOW }],
+    "mt.stockMovements": []
+  };
+}
+
+// Páginas que no están en el repositorio: solo los elementos que usa app.js.
+const NAV = `<form role="search"><input id="navbarSearch" type="search"></form>
+  <a id="userMenu"></a><button id="logoutBtn"></button><span id="cartCount"></span>`;
+const PAGES = {
+  catalogo: `<body id="page-catalogo">${NAV}<input id="catalogSearch">
+    <select id="catalogSort"><option value="">Relevancia</option></select><div id="catalogGrid"></div></body>`,
+  carrito: `<body id="page-carrito">${NAV}<div id="carritoContainer"></div><div id="cartSummary"></div>
+    <span id="cartTotal"></span><button id="btnPagar">Pagar</button></body>`,
+  productos: `<body id="page-productos">${NAV}
+    <form id="productForm"><span id="formTitle"></span><input id="prodId"><input id="prodName"><input id="prodFormat">
+      <textarea id="prodDesc"></textarea><input id="prodPrice"><input id="prodStock">
+      <input type="radio" name="imgSource" value="url" checked><input id="prodImgUrl"><input id="prodImgLocal">
+      <textarea id="prodGallery"></textarea><button type="reset" id="productReset">Limpiar</button></form>
+    <input id="adminSearch"><table><tbody id="adminTableBody"></tbody></table></body>`
+};
+
+// Esquemas que nunca deben quedar en src/href (data: solo como imagen rasterizada en base64)
+function unsafeUrl(url) {
+  const u = String(url).replace(/[\u0000- \u007f]/g, "");
+  if (/^data:image\/(png|jpe?g|gif|webp|avif);base64,/i.test(u)) return false;
+  return /^(javascript|vbscript|data):/i.test(u);
+}
+
+// Ningún elemento inyectado, ningún atributo on* ni URL peligrosa, y el texto hostil a la vista.
+function assertClean(mt, where) {
+  const doc = mt.window.document;
+  assert.equal(mt.window.PWN, undefined, `${where}: se ejecutó código`);
+  assert.equal(doc.querySelectorAll("body script, svg, iframe, object, embed, img[src='x'], b[x]").length, 0,
+    `${where}: hay elementos inyectados`);
+  doc.querySelectorAll("*").forEach(el => {
+    for (const attr of el.attributes) {
+      assert.ok(!/^on/i.test(attr.name), `${where}: atributo ${attr.name} en <${el.tagName.toLowerCase()}>`);
+      if (["src", "href", "srcset", "action", "poster"].includes(attr.name)) {
+        assert.ok(!unsafeUrl(attr.value), `${where}: ${attr.name}="${attr.value}"`);
+      }
+    }
+  });
+}
+
+// El nombre hostil se ve como texto (la vista de verdad pintó el producto)
+function assertShown(mt, selector, text, where) {
+  const shown = mt.$(selector).toArray().some(el => el.textContent.includes(text) || (el.value || "").includes(text));
+  assert.ok(shown, `${where}: no se ve ${JSON.stringify(text)} en ${selector}`);
+}
+
+describe("Vistas con datos hostiles", () => {
+  let mt;
+  afterEach(() => mt && mt.window.close());
+
+  async function open(body, page, extra) {
+    mt = await loadApp({ body, url: "http://localhost/" + page, storage: Object.assign(storage(), extra) });
+    await settle();
+    return mt;
+  }
+
+  it("portada: destacados y premium", async () => {
+    await open(pageBody("index.html"), "index.html");
+    assertShown(mt, "#destacados", EVIL, "destacados");
+    assertShown(mt, ".grid_container .box", EVIL, "premium");
+    assertClean(mt, "portada");
+  });
+
+  it("catálogo: tarjetas (productCard), facetas y resaltado de la búsqueda", async () => {
+    await open(PAGES.catalogo, "catalogo.html?q=img+onerror+svg");
+    assertShown(mt, "#catalogGrid", EVIL, "tarjeta");
+    assertShown(mt, "#catalogFacets", QUOTE, "facetas");
+    assert.ok(mt.$("#catalogGrid mark").length > 0, "no se resaltó la búsqueda");
+    assertClean(mt, "catálogo");
+  });
+
+  it("sugerencias del buscador", async () => {
+    await open(PAGES.catalogo, "catalogo.html");
+    mt.$("#navbarSearch").val("img onerror").trigger("input");
+    await waitFor(() => mt.$("#navbarSuggest .dropdown-item").length);
+    assertShown(mt, "#navbarSuggest", EVIL, "sugerencia");
+    assert.ok(mt.$("#navbarSuggest mark").length > 0, "no se resaltó la sugerencia");
+    assertClean(mt, "sugerencias");
+  });
+
+  it("carrito y asistente de compra (pageCarrito)", async () => {
+    await open(PAGES.carrito, "carrito.html");
+    assertShown(mt, "#cartTableBody", EVIL, "carrito");
+    mt.$("#btnPagar").trigger("click");
+    await settle();
+    assertShown(mt, "#checkoutWizard input", EVIL, "contacto");
+    assertClean(mt, "carrito");
+  });
+
+  it("ficha de producto con galería y reseñas", async () => {
+    await open(pageBody("producto.html"), "producto.html?id=1");
+    assertShown(mt, "main", EVIL, "ficha");
+    assertShown(mt, "main", EVIL + QUOTE, "reseña");
+    assertClean(mt, "ficha");
+  });
+
+  it("lista de deseos", async () => {
+    await open(pageBody("deseos.html"), "deseos.html");
+    assertShown(mt, "main", EVIL, "deseos");
+    assertClean(mt, "deseos");
+  });
+
+  it("mis pedidos y detalle del pedido", async () => {
+    await open(pageBody("mis-pedidos.html"), "mis-pedidos.html");
+    assertShown(mt, "main", "MT-000001", "mis pedidos");
+    assertClean(mt, "mis pedidos");
+    mt.window.close();
+
+    await open(pageBody("pedido.html"), "pedido.html?id=1");
+    assertShown(mt, "main", EVIL, "detalle");
+    assertClean(mt, "detalle del pedido");
+  });
+
+  it("pedidos del admin (AdminOrders.refreshTable)", async () => {
+    await open(pageBody("pedidos.html"), "pedidos.html");
+    assertShown(mt, "#ordersTableBody", EVIL, "pedidos");
+    assertClean(mt, "pedidos del admin");
+  });
+
+  it("tabla de productos del admin (AdminProducts.refreshTable)", async () => {
+    await open(PAGES.productos, "productos.html");
+    assertShown(mt, "#adminTableBody", EVIL, "tabla");
+    assertClean(mt, "productos del admin");
+  });
+
+  it("el formulario del admin rechaza imágenes javascript: y data:", async () => {
+    await open(PAGES.productos, "productos.html");
+    const alerts = [];
+    mt.window.alert = msg => alerts.push(msg);
+    const $ = mt.$;
+    const cases = [
+      { img: "javascript:window.PWN=1", gallery: "" },
+      { img: " JaVa\tScRiPt:window.PWN=1", gallery: "" },
+      { img: "data:text/html,<script>window.PWN=1</script>", gallery: "" },
+      { img: "https://example.com/a.jpg", gallery: "data:image/svg+xml,<svg onload=alert(1)>" },
+      { img: "https://example.com/a.jpg", gallery: "https://example.com/b.jpg\njavascript:alert(1)" }
+    ];
+    for (const c of cases) {
+      $("#prodName").val(EVIL);
+      $("#prodPrice").val("1000");
+      $("#prodStock").val("2");
+      $("#prodImgUrl").val(c.img);
+      $("#prodGallery").val(c.gallery);
+      $("#productForm").trigger("submit");
+    }
+    assert.equal(alerts.length, cases.length);
+    alerts.forEach(msg => assert.match(msg, /URL de imagen no válida/));
+    assert.equal(mt.App.getProducts().length, 1);
+
+    // Una imagen http(s) sí se acepta, y el nombre hostil queda como texto
+    $("#prodImgUrl").val("https://example.com/a.jpg");
+    $("#prodGallery").val("");
+    $("#productForm").trigger("submit");
+    await settle();
+    assert.equal(mt.App.getProducts().length, 2);
+    assertClean(mt, "productos del admin tras guardar");
+  });
+});
+
+describe("Csv.stringify con celdas hostiles", () => {
+  let mt;
+  afterEach(() => mt.window.close());
+
+  it("antepone ' a las celdas que una planilla tomaría como fórmula, no a los números", async () => {
+    mt = await loadApp();
+    const formulas = ["=1+1", "+1+1", "-1+1", "-2+3+cmd|' /C calc'!A0", "@SUM(A1)", "\t=1+1", "\r=1+1"];
+    const lines = mt.Csv.stringify(formulas.map(f => [f])).split("\r\n");
+    formulas.forEach((f, i) => assert.ok(/^"?'/.test(lines[i]), `sin ' delante: ${JSON.stringify(lines[i])}`));
+    assert.equal(mt.Csv.stringify([[-3, 1500, "Ana - Pérez"]]), "-3,1500,Ana - Pérez");
+  });
+});